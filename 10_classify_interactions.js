@@ -1,16 +1,21 @@
 require('dotenv').config();
 const { connectDB } = require('./src/utils/mongoUtils');
 const App = require('./src/models/App');
+const { findStageApps, redisScope, rerunsOutdated } = require('./src/utils/stageSelection');
+const { getAnalysis, withAnalysis } = require('./src/utils/productAnalysis');
 const openAIService = require('./src/services/openaiService');
+const { buildInteractionRelevancyRequest } = require('./src/prompts');
+const { typedInteractions } = require('./src/prompts/interactionRelevancy');
 const RedisService = require('./src/services/redisService');
+const { BudgetExceededError, SchemaValidationError } = require('./src/services/llm');
 const os = require('os');
 const colors = require('colors');
 
 // Get machine ID from env or hostname
 const MACHINE_ID = process.env.MACHINE_ID || os.hostname().split('.')[0];
 
-// Initialize Redis Service
-const redisService = new RedisService(MACHINE_ID);
+// Initialize Redis Service, completions kept per stage and target product
+const redisService = new RedisService(MACHINE_ID, redisScope(10));
 
 // Add machine status tracking
 const machineStatus = {
@@ -27,342 +32,35 @@ class InteractionAnalyzer {
     this.openAIService = openAIService;
   }
 
+  /**
+   * Asks the model for the relevancy and segment of each of an app's typed
+   * interactions. Untyped ones aren't sent and stay unanalyzed until stage 9 types them.
+   * @param {Object} app - App document
+   * @returns {Promise<{interactions: Object[], provenance: Object}>} Analyzed interactions, and the prompt and model behind them
+   * @throws {SchemaValidationError} When the response stays invalid after the repair retries
+   */
   async analyzeInteractions(app) {
-    const prompt = `
-        You are an expert system tasked with analyzing Zapier app interactions for integration with Retently, a Customer Experience Management platform. Your analysis must be precise and follow specific rules.
-
-        BACKGROUND ON RETENTLY:
-        Retently is a Customer Experience Management platform that:
-        - Sends NPS (Net Promoter Score), CSAT (Customer Satisfaction), and CES (Customer Effort Score) surveys
-        - Tracks customer feedback and satisfaction metrics
-        - Manages customer profiles and survey responses
-        - Analyzes customer sentiment and feedback trends
-
-        ANALYSIS RULES:
-
-        1. TYPE CLASSIFICATION (Mandatory)
-        Each interaction must be classified as either "trigger" or "action" (lowercase only)
-
-        Classification Guidelines:
-        SET AS "trigger" IF:
-        - It's an event that happens in the app (e.g., "New Order Created")
-        - It's a state change notification (e.g., "Status Updated")
-        - It monitors for changes or new data
-        - It notifies about updates or modifications
-        Examples of triggers:
-        - "New Customer Added" (trigger: it's an event notification)
-        - "Order Status Changed" (trigger: it's a state change)
-        - "Project Completed" (trigger: it's an event notification)
-        - "Task Assigned" (trigger: it's a state change)
-
-        SET AS "action" IF:
-        - It creates or modifies data in the app
-        - It performs an operation or task
-        - It's something the app does when requested
-        - It involves searching or retrieving data
-        Examples of actions:
-        - "Create Customer" (action: it creates data)
-        - "Update Order Status" (action: it modifies data)
-        - "Send Email" (action: it performs an operation)
-        - "Find User" (action: it retrieves data)
-
-        2. RELEVANCY ANALYSIS
-        Determine if each interaction is relevant for Retently integration (isRelevant: true/false)
-
-        Evaluation Criteria:
-        SET isRelevant = true IF:
-        a) For Triggers:
-        - Creates opportunity for timely customer feedback (e.g., after purchase, service usage)
-        - Indicates significant customer lifecycle events
-        - Represents customer interaction points
-        - Provides valuable context for survey timing
-        Examples:
-        - "Order Completed" (Relevant: good time for CSAT survey)
-        - "Support Ticket Closed" (Relevant: perfect for CES survey)
-        - "Subscription Renewed" (Relevant: appropriate for NPS survey)
-
-        b) For Actions:
-        - Can utilize Retently's survey data or scores
-        - Helps sync customer data between systems
-        - Enables automated responses to feedback
-        - Enhances customer experience tracking
-        Examples:
-        - "Update Customer Profile" (Relevant: can sync with Retently data)
-        - "Create Support Ticket" (Relevant: can be triggered by negative feedback)
-        - "Add User Tag" (Relevant: can be based on NPS score)
-
-        SET isRelevant = false IF:
-        - Internal system operations unrelated to customer experience
-        - Technical operations without customer context
-        - Administrative tasks without customer impact
-        Examples:
-        - "Update System Settings" (Not Relevant: internal operation)
-        - "Backup Database" (Not Relevant: technical task)
-        - "Generate Report" (Not Relevant: administrative task)
-
-        3. SEGMENT CLASSIFICATION
-        Classify each interaction's business segment (relevancySegment: ALL|ECOMMERCE|B2B|B2C)
-
-        Segment Guidelines:
-        ALL: 
-        - Universal customer experience touchpoints
-        - General customer data management
-        - Basic feedback collection points
-        Examples:
-        - "Customer Support Ticket Closed" (ALL: applies to any business)
-        - "User Account Created" (ALL: universal process)
-
-        ECOMMERCE:
-        - Online shopping specific
-        - Order/product related
-        - Shopping cart operations
-        Examples:
-        - "Order Shipped" (ECOMMERCE: specific to online retail)
-        - "Cart Abandoned" (ECOMMERCE: online shopping specific)
-
-        B2B:
-        - Enterprise/business customer focused
-        - Project/contract related
-        - Service agreement touchpoints
-        Examples:
-        - "Project Milestone Completed" (B2B: business project specific)
-        - "Contract Renewed" (B2B: business relationship specific)
-
-        B2C:
-        - Individual consumer focused (non-ecommerce)
-        - Personal service related
-        - Individual account management
-        Examples:
-        - "Appointment Completed" (B2C: individual service)
-        - "Personal Plan Updated" (B2C: individual account)
-
-        APP CONTEXT:
-        Title: "${app.title}"
-        Description: "${app.description}"
-        Integration Segment: "${app.integrationSegment}"
-        Potential Integration with Retently Use Case: "${app.potentialUseCase}"
-
-        RETENTLY INTEGRATION CAPABILITIES:
-        Available Triggers from Retently:
-        ${JSON.stringify(this.openAIService.retentlyTriggers, null, 2)}
-
-        Available Actions in Retently:
-        ${JSON.stringify(this.openAIService.retentlyActions, null, 2)}
-
-        INTERACTIONS TO ANALYZE:
-        ${JSON.stringify(app.interactions, null, 2)}
-
-        EXAMPLE ANALYSES:
-
-        For a CRM App:
-        Input:
-        {
-        "name": "New Deal Created",
-        "description": "Triggers when a new deal is created in the CRM"
-        }
-        Output:
-        {
-        "name": "New Deal Created",
-        "description": "Triggers when a new deal is created in the CRM",
-        "type": "trigger",
-        "isRelevant": true,
-        "relevancySegment": "B2B"
-        }
-        Reasoning: It's a trigger (new event), relevant (good time for CSAT), B2B (deal creation is business-focused)
-
-        For an Ecommerce Platform:
-        Input:
-        {
-        "name": "Update Order Status",
-        "description": "Updates the status of an existing order"
-        }
-        Output:
-        {
-        "name": "Update Order Status",
-        "description": "Updates the status of an existing order",
-        "type": "action",
-        "isRelevant": true,
-        "relevancySegment": "ECOMMERCE"
-        }
-        Reasoning: It's an action (modifies data), relevant (can be triggered by feedback), ECOMMERCE (order-specific)
-
-        REQUIRED OUTPUT FORMAT:
-        Return a JSON object with this exact structure:
-        {
-          "interactions": [
-            {
-              "name": string (original name),
-              "description": string (original description),
-              "type": "trigger" | "action",
-              "isRelevant": boolean,
-              "relevancySegment": "ALL" | "ECOMMERCE" | "B2B" | "B2C"
-            }
-          ]
-        }
-
-        QUALITY REQUIREMENTS:
-        1. Response MUST be a JSON object with an "interactions" array
-        2. EVERY interaction in the array must have ALL five fields
-        3. 'type' must be lowercase "trigger" or "action" only
-        4. 'relevancySegment' must be uppercase "ALL", "ECOMMERCE", "B2B", or "B2C" only
-        5. Maintain original name and description exactly
-        6. Return valid JSON only, no explanations or comments
-
-        CRITICAL: YOU MUST PRESERVE these five fields for EACH interaction:
-        1. name (original)
-        2. description (original)
-        3. type (you must add this)
-        4. isRelevant (you must add this)
-        5. relevancySegment (you must add this)
-
-        SHOPIFY-SPECIFIC EXAMPLES:
-
-        Example 1 - Order Related:
-        Input:
-        {
-        "name": "New Paid Order",
-        "description": "Triggers when an order is paid (with line item support).",
-        "type": "trigger"
-        }
-        Required Output:
-        {
-        "name": "New Paid Order",
-        "description": "Triggers when an order is paid (with line item support).",
-        "type": "trigger",
-        "isRelevant": true,
-        "relevancySegment": "ECOMMERCE"
-        }
-        Reasoning: Perfect trigger point for CSAT survey, clearly ecommerce-specific
-
-        Example 2 - Customer Related:
-        Input:
-        {
-        "name": "Update Customer",
-        "description": "Replaces only data that is set for an existing customer.",
-        "type": "action"
-        }
-        Required Output:
-        {
-        "name": "Update Customer",
-        "description": "Replaces only data that is set for an existing customer.",
-        "type": "action",
-        "isRelevant": true,
-        "relevancySegment": "ALL"
-        }
-        Reasoning: Customer data sync is relevant for all segments
-
-        Example 3 - Technical Action:
-        Input:
-        {
-        "name": "API Request (Beta)",
-        "description": "This advanced action makes a raw HTTP request that includes this integration's authentication.",
-        "type": "action"
-        }
-        Required Output:
-        {
-        "name": "API Request (Beta)",
-        "description": "This advanced action makes a raw HTTP request that includes this integration's authentication.",
-        "type": "action",
-        "isRelevant": false,
-        "relevancySegment": "ALL"
-        }
-        Reasoning: Technical operation not related to customer experience
-
-        COMMON SHOPIFY PATTERNS:
-
-        1. Order-related interactions:
-        - Almost always ECOMMERCE segment
-        - Usually relevant for customer feedback
-        - Examples: New Order, Fulfilled Order, Cancelled Order
-
-        2. Customer-related interactions:
-        - Usually ALL segment (customer management is universal)
-        - Typically relevant for data synchronization
-        - Examples: New Customer, Update Customer, Customer Tags
-
-        3. Product-related interactions:
-        - Always ECOMMERCE segment
-        - Relevant only if customer-facing
-        - Examples: New Product (relevant), Update Inventory (not relevant)
-
-        4. Technical/Administrative interactions:
-        - Usually ALL segment
-        - Typically not relevant
-        - Examples: API Requests, Metafield operations
-
-
-        Now analyze the provided interactions following these guidelines.`;
-
     try {
-      const completion = await this.openAIService.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert in analyzing app integrations. Return a JSON object with an 'interactions' array containing the analyzed interactions."
-          },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.1,
-        response_format: { type: "json_object" },
-        max_tokens: 8000
-      });
-
-      const content = completion.choices[0].message.content;
-      const parsed = JSON.parse(content);
-
-      // Strict validation of response structure
-      if (!parsed || typeof parsed !== 'object') {
-        throw new Error('Response must be an object');
-      }
-
-      if (!parsed.interactions || !Array.isArray(parsed.interactions)) {
-        throw new Error('Response must contain interactions array');
-      }
-
-      if (parsed.interactions.length === 0) {
-        throw new Error('Interactions array cannot be empty');
-      }
-
-      // Validate each interaction
-      parsed.interactions.forEach((interaction, index) => {
-        // Check for exact required fields
-        const requiredFields = ['name', 'description', 'type', 'isRelevant', 'relevancySegment'];
-        const missingFields = requiredFields.filter(field => !interaction.hasOwnProperty(field));
-        
-        if (missingFields.length > 0) {
-          throw new Error(`Interaction at index ${index} is missing required fields: ${missingFields.join(', ')}`);
-        }
-
-        // Validate field types and values
-        if (typeof interaction.name !== 'string' || interaction.name.length === 0) {
-          throw new Error(`Invalid name at index ${index}`);
-        }
-        if (typeof interaction.description !== 'string' || interaction.description.length === 0) {
-          throw new Error(`Invalid description at index ${index}`);
-        }
-        if (!['trigger', 'action'].includes(interaction.type)) {
-          throw new Error(`Invalid type "${interaction.type}" at index ${index}`);
-        }
-        if (typeof interaction.isRelevant !== 'boolean') {
-          throw new Error(`isRelevant must be boolean at index ${index}`);
-        }
-        if (!['ALL', 'ECOMMERCE', 'B2B', 'B2C'].includes(interaction.relevancySegment)) {
-          throw new Error(`Invalid relevancySegment "${interaction.relevancySegment}" at index ${index}`);
-        }
-
-        // Verify fields match original
-        const originalInteraction = app.interactions.find(i => i.name === interaction.name);
-        if (!originalInteraction) {
-          throw new Error(`No matching original interaction found for "${interaction.name}"`);
-        }
-        if (interaction.description !== originalInteraction.description || 
-            interaction.type !== originalInteraction.type) {
-          throw new Error(`Original fields modified for "${interaction.name}"`);
-        }
+      // Strict validation of response structure: chat() checks the interactions
+      // array and the fields of each interaction against INTERACTION_RELEVANCY_SCHEMA,
+      // and sends the violations found here back to the model for a repair
+      const completion = await this.openAIService.chat('interaction_relevancy', buildInteractionRelevancyRequest(app, this.openAIService.product), {
+        validate: ({ interactions }) => interactions.flatMap(interaction => {
+          // Verify fields match original
+          const originalInteraction = typedInteractions(app).find(i => i.name === interaction.name);
+          if (!originalInteraction) {
+            return [`No matching original interaction found for "${interaction.name}"`];
+          }
+          // A missing description is sent as "" (see interactionRelevancy.js)
+          if (interaction.description !== (originalInteraction.description || '') ||
+              interaction.type !== originalInteraction.type) {
+            return [`Original fields modified for "${interaction.name}"`];
+          }
+          return [];
+        })
       });
 
-      return parsed.interactions;
+      return { interactions: completion.data.interactions, provenance: completion.provenance };
     } catch (error) {
       console.error(`Error analyzing interactions for ${app.title}:`, error);
       if (error.response) {
@@ -378,7 +76,10 @@ class InteractionAnalyzer {
 
     try {
       // Check if app is being processed by another machine
-      const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug);
+      // With --outdated, only this run's completions count: earlier ones may be outdated
+      const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug, {
+        completedAfter: rerunsOutdated() ? machineStatus.started_at : null
+      });
       
       if (isProcessing) {
         console.log(`${app.title} is being analyzed by another machine, skipping...`.yellow);
@@ -392,14 +93,30 @@ class InteractionAnalyzer {
 
       // Mark as processing
       await redisService.markAppProcessing(appSlug);
+      openAIService.usage.forApp(appSlug);
       console.log(`Started analyzing interactions for ${app.title}`.gray);
 
-      const analyzedInteractions = await this.analyzeInteractions(app);
+      const analysis = await this.analyzeInteractions(app);
       
-      if (!analyzedInteractions) {
+      if (!analysis.interactions) {
         throw new Error('No analyzed interactions returned');
       }
 
+      // The model's relevancy fields are merged into the interactions as the
+      // target product's results, keeping their details, typing and the
+      // results of the other products
+      const analyzedInteractions = app.interactions.map(original => {
+        const interaction = original.toObject ? original.toObject() : original;
+        const analyzed = analysis.interactions.find(i => i.name === interaction.name);
+        if (!analyzed) return interaction;
+        return withAnalysis(interaction, {
+          isRelevant: analyzed.isRelevant,
+          relevancySegment: analyzed.relevancySegment,
+          provenance: { isRelevant: analysis.provenance, relevancySegment: analysis.provenance }
+        });
+      });
+      const relevantCount = analyzedInteractions.filter(i => getAnalysis(i).isRelevant).length;
+
       // Calculate counts
       const triggersCount = Array.isArray(analyzedInteractions) ? 
         analyzedInteractions.filter(i => i && i.type === 'trigger').length : 0;
@@ -417,7 +134,7 @@ class InteractionAnalyzer {
       // Mark as completed in Redis
       await redisService.markAppCompleted(appSlug, {
         interactions_count: analyzedInteractions.length,
-        relevant_interactions: analyzedInteractions.filter(i => i.isRelevant).length,
+        relevant_interactions: relevantCount,
         analyzed_at: new Date().toISOString()
       });
 
@@ -427,14 +144,21 @@ class InteractionAnalyzer {
       // Print analysis summary
       console.log('\nInteraction Analysis for:', colors.cyan(app.title));
       console.log('Total Interactions:'.yellow, colors.white(analyzedInteractions.length));
-      console.log('Relevant Interactions:'.yellow, colors.white(analyzedInteractions.filter(i => i.isRelevant).length));
+      console.log(`Relevant to ${openAIService.product.name}:`.yellow, colors.white(relevantCount));
+      console.log(colors.gray(openAIService.usage.appSummary(appSlug)));
       console.log(colors.gray('-'.repeat(80)), '\n');
 
     } catch (error) {
       console.error(`Error processing ${app.title}:`.red, error);
       machineStatus.failed_count++;
       // Remove processing flag on error
-      await redisService.client.del(`app:processing:${appSlug}`);
+      await redisService.releaseApp(appSlug);
+      // Invalid model output even after the repair retries: keep the failure on
+      // the app (still selected, so the next run retries it) and go on
+      if (error instanceof SchemaValidationError) {
+        await App.findByIdAndUpdate(app._id, { $push: { llmFailures: error.toRecord() } });
+        return;
+      }
       throw error;
     } finally {
       machineStatus.current_app = null;
@@ -453,17 +177,8 @@ class InteractionAnalyzer {
       await connectDB();
       console.log('MongoDB connected successfully'.green);
 
-      // Find all relevant apps that need interaction analysis
-      const apps = await App.find({
-        isRelevant: true,
-        $or: [
-          { interactions: { $exists: false } },
-          { interactions: { $size: 0 } },
-          { 'interactions.type': { $exists: false } },
-          { 'interactions.isRelevant': { $exists: false } },
-          { 'interactions.relevancySegment': { $exists: false } }
-        ]
-      });
+      // Find all apps relevant to the target product whose interactions haven't been analyzed for it (and outdated ones with --outdated)
+      const apps = await findStageApps(10);
 
       console.log(`Found ${apps.length} apps needing interaction analysis`.yellow);
 
@@ -477,6 +192,8 @@ class InteractionAnalyzer {
             await this.processApp(app);
             await new Promise(resolve => setTimeout(resolve, 1000));
           } catch (error) {
+            // Out of budget: stop the whole run
+            if (error instanceof BudgetExceededError) throw error;
             console.error(`Error in main loop for ${app.title}:`.red, error);
             continue;
           }
@@ -484,9 +201,17 @@ class InteractionAnalyzer {
       }
 
       console.log('Interaction analysis complete'.green);
+      console.log(openAIService.cache.summary().gray);
+      await openAIService.usage.finishRun(redisService.client);
       process.exit(0);
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        console.log(`Stopping: ${error.message}`.yellow);
+        await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus(), status: 'stopped' });
+        await openAIService.usage.finishRun(redisService.client);
+        process.exit(0);
+      }
       console.error('Main process error:'.red, error);
       process.exit(1);
     }
@@ -496,7 +221,8 @@ class InteractionAnalyzer {
 // Update machine status periodically
 setInterval(async () => {
   try {
-    await redisService.updateMachineStatus(machineStatus);
+    await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus() });
+    await openAIService.usage.flushToRedis(redisService.client);
   } catch (error) {
     console.error('Failed to update machine status:'.red, error);
   }
@@ -508,8 +234,10 @@ process.on('SIGINT', async () => {
   try {
     await redisService.updateMachineStatus({
       ...machineStatus,
+      ...openAIService.usage.toStatus(),
       status: 'stopped'
     });
+    await openAIService.usage.finishRun(redisService.client);
   } catch (error) {
     console.error('Error updating final status:'.red, error);
   }
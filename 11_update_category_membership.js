@@ -0,0 +1,100 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { connectDB } = require('./src/utils/mongoUtils');
+const App = require('./src/models/App');
+const { buildMembershipIndex, toAppCategories, popularityScore } = require('./src/utils/categoryMembership');
+const colors = require('colors');
+
+const CONFIG = {
+  APPS_DIR: 'apps',
+  // Number of updates sent to MongoDB per bulkWrite
+  BATCH_SIZE: 500
+};
+
+/**
+ * Reads the categories scraped from an app's own page, if its JSON is available.
+ * @param {string} slug - App slug
+ * @returns {Promise<string[]>} Category names, empty when the app file is missing
+ */
+async function readPageCategories(slug) {
+  try {
+    const appData = JSON.parse(await fs.readFile(path.join(CONFIG.APPS_DIR, `${slug}.json`), 'utf8'));
+    return Array.isArray(appData.categories) ? appData.categories : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Rebuilds the multi-valued `categories` field (with each category's rank) and the
+ * popularity score of every App document from the membership index (all
+ * category_results files) and the scraped page categories.
+ */
+async function updateCategoryMembership() {
+  try {
+    // Connect to MongoDB
+    await connectDB();
+    console.log('MongoDB connected successfully'.green);
+
+    const index = await buildMembershipIndex();
+    console.log(`Membership index covers ${index.size} apps`.cyan);
+
+    const apps = await App.find({}, { slug: 1 }).lean();
+    console.log(`Found ${apps.length} apps in MongoDB`.yellow);
+
+    let operations = [];
+    let modified = 0;
+    let withoutCategories = 0;
+
+    const flush = async () => {
+      if (!operations.length) return;
+      const result = await App.bulkWrite(operations);
+      modified += result.modifiedCount;
+      operations = [];
+    };
+
+    for (const app of apps) {
+      const categories = toAppCategories(index.get(app.slug) || [], await readPageCategories(app.slug));
+      if (!categories.length) withoutCategories++;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: app._id },
+          update: { $set: { categories, popularityScore: popularityScore(categories) } }
+        }
+      });
+      if (operations.length >= CONFIG.BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`Successfully updated ${modified} apps`.green);
+    console.log('Update summary:'.cyan);
+    console.log('Modified count:', modified);
+    console.log('Apps without any category:', withoutCategories);
+
+    // Log the most popular apps
+    const sampleUpdated = await App.find({ popularityScore: { $ne: null } }).sort({ popularityScore: -1 }).limit(5);
+    if (sampleUpdated.length > 0) {
+      console.log('\nMost popular apps:'.yellow);
+      sampleUpdated.forEach(app => {
+        console.log(`- ${app.title} (${app.popularityScore}): ${app.categories.map(category => `${category.name} #${category.position ?? '-'}`).join(', ')}`.gray);
+      });
+    }
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error updating category membership:'.red, error);
+    process.exit(1);
+  }
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+  console.log('\nGracefully shutting down...'.yellow);
+  process.exit(0);
+});
+
+// Run the update
+updateCategoryMembership();
@@ -0,0 +1,471 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { connectDB } = require('./src/utils/mongoUtils');
+const App = require('./src/models/App');
+const Integration = require('./src/models/Integration');
+const Template = require('./src/models/Template');
+const RedisService = require('./src/services/redisService');
+const BrowserSession = require('./src/utils/browserSession');
+const JsonResponseCollector = require('./src/extractors/responseCollector');
+const { fetchIntegrationPageOverHttp } = require('./src/extractors/httpExtractor');
+const { extractIntegrationPageFromHtml } = require('./src/extractors/integrationPageExtractor');
+const { getFetchMode } = require('./src/config/fetchMode');
+const { getProductId } = require('./src/config/product');
+const { analysisPath } = require('./src/utils/productAnalysis');
+const colors = require('colors');
+
+// Get the default Chrome path based on the operating system
+function getDefaultChromePath() {
+  switch (os.platform()) {
+    case 'darwin': // macOS
+      return '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+    case 'linux':
+      return '/usr/bin/google-chrome';
+    default:
+      return process.env.CHROME_PATH || '/usr/bin/google-chrome';
+  }
+}
+
+// Target product whose relevant apps and competitors are scraped and reported
+// (--product=<id>, PRODUCT env var, retently)
+const PRODUCT = getProductId();
+
+const CONFIG = {
+  CHROME_PATH: process.env.CHROME_PATH || getDefaultChromePath(),
+  TIMEOUT: 120000,
+  // Partners kept per app, in the order of its integrations page
+  MAX_PARTNERS: parseInt(process.env.INTEGRATION_MAX_PARTNERS, 10) || 50,
+  // Top partners whose app-pair page is also read for more templates
+  PAIR_PAGES: parseInt(process.env.INTEGRATION_PAIR_PAGES ?? '5', 10),
+  // Apps scoring at least this in stage 6 count as competitors (scraped even when not relevant, and reported)
+  COMPETITOR_MIN_SCORE: parseInt(process.env.COMPETITOR_MIN_SCORE, 10) || 7,
+  REPORT_PATH: path.join('reports', `competitor_pairings.${PRODUCT}.json`),
+  REPORT_ONLY: process.argv.includes('--report-only')
+};
+
+// Puppeteer launch options for integrations pages
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  executablePath: CONFIG.CHROME_PATH,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--window-size=1920x1080'
+  ],
+  defaultViewport: {
+    width: 1920,
+    height: 1080
+  }
+};
+
+// Fetch mode of this stage (FETCH_MODE_INTEGRATIONS, see src/config/fetchMode.js)
+const FETCH_MODE = getFetchMode('integrations');
+
+// Get machine ID from env or hostname
+const MACHINE_ID = process.env.MACHINE_ID || os.hostname().split('.')[0];
+
+// Initialize Redis Service, completions kept per stage (integrations are shared by all products)
+const redisService = new RedisService(MACHINE_ID, { stage: 12 });
+
+// Add machine status tracking
+const machineStatus = {
+  machine_id: MACHINE_ID,
+  started_at: Date.now(),
+  last_active: Date.now(),
+  processed_count: 0,
+  failed_count: 0,
+  current_app: null,
+  fetch_mode: FETCH_MODE,
+  http_count: 0,
+  browser_count: 0
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// JSON response collector of each configured page
+const responseCollectors = new WeakMap();
+
+/**
+ * Configures a page: only documents, scripts and xhr/fetch are loaded, and
+ * their JSON responses are collected for structured extraction.
+ * @param {import('puppeteer-core').Page} page - New page
+ * @returns {Promise<void>}
+ */
+async function setupPage(page) {
+  await page.setRequestInterception(true);
+
+  page.on('request', request => {
+    if (['document', 'xhr', 'fetch', 'script'].includes(request.resourceType())) {
+      request.continue();
+    } else {
+      request.abort();
+    }
+  });
+
+  const collector = new JsonResponseCollector();
+  collector.attach(page);
+  responseCollectors.set(page, collector);
+
+  await page.setDefaultTimeout(CONFIG.TIMEOUT);
+  await page.setDefaultNavigationTimeout(CONFIG.TIMEOUT);
+}
+
+/**
+ * Loads an integrations or app-pair page in the browser and extracts it, with
+ * the JSON responses it received.
+ * @param {BrowserSession} session - Browser session
+ * @param {string} url - Page URL
+ * @param {string} appSlug - Slug of the app the page is fetched for
+ * @returns {Promise<{partners: Object[], templates: Object[]}>}
+ */
+async function scrapeIntegrationPage(session, url, appSlug) {
+  const page = await session.getPage();
+  const responses = responseCollectors.get(page);
+
+  responses?.reset();
+  await page.goto(url, { waitUntil: 'networkidle2' });
+  await delay(2000); // Let client-side lists render
+  const html = await page.content();
+  await responses?.settle();
+
+  return extractIntegrationPageFromHtml(html, url, {
+    appSlug,
+    payloads: responses ? responses.payloads() : []
+  });
+}
+
+/**
+ * Fetches one integrations or app-pair page according to the stage's fetch mode:
+ * plain HTTP first in the http modes, the browser when the HTML lists neither
+ * partners nor templates (never in http-only).
+ * @param {BrowserSession} session - Lazily launched browser, only started when needed
+ * @param {string} url - Page URL
+ * @param {string} appSlug - Slug of the app the page is fetched for
+ * @returns {Promise<{partners: Object[], templates: Object[]}>}
+ * @throws {Error} When the page can't be downloaded
+ */
+async function fetchIntegrationPage(session, url, appSlug) {
+  if (FETCH_MODE !== 'browser') {
+    try {
+      const { partners, templates, missing } = await fetchIntegrationPageOverHttp(url, appSlug);
+      if (!missing.length || FETCH_MODE === 'http-only') {
+        machineStatus.http_count++;
+        return { partners, templates };
+      }
+      console.log(`Escalating ${url} to browser, missing: ${missing.join(', ')}`.gray);
+    } catch (error) {
+      if (FETCH_MODE === 'http-only') throw error;
+      console.log(`HTTP fetch failed for ${url}, falling back to browser: ${error.message}`.gray);
+    }
+  }
+
+  const result = await scrapeIntegrationPage(session, url, appSlug);
+  machineStatus.browser_count++;
+  return result;
+}
+
+/**
+ * Collects an app's top partner apps from its integrations page, and the Zap
+ * templates shown there and on the app-pair pages of its first partners.
+ * @param {BrowserSession} session - Browser session
+ * @param {string} appSlug - App slug
+ * @returns {Promise<{partners: Object[], templates: Object[]}>} Templates deduplicated by id
+ */
+async function scrapeIntegrations(session, appSlug) {
+  const main = await fetchIntegrationPage(session, `https://zapier.com/apps/${appSlug}/integrations`, appSlug);
+  const partners = main.partners.slice(0, CONFIG.MAX_PARTNERS);
+  const templates = new Map();
+  const addTemplates = list => list
+    .filter(template => template.templateId && !templates.has(template.templateId))
+    .forEach(template => templates.set(template.templateId, template));
+  addTemplates(main.templates);
+
+  for (const partner of partners.slice(0, CONFIG.PAIR_PAGES)) {
+    try {
+      await delay(1000);
+      const pair = await fetchIntegrationPage(session, partner.url, appSlug);
+      addTemplates(pair.templates);
+    } catch (error) {
+      console.log(`Skipping pair page ${partner.url}: ${error.message}`.yellow);
+    }
+  }
+
+  return { partners, templates: [...templates.values()] };
+}
+
+/**
+ * Builds the upsert of a scraped template. Only the fields it has a value for
+ * are set, so a template seen as a bare link (DOM source: no steps, no events)
+ * doesn't erase what an earlier scrape read from structured page data; the
+ * empty ones, and the DOM source itself, are only written on insert. App slugs
+ * are added to the stored ones.
+ * @param {Object} template - Template from scrapeIntegrations()
+ * @param {Date} scrapedAt - Scrape time
+ * @returns {Object} MongoDB update
+ */
+function templateUpdate(template, scrapedAt) {
+  const $set = { scrapedAt };
+  const $setOnInsert = {};
+  const { appSlugs = [], ...fields } = template;
+  Object.entries(fields).forEach(([field, value]) => {
+    const isEmpty = value === null || value === undefined || (Array.isArray(value) && !value.length);
+    const keepsStored = isEmpty || (field === 'source' && value === 'dom');
+    (keepsStored ? $setOnInsert : $set)[field] = value;
+  });
+
+  const update = { $set, $addToSet: { appSlugs: { $each: appSlugs } } };
+  if (Object.keys($setOnInsert).length) update.$setOnInsert = $setOnInsert;
+  return update;
+}
+
+/**
+ * Upserts the scraped templates and replaces the app's Integration documents
+ * with its current partners.
+ * @param {string} appSlug - App slug
+ * @param {Object[]} partners - Partners from scrapeIntegrations()
+ * @param {Object[]} templates - Templates from scrapeIntegrations()
+ * @returns {Promise<void>}
+ */
+async function saveIntegrations(appSlug, partners, templates) {
+  const scrapedAt = new Date();
+
+  if (templates.length) {
+    await Template.bulkWrite(templates.map(template => ({
+      updateOne: {
+        filter: { templateId: template.templateId },
+        update: templateUpdate(template, scrapedAt),
+        upsert: true
+      }
+    })));
+  }
+
+  if (partners.length) {
+    await Integration.bulkWrite(partners.map(partner => ({
+      updateOne: {
+        filter: { appSlug, partnerSlug: partner.slug },
+        update: {
+          $set: {
+            partnerTitle: partner.title,
+            rank: partner.rank,
+            url: partner.url,
+            templateCount: templates
+              .filter(template => template.appSlugs.includes(appSlug) && template.appSlugs.includes(partner.slug))
+              .length,
+            scrapedAt
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  // Partners no longer listed on the app's page
+  await Integration.deleteMany({ appSlug, partnerSlug: { $nin: partners.map(partner => partner.slug) } });
+}
+
+/**
+ * Scrapes and stores one app's integrations, skipping apps another machine is
+ * processing or has already done.
+ * @param {BrowserSession} session - Browser session
+ * @param {Object} app - App document
+ * @returns {Promise<void>}
+ * @throws {Error} When the app's page can't be read; its processing flag is released
+ */
+async function processApp(session, app) {
+  const appSlug = app.slug;
+  machineStatus.current_app = app.title;
+
+  try {
+    const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug);
+
+    if (isProcessing) {
+      console.log(`${app.title} is being scraped by another machine, skipping...`.yellow);
+      return;
+    }
+
+    if (isCompleted) {
+      console.log(`${app.title} integrations already scraped, skipping...`.cyan);
+      return;
+    }
+
+    await redisService.markAppProcessing(appSlug);
+    console.log(`Started scraping integrations of ${app.title}`.gray);
+
+    const { partners, templates } = await scrapeIntegrations(session, appSlug);
+    if (!partners.length && !templates.length) {
+      throw new Error('No partner apps or templates found');
+    }
+    await saveIntegrations(appSlug, partners, templates);
+
+    await redisService.markAppCompleted(appSlug, {
+      partners: partners.length,
+      templates: templates.length
+    });
+
+    machineStatus.processed_count++;
+    console.log(`Successfully scraped ${app.title}: ${partners.length} partners, ${templates.length} templates`.green);
+
+  } catch (error) {
+    console.error(`Error processing ${app.title}`.red, error.message);
+    machineStatus.failed_count++;
+    await redisService.releaseApp(appSlug);
+    throw error;
+  } finally {
+    machineStatus.current_app = null;
+  }
+}
+
+/**
+ * Builds the competitor pairing report of the target product: the apps most
+ * often paired with its competitors (competitorScore >= COMPETITOR_MIN_SCORE)
+ * in either direction of an Integration, and the templates competitors appear
+ * in. Written to reports/competitor_pairings.<product id>.json.
+ * @returns {Promise<Object>} The report
+ */
+async function writeCompetitorReport() {
+  const competitors = (await App.find(
+    { [analysisPath('competitorScore', PRODUCT)]: { $gte: CONFIG.COMPETITOR_MIN_SCORE } },
+    { slug: 1, title: 1, [analysisPath('competitorScore', PRODUCT)]: 1 }
+  ).lean()).map(({ slug, title, analyses }) => ({ slug, title, competitorScore: analyses[PRODUCT].competitorScore }));
+  const competitorSlugs = competitors.map(competitor => competitor.slug);
+
+  const integrations = await Integration.find({
+    $or: [{ appSlug: { $in: competitorSlugs } }, { partnerSlug: { $in: competitorSlugs } }]
+  }).lean();
+
+  // Partner slug -> competitors it is paired with, and the partner's best rank on their pages
+  const partners = new Map();
+  integrations.forEach(integration => {
+    const competitorSide = competitorSlugs.includes(integration.appSlug) ? 'appSlug' : 'partnerSlug';
+    const competitor = integration[competitorSide];
+    const partner = competitorSide === 'appSlug' ? integration.partnerSlug : integration.appSlug;
+
+    const entry = partners.get(partner) || { slug: partner, competitors: [], templateCount: 0 };
+    if (!entry.competitors.some(item => item.slug === competitor)) {
+      entry.competitors.push({ slug: competitor, rank: integration.rank ?? null });
+      entry.templateCount += integration.templateCount || 0;
+    }
+    partners.set(partner, entry);
+  });
+
+  const titles = new Map((await App.find({ slug: { $in: [...partners.keys()] } }, { slug: 1, title: 1 }).lean())
+    .map(app => [app.slug, app.title]));
+  const rankedPartners = [...partners.values()]
+    .map(entry => ({ ...entry, title: titles.get(entry.slug) || null, competitorCount: entry.competitors.length }))
+    .sort((a, b) => b.competitorCount - a.competitorCount || b.templateCount - a.templateCount);
+
+  const templates = await Template.find({ appSlugs: { $in: competitorSlugs } })
+    .sort({ usageCount: -1 })
+    .limit(200)
+    .lean();
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    product: PRODUCT,
+    minCompetitorScore: CONFIG.COMPETITOR_MIN_SCORE,
+    competitors,
+    partners: rankedPartners,
+    templates: templates.map(template => ({
+      templateId: template.templateId,
+      title: template.title,
+      trigger: `${template.triggerApp || '?'}: ${template.triggerEvent || '?'}`,
+      action: `${template.actionApp || '?'}: ${template.actionEvent || '?'}`,
+      appSlugs: template.appSlugs,
+      usageCount: template.usageCount,
+      url: template.url
+    }))
+  };
+
+  await fs.mkdir(path.dirname(CONFIG.REPORT_PATH), { recursive: true });
+  await fs.writeFile(CONFIG.REPORT_PATH, JSON.stringify(report, null, 2));
+
+  console.log(`\nApps most often paired with ${competitors.length} competitors:`.yellow);
+  rankedPartners.slice(0, 10).forEach(partner => {
+    console.log(`- ${partner.title || partner.slug}: ${partner.competitorCount} competitors (${partner.competitors.map(item => item.slug).join(', ')})`.gray);
+  });
+  console.log(`Report written to ${CONFIG.REPORT_PATH}`.cyan);
+
+  return report;
+}
+
+// Update machine status periodically
+setInterval(async () => {
+  try {
+    await redisService.updateMachineStatus(machineStatus);
+  } catch (error) {
+    console.error('Failed to update machine status:'.red, error);
+  }
+}, 30000);
+
+async function scrapeAppIntegrations() {
+  try {
+    // Connect to MongoDB
+    await connectDB();
+    console.log('MongoDB connected successfully'.green);
+
+    if (CONFIG.REPORT_ONLY) {
+      await writeCompetitorReport();
+      process.exit(0);
+    }
+
+    // Check Redis connection
+    if (!await redisService.isConnected()) {
+      console.error('Redis connection failed. Exiting...'.red);
+      process.exit(1);
+    }
+
+    // Apps relevant to the target product and its competitors, most popular first
+    const apps = await App.find({
+      $or: [
+        { [analysisPath('isRelevant', PRODUCT)]: true },
+        { [analysisPath('competitorScore', PRODUCT)]: { $gte: CONFIG.COMPETITOR_MIN_SCORE } }
+      ]
+    }).sort({ popularityScore: -1 });
+    console.log(`Found ${apps.length} apps to scrape integrations for (fetch mode: ${FETCH_MODE})`.yellow);
+
+    // Chrome is only launched if a page actually needs the browser
+    const session = new BrowserSession({ launchOptions: LAUNCH_OPTIONS, setupPage });
+
+    try {
+      for (const app of apps) {
+        try {
+          await processApp(session, app);
+          await delay(1000);
+        } catch (error) {
+          continue; // Continue with next app even if one fails
+        }
+      }
+    } finally {
+      await session.close();
+    }
+
+    console.log('Integration scraping complete'.green);
+    console.log(`Pages fetched over HTTP: ${machineStatus.http_count}, with the browser: ${machineStatus.browser_count}`.cyan);
+
+    await writeCompetitorReport();
+    process.exit(0);
+  } catch (error) {
+    console.error('Main process error:'.red, error);
+    process.exit(1);
+  }
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', async () => {
+  console.log('\nGracefully shutting down...'.yellow);
+  try {
+    await redisService.updateMachineStatus({
+      ...machineStatus,
+      status: 'stopped'
+    });
+  } catch (error) {
+    console.error('Error updating final status:'.red, error);
+  }
+  process.exit(0);
+});
+
+scrapeAppIntegrations();
@@ -1,25 +1,94 @@
 const puppeteer = require('puppeteer-core');
 const fs = require('fs');
+const os = require('os');
+const { TREE_PATH, buildCategoryTree, flattenCategoryTree } = require('./src/utils/categoryTree');
+const { STATE_SCRIPT_SELECTOR, parseJsonTexts, findAppListings } = require('./src/extractors/embeddedState');
+const { parseAppCount } = require('./src/extractors/httpExtractor');
+
+// Get the default Chrome path based on the operating system
+function getDefaultChromePath() {
+  switch (os.platform()) {
+    case 'darwin': // macOS
+      return '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+    case 'linux':
+      return '/usr/bin/google-chrome';
+    default:
+      return process.env.CHROME_PATH || '/usr/bin/google-chrome';
+  }
+}
+
+const CONFIG = {
+  // Path to Chrome executable for Puppeteer
+  CHROME_PATH: process.env.CHROME_PATH || getDefaultChromePath(),
+
+  // Page listing every category
+  CATEGORIES_URL: 'https://zapier.com/apps/categories',
+
+  // Flat category list read by 2_scrape_apps_list.js
+  OUTPUT_FILE: 'categories.json',
+
+  // Maximum time (in milliseconds) to wait for a page to load
+  TIMEOUT: 30000,
+
+  // Delay (in milliseconds) between category detail pages
+  DELAY: 500
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Gets the Puppeteer launch options: a visible browser on macOS (local runs),
+ * headless everywhere else.
+ * @returns {Object} Puppeteer launch configuration options
+ */
+function getLaunchOptions() {
+  return {
+    headless: os.platform() === 'darwin' && process.env.HEADLESS !== 'true' ? false : 'new',
+    executablePath: CONFIG.CHROME_PATH,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-javascript']
+  };
+}
+
+/**
+ * Reads the description and displayed app count of a category page. The count
+ * comes from the embedded page state when it advertises a total, else from the text.
+ * @param {import('puppeteer-core').Page} page - Page to navigate
+ * @param {Object} node - Tree node to fill in
+ * @returns {Promise<void>}
+ */
+async function scrapeCategoryDetails(page, node) {
+  await page.goto(node.url, { waitUntil: 'domcontentloaded', timeout: CONFIG.TIMEOUT });
+
+  const details = await page.evaluate(() => {
+    const meta = document.querySelector('meta[name="description"], meta[property="og:description"]');
+    const heading = document.querySelector('h1');
+    const intro = heading?.parentElement?.querySelector('p');
+    return {
+      description: (intro?.textContent || meta?.content || '').trim() || null,
+      text: document.body?.innerText || ''
+    };
+  });
+  const stateTexts = await page.$$eval(STATE_SCRIPT_SELECTOR, scripts => scripts.map(script => script.textContent));
+
+  node.description = details.description;
+  node.appCount = findAppListings(parseJsonTexts(stateTexts)).total || parseAppCount(details.text);
+  node.scrapedAt = new Date().toISOString();
+}
 
 async function scrapeCategories() {
   console.log('Starting category scraper...');
-  
-  const browser = await puppeteer.launch({ 
-    headless: false,
-    executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-    args: ['--no-sandbox', '--disable-javascript']
-  });
+
+  const browser = await puppeteer.launch(getLaunchOptions());
 
   try {
     console.log('Creating page...');
     const page = await browser.newPage();
-    
+
     console.log('Setting up request interception...');
     await page.setRequestInterception(true);
     page.on('request', request => {
       const type = request.resourceType();
-      console.log(`Intercepted request: ${type} - ${request.url()}`);
-      if (['script', 'stylesheet', 'image'].includes(type)) {
+      if (['script', 'stylesheet', 'image', 'font', 'media'].includes(type)) {
         request.abort();
       } else {
         request.continue();
@@ -27,21 +96,20 @@ async function scrapeCategories() {
     });
 
     console.log('Navigating to categories page...');
-    await page.goto('https://zapier.com/apps/categories', {
+    await page.goto(CONFIG.CATEGORIES_URL, {
       waitUntil: 'domcontentloaded',
-      timeout: 30000
+      timeout: CONFIG.TIMEOUT
     });
 
     console.log('Waiting 5 seconds for page load...');
     await new Promise(r => setTimeout(r, 5000));
 
     console.log('Extracting categories...');
-    const categories = await page.evaluate(() => {
+    // Links are kept in page order: each "All ..." umbrella is followed by its subcategories
+    const links = await page.evaluate(() => {
       const links = document.querySelectorAll('a[href*="/categories/"]');
-      console.log(`Found ${links.length} potential category links`);
-      
+
       return Array.from(links).map(link => {
-        console.log(`Processing link: ${link.href}`);
         return {
           name: link.textContent.trim(),
           url: link.href
@@ -49,18 +117,37 @@ async function scrapeCategories() {
       }).filter(cat => cat.name && cat.url);
     });
 
-    console.log('Categories found:', categories);
-    
-    if (categories.length > 0) {
-      fs.writeFileSync('categories.json', JSON.stringify(categories, null, 2));
-      console.log(`Saved ${categories.length} categories to categories.json`);
-    } else {
+    console.log(`Found ${links.length} category links`);
+
+    if (links.length === 0) {
       console.log('No categories found!');
+      // Debug page content
+      const html = await page.content();
+      console.log('Page HTML:', html.substring(0, 500));
+      return;
+    }
+
+    const tree = buildCategoryTree(links);
+    const nodes = [
+      ...(tree.appFamilies ? [tree.appFamilies, ...tree.appFamilies.children] : []),
+      ...tree.umbrellas.flatMap(umbrella => [umbrella, ...umbrella.children])
+    ];
+
+    console.log(`Reading details of ${nodes.length} categories...`);
+    for (const node of nodes) {
+      try {
+        await scrapeCategoryDetails(page, node);
+        console.log(`${node.name}: ${node.appCount ?? '?'} apps`);
+      } catch (error) {
+        console.error(`Error reading details of ${node.name}:`, error.message);
+      }
+      await delay(CONFIG.DELAY);
     }
 
-    // Debug page content
-    const html = await page.content();
-    console.log('Page HTML:', html.substring(0, 500));
+    fs.writeFileSync(TREE_PATH, JSON.stringify(tree, null, 2));
+    fs.writeFileSync(CONFIG.OUTPUT_FILE, JSON.stringify(flattenCategoryTree(tree), null, 2));
+    console.log(`Saved ${tree.umbrellas.length} umbrella categories and ${tree.appFamilies?.children.length || 0} app families to ${TREE_PATH}`);
+    console.log(`Saved ${nodes.length} categories to ${CONFIG.OUTPUT_FILE}`);
 
   } catch (error) {
     console.error('Error:', error);
@@ -70,4 +157,4 @@ async function scrapeCategories() {
   }
 }
 
-scrapeCategories();
\ No newline at end of file
+scrapeCategories();
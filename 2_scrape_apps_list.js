@@ -1,7 +1,13 @@
-const puppeteer = require('puppeteer-core');
 const fs = require('fs');
 const os = require('os');
 const colors = require('colors');
+const JsonResponseCollector = require('./src/extractors/responseCollector');
+const { STATE_SCRIPT_SELECTOR, parseJsonTexts, findAppListings } = require('./src/extractors/embeddedState');
+const BrowserSession = require('./src/utils/browserSession');
+const { fetchCategoryOverHttp, parseAppCount } = require('./src/extractors/httpExtractor');
+const { getFetchMode } = require('./src/config/fetchMode');
+const { categoryFileName, readCategoryResult, completenessOf } = require('./src/utils/categoryResults');
+const { readCheckpoint, writeCheckpoint, clearCheckpoint } = require('./src/utils/categoryCheckpoints');
 
 // Get the default Chrome path based on the operating system
 function getDefaultChromePath() {
@@ -52,8 +58,14 @@ const CONFIG = {
   // Minimum number of new items expected per load operation
   MIN_NEW_ITEMS_PER_LOAD: 10,  // Reduced minimum
   
-  // Number of categories to process in parallel
-  CONCURRENT_CATEGORIES: 1,
+  // Number of categories to process in parallel (one page each, in a shared browser)
+  CONCURRENT_CATEGORIES: parseInt(process.env.CONCURRENT_CATEGORIES, 10) || 1,
+
+  // Share of the advertised app count a category must reach to count as complete
+  MIN_COMPLETENESS: parseFloat(process.env.MIN_COMPLETENESS) || 0.95,
+
+  // Maximum scrapes of an incomplete category before its partial result is kept
+  MAX_SCRAPE_ATTEMPTS: parseInt(process.env.MAX_SCRAPE_ATTEMPTS, 10) || 3,
   
   // Browser instance settings
   BROWSER_OPTIONS: {
@@ -71,6 +83,13 @@ const CONFIG = {
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// Fetch mode of this stage (see src/config/fetchMode.js) and how many categories each path handled
+const FETCH_MODE = getFetchMode('categories');
+const fetchStats = { http: 0, browser: 0, incomplete: 0 };
+
+// JSON response collector of each configured page
+const responseCollectors = new WeakMap();
+
 const debug = (...args) => {
   if (CONFIG.DEBUG) {
     console.log(`[${new Date().toISOString()}]`, ...args);
@@ -148,6 +167,11 @@ async function setupPage(page) {
     }
   });
 
+  // Keep the JSON bodies of xhr/fetch responses (category listing pages)
+  const collector = new JsonResponseCollector();
+  collector.attach(page);
+  responseCollectors.set(page, collector);
+
   // Configure page timeouts
   await page.setDefaultTimeout(CONFIG.TIMEOUT);
   await page.setDefaultNavigationTimeout(CONFIG.TIMEOUT);
@@ -262,9 +286,10 @@ async function findLoadMoreButton(page) {
  * - No "Load More" button found after multiple scroll attempts
  * 
  * @param {import('puppeteer-core').Page} page - Puppeteer page instance to load content from
+ * @param {function(): Promise<void>} [onProgress] - Called after each load that added content (checkpointing)
  * @returns {Promise<number>} Total number of apps loaded
  */
-async function loadAllApps(page) {
+async function loadAllApps(page, onProgress) {
   let hasMore = true;
   let attempts = 0;
   let noNewContentAttempts = 0;
@@ -326,6 +351,7 @@ async function loadAllApps(page) {
           noNewContentAttempts = 0;
           previousCount = newCount;
           debug(`Loaded ${newCount - initialCount} new items. Total: ${newCount}`);
+          await onProgress?.();
         }
       } else {
         debug('Found Load More button, clicking...');
@@ -351,6 +377,7 @@ async function loadAllApps(page) {
           noNewContentAttempts = 0;
           previousCount = newCount;
           debug(`Successfully loaded ${newCount - initialCount} new items. Total: ${newCount}`);
+          await onProgress?.();
         } else {
           noNewContentAttempts++;
           debug(`Insufficient new content. Attempt ${noNewContentAttempts}/${maxNoNewContentAttempts}`);
@@ -380,12 +407,32 @@ async function loadAllApps(page) {
   return finalCount;
 }
 
+/**
+ * Collects the app URLs loaded so far on a category page: listings from the JSON
+ * responses received up to now plus the app links in the DOM. Used to checkpoint
+ * progress while "Load more" is being clicked.
+ * @param {import('puppeteer-core').Page} page - Category page
+ * @returns {Promise<string[]>} Unique app integration URLs
+ */
+async function collectLoadedUrls(page) {
+  const responses = responseCollectors.get(page);
+  const listing = findAppListings(responses ? responses.payloads() : []);
+  const urls = await page.evaluate(() => {
+    const pattern = /https:\/\/zapier\.com\/apps\/[^\/]+\/integrations/;
+    return Array.from(document.querySelectorAll('a[href*="/apps/"][href*="/integrations"]'))
+      .map(a => a.href)
+      .filter(url => pattern.test(url));
+  });
+  return [...new Set([...listing.urls, ...urls])];
+}
+
 /**
  * Scrapes all app URLs from a given Zapier category page.
  * 
  * Key functionality:
  * - Navigates to the category URL with JavaScript enabled
  * - Uses loadAllApps() to load all content by clicking "Load More" buttons
+ * - Reads app listings from embedded page state and intercepted JSON responses first
  * - Extracts all app integration URLs matching pattern: https://zapier.com/apps/{app}}/integrations
  * - Performs URL extraction twice (with and without JavaScript) to ensure completeness
  * - Deduplicates URLs before returning
@@ -393,28 +440,52 @@ async function loadAllApps(page) {
  * Process:
  * 1. Loads page with JavaScript enabled to handle dynamic content
  * 2. Loads all available apps using loadAllApps()
- * 3. Extracts URLs from loaded content
- * 4. Disables JavaScript and re-extracts URLs as backup
- * 5. Combines and deduplicates URLs from both extractions
+ * 3. Extracts URLs from structured payloads (__NEXT_DATA__, xhr/fetch JSON)
+ * 4. Extracts URLs from loaded content as a fallback
+ * 5. Disables JavaScript and re-extracts URLs as backup
+ * 6. Combines and deduplicates URLs, structured ones first
+ * 7. Reads the advertised app total from the payloads (last API page included)
+ *    or, failing that, from the count displayed in the page header
  * 
  * @param {import('puppeteer-core').Page} page - Puppeteer page instance to scrape
  * @param {Object} category - Category object containing name and URL
  * @param {string} category.name - Name of the category
  * @param {string} category.url - URL of the category page
- * @returns {Promise<string[]>} Array of unique app integration URLs
- * @throws Logs but doesn't throw errors, returns empty array on failure
+ * @param {function(string[]): Promise<void>} [saveProgress] - Receives the URLs loaded so far after each "Load more"
+ * @returns {Promise<{urls: string[], expectedTotal: number | null, failed?: boolean}>} Unique app integration URLs and the advertised total
+ * @throws Logs but doesn't throw errors; on failure returns the URLs loaded before the error, flagged `failed`
  */
-async function scrapeCategory(page, category) {
+async function scrapeCategory(page, category, saveProgress) {
   debug(`Processing category: ${category.name}`);
+  const responses = responseCollectors.get(page);
+  // URLs of the last "Load more", returned when the crawl fails part-way
+  let loadedUrls = [];
   
   try {
     // First load with JavaScript enabled to handle "Load more" clicks
+    responses?.reset();
     await page.setJavaScriptEnabled(true);
     await page.goto(category.url, { waitUntil: 'networkidle0', timeout: CONFIG.TIMEOUT });
     
-    // Load all content first
-    await loadAllApps(page);
+    // Load all content first, checkpointing the URLs found after each load
+    await loadAllApps(page, async () => {
+      loadedUrls = await collectLoadedUrls(page);
+      if (saveProgress) await saveProgress(loadedUrls);
+    });
     debug('All content loaded, preparing to extract URLs');
+
+    // Structured listings: embedded state plus the JSON pages fetched by "Load more"
+    await responses?.settle();
+    const stateTexts = await page.$$eval(STATE_SCRIPT_SELECTOR, scripts => scripts.map(s => s.textContent));
+    const listing = findAppListings([
+      ...parseJsonTexts(stateTexts),
+      ...(responses ? responses.payloads() : [])
+    ]);
+    debug(`Found ${listing.urls.length} app URLs in structured payloads`);
+
+    // Advertised total: structured payloads first, then the count shown next to the heading
+    const headerText = await page.evaluate(() => document.querySelector('h1')?.parentElement?.innerText || '');
+    const expectedTotal = listing.total || parseAppCount(headerText);
     
     // Extract URLs while content is still loaded
     const urls = await page.evaluate(() => {
@@ -441,57 +512,187 @@ async function scrapeCategory(page, category) {
         .filter((url, index, self) => self.indexOf(url) === index);
     });
 
-    // Take the larger set of URLs
-    const allUrls = [...new Set([...urls, ...finalUrls])];
-    debug(`Final count: ${allUrls.length} unique app URLs`);
+    // Take the larger set of URLs, structured listings first. Sets keep insertion
+    // order, so the result stays in listing (popularity) order
+    const allUrls = [...new Set([...listing.urls, ...urls, ...finalUrls])];
+    debug(`Final count: ${allUrls.length} unique app URLs (expected ${expectedTotal ?? 'unknown'})`);
     
-    return allUrls;
+    return { urls: allUrls, expectedTotal };
   } catch (error) {
     console.error(`Error processing ${category.name}:`, error);
-    return [];
+    return { urls: loadedUrls, expectedTotal: null, failed: true };
   }
 }
 
-async function processCategory(browser, category) {
-  const page = await browser.newPage();
-  await setupPage(page);
-  
-  const filename = `${CONFIG.OUTPUT_DIR}/${category.name.replace(/[^a-z0-9]/gi, '_')}.json`;
-  if (fs.existsSync(filename)) {
-    debug(`Skipping ${category.name} - already processed`);
+/**
+ * Collects a category's app URLs according to the stage's fetch mode.
+ * - browser: scrapes the page with Puppeteer, clicking "Load more"
+ * - http: downloads the server-rendered page and only escalates to Puppeteer when
+ *   the listing is truncated (a "Load more" button or a larger advertised total)
+ * - http-only: never uses the browser; truncated listings are returned with `missingData`
+ *
+ * @param {BrowserSession} session - Lazily launched browser, only started when needed
+ * @param {Object} category - Category object containing name and URL
+ * @param {function(string[]): Promise<void>} [saveProgress] - Checkpoints partial URL sets while the browser loads
+ * @returns {Promise<{urls: string[], expectedTotal: number | null, fetchedWith: string, missingData?: string[], failed?: boolean}>}
+ */
+async function fetchCategory(session, category, saveProgress) {
+  if (FETCH_MODE !== 'browser') {
+    try {
+      const { urls, total, missing } = await fetchCategoryOverHttp(category.url);
+      if (!missing.length || FETCH_MODE === 'http-only') {
+        return { urls, expectedTotal: total, fetchedWith: 'http', ...(missing.length ? { missingData: missing } : {}) };
+      }
+      debug(`Escalating ${category.name} to browser, missing: ${missing.join(', ')}`);
+    } catch (error) {
+      if (FETCH_MODE === 'http-only') {
+        console.error(`Error fetching ${category.name.red}:`, error.message);
+        return { urls: [], expectedTotal: null, fetchedWith: 'http', missingData: ['urls'] };
+      }
+      debug(`HTTP fetch failed for ${category.name}, falling back to browser:`, error.message);
+    }
+  }
+
+  const page = await session.newPage();
+  try {
+    return { ...(await scrapeCategory(page, category, saveProgress)), fetchedWith: 'browser' };
+  } finally {
     await page.close();
+  }
+}
+
+/**
+ * Checks whether a category still has to be scraped: it has no result yet, or its
+ * last result is flagged incomplete and the attempt limit isn't reached.
+ * @param {Object | null} result - Latest category result (see readCategoryResult())
+ * @returns {boolean}
+ */
+function needsScrape(result) {
+  if (!result) return true;
+  return Boolean(result.incomplete) && (result.attempts || 1) < CONFIG.MAX_SCRAPE_ATTEMPTS;
+}
+
+/**
+ * Assigns each URL its 1-based position in the category listing. Positions seen
+ * in the current crawl win; URLs only known from the checkpoint or an earlier
+ * result keep the position recorded there.
+ * @param {string[]} urls - URLs of the current crawl, in listing order
+ * @param {string[]} resumedUrls - URLs of the checkpoint, in listing order
+ * @param {Object | null} previous - Earlier result of the category
+ * @returns {Object<string, number>} Position by URL
+ */
+function listingPositions(urls, resumedUrls, previous) {
+  const positions = {};
+  const assign = (url, position) => {
+    if (!(url in positions)) positions[url] = position;
+  };
+
+  urls.forEach((url, index) => assign(url, index + 1));
+  resumedUrls.forEach((url, index) => assign(url, index + 1));
+  (previous?.urls || []).forEach((url, index) => assign(url, previous.positions?.[url] || index + 1));
+  return positions;
+}
+
+/**
+ * Scrapes a category and writes its result file. The advertised total is taken
+ * from the page, else from the app count recorded in categories.json. When fewer
+ * than MIN_COMPLETENESS of it were collected (or nothing at all), the result is
+ * flagged `incomplete` so the category is re-queued; URLs of earlier attempts
+ * are merged into the new result.
+ *
+ * While the browser loads the list, the URLs found so far are checkpointed. A
+ * crawl interrupted by a crash resumes from that checkpoint: its URLs are merged
+ * in and the result records how many crawl `sessions` the category took. The
+ * checkpoint is only cleared once the category is complete, so the URLs of a
+ * failed or incomplete crawl are kept for the next attempt.
+ *
+ * `urls` are written in listing order, which Zapier roughly sorts by
+ * popularity, and `positions` maps each URL to its position in the listing.
+ *
+ * @param {BrowserSession} session - Lazily launched browser
+ * @param {Object} category - Category object containing name and URL
+ * @returns {Promise<void>}
+ */
+async function processCategory(session, category) {
+  const filename = `${CONFIG.OUTPUT_DIR}/${categoryFileName(category.name)}`;
+  const previous = await readCategoryResult(category.name, CONFIG.OUTPUT_DIR);
+  if (!needsScrape(previous)) {
+    debug(`Skipping ${category.name} - already processed`);
     return;
   }
 
-  debug(`Processing category: ${category.name.green}`);
+  const attempts = previous ? (previous.attempts || 1) + 1 : 1;
+  debug(`Processing category: ${category.name.green}${attempts > 1 ? ` (attempt ${attempts}/${CONFIG.MAX_SCRAPE_ATTEMPTS})` : ''}`);
+
+  // Resume from the checkpoint of an interrupted crawl, and count this session
+  const checkpoint = await readCheckpoint(category.name);
+  const resumedUrls = checkpoint?.urls || [];
+  const sessions = (checkpoint?.sessions || 0) + 1;
+  if (checkpoint) {
+    debug(`Resuming ${category.name} from checkpoint: ${resumedUrls.length} URLs, session ${sessions}`);
+  }
+  const saveProgress = urls => writeCheckpoint(category.name, {
+    urls: [...new Set([...resumedUrls, ...urls])],
+    sessions
+  });
+  await saveProgress([]);
 
   try {
-    const apps = await scrapeCategory(page, category);
+    const { urls, expectedTotal: advertised, fetchedWith, missingData, failed } = await fetchCategory(session, category, saveProgress);
+    // Re-read the checkpoint: it also holds what this session saved before failing
+    const checkpointedUrls = (await readCheckpoint(category.name))?.urls || resumedUrls;
+    const positions = listingPositions(urls, checkpointedUrls, previous);
+    const apps = Object.keys(positions).sort((a, b) => positions[a] - positions[b]);
+    const expectedTotal = advertised || previous?.expectedTotal || category.appCount || null;
+    const completeness = completenessOf(apps.length, expectedTotal);
+    const incomplete = Boolean(failed) || apps.length === 0 || (completeness !== null && completeness < CONFIG.MIN_COMPLETENESS);
+
+    // Empty results are written too, so their attempts are counted instead of retried forever
+    fs.writeFileSync(filename, JSON.stringify({
+      category: category.name,
+      url: category.url,
+      scrapedAt: new Date().toISOString(),
+      fetchedWith,
+      ...(missingData ? { missingData } : {}),
+      totalUrls: apps.length,
+      expectedTotal,
+      completeness,
+      ...(incomplete ? { incomplete: true } : {}),
+      attempts,
+      sessions: (previous?.sessions || 0) + sessions,
+      urls: apps,
+      positions
+    }, null, 2));
+    if (incomplete) {
+      // Keep the URLs for the next attempt; its sessions are now counted in the result
+      await writeCheckpoint(category.name, { urls: apps, sessions: 0 });
+    } else {
+      await clearCheckpoint(category.name);
+    }
+
+    if (incomplete) {
+      const retry = attempts < CONFIG.MAX_SCRAPE_ATTEMPTS ? 're-queued' : 'attempt limit reached';
+      debug(`⚠ ${category.name.yellow} incomplete: ${apps.length}/${expectedTotal ?? '?'} apps (${retry})`);
+    }
     
-    if (apps.length > 0) {
-      fs.writeFileSync(filename, JSON.stringify({
-        category: category.name,
-        url: category.url,
-        scrapedAt: new Date().toISOString(),
-        totalUrls: apps.length,
-        urls: apps
-      }, null, 2));
-      
-      debug(`✓ Completed ${category.name.green} with ${String(apps.length).yellow} apps`);
+    if (fetchedWith === 'browser') {
+      fetchStats.browser++;
+    } else if (missingData) {
+      fetchStats.incomplete++;
+    } else {
+      fetchStats.http++;
     }
+    debug(`✓ Completed ${category.name.green} with ${String(apps.length).yellow} apps (${fetchedWith})`);
   } catch (error) {
     console.error(`Error scraping ${category.name.red}:`, error);
-  } finally {
-    await page.close();
   }
 }
 
 // Add this function after the debug function
-async function getRandomUnprocessedCategory(categories) {
-  const unprocessedCategories = categories.filter(category => {
-    const filename = `${CONFIG.OUTPUT_DIR}/${category.name.replace(/[^a-z0-9]/gi, '_')}.json`;
-    return !fs.existsSync(filename);
-  });
+async function getRandomUnprocessedCategory(categories, inProgress = new Set()) {
+  const pending = categories.filter(category => !inProgress.has(category.name));
+  const results = await Promise.all(pending.map(category => readCategoryResult(category.name, CONFIG.OUTPUT_DIR)));
+  const unprocessedCategories = pending.filter((category, index) => needsScrape(results[index]));
 
   if (unprocessedCategories.length === 0) {
     return null;
@@ -509,8 +710,10 @@ async function getRandomUnprocessedCategory(categories) {
  * - Loads category data from categories.json
  * - Initializes Puppeteer browser with custom configuration
  * - Sets up page interceptors and configurations
- * - Iterates through categories and scrapes each one:
- *   - Skips already processed categories (based on existing JSON files)
+ * - Runs CONCURRENT_CATEGORIES workers, each scraping one category at a time in its
+ *   own page of the shared browser:
+ *   - Skips already processed categories (based on existing result files), except
+ *     incomplete ones below MIN_COMPLETENESS, which are retried up to MAX_SCRAPE_ATTEMPTS times
  *   - Calls scrapeCategory() for each unprocessed category
  *   - Saves results to JSON files in the output directory
  *   - Implements delay between category scrapes
@@ -521,12 +724,14 @@ async function getRandomUnprocessedCategory(categories) {
  * - OUTPUT_DIR: Directory for saving category results
  * - CHROME_PATH: Path to Chrome executable
  * - DELAY: Delay between processing categories
+ * - CONCURRENT_CATEGORIES: Number of categories scraped in parallel
  * 
  * Output files are named based on sanitized category names and contain:
  * - Category name and URL
  * - Timestamp of scraping
- * - Total number of URLs found
- * - Array of all app URLs
+ * - Total number of URLs found, the advertised total (expectedTotal) and their ratio (completeness)
+ * - Number of crawl sessions the category took (sessions), counting interrupted ones
+ * - Array of all app URLs in listing order, and each URL's listing position
  * 
  * @returns {Promise<void>}
  * @throws Will log but not throw errors from individual category processing
@@ -542,28 +747,50 @@ async function main() {
   const categories = JSON.parse(fs.readFileSync('categories.json'));
   debug(`Loaded ${categories.length} categories`);
 
-  const browser = await puppeteer.launch({
-    ...getLaunchOptions(),
-    ...CONFIG.BROWSER_OPTIONS
+  // Chrome is only launched if a category actually needs the browser
+  const session = new BrowserSession({
+    launchOptions: { ...getLaunchOptions(), ...CONFIG.BROWSER_OPTIONS },
+    setupPage
   });
 
-  try {
+  // Categories currently being scraped by a worker
+  const inProgress = new Set();
+
+  const worker = async (workerId) => {
     while (true) {
-      const category = await getRandomUnprocessedCategory(categories);
+      const category = await getRandomUnprocessedCategory(categories, inProgress);
       
       if (!category) {
-        debug('No more categories to process');
+        debug(`Worker ${workerId}: no more categories to process`);
         break;
       }
+      // Another worker may have claimed it while the result files were being read
+      if (inProgress.has(category.name)) {
+        await delay(CONFIG.DELAY);
+        continue;
+      }
+      inProgress.add(category.name);
 
-      debug(`Processing category: ${category.name}`);
-      await processCategory(browser, category);
+      try {
+        debug(`Worker ${workerId} processing category: ${category.name}`);
+        await processCategory(session, category);
+      } finally {
+        inProgress.delete(category.name);
+      }
       await delay(CONFIG.DELAY); // Add delay between categories
     }
+  };
+
+  try {
+    debug(`Running ${CONFIG.CONCURRENT_CATEGORIES} concurrent categories`);
+    await Promise.all(
+      Array.from({ length: CONFIG.CONCURRENT_CATEGORIES }, (_, index) => worker(index + 1))
+    );
   } finally {
-    await browser.close();
+    await session.close();
   }
   
+  debug(`Fetch mode ${FETCH_MODE}: ${fetchStats.http} categories over HTTP, ${fetchStats.browser} needed the browser, ${fetchStats.incomplete} saved incomplete`);
   debug('Scraping process completed');
 }
 
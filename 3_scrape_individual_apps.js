@@ -1,7 +1,12 @@
-const puppeteer = require('puppeteer-core');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { SelectorDriftTracker } = require('./src/extractors/selectorResolver');
+const AppScraper = require('./src/extractors/appScraper');
+const BrowserSession = require('./src/utils/browserSession');
+const { getFetchMode } = require('./src/config/fetchMode');
+const { loadProductProfile, capabilitiesPath } = require('./src/config/product');
+const { productAppUrl, updateProductCapabilities } = require('./src/utils/productCapabilities');
 
 // Get the default Chrome path based on the operating system
 function getDefaultChromePath() {
@@ -22,9 +27,34 @@ const CONFIG = {
   TIMEOUT: 120000,
   LOAD_MORE_DELAY: 3000,
   DEBUG: true,
-  MAX_RETRIES: 3
+  MAX_RETRIES: 3,
+  // Optional deeper scrape opening each trigger/action for its kind, input fields and sample output
+  INTERACTION_DETAILS: process.env.SCRAPE_INTERACTION_DETAILS === 'true' || process.argv.includes('--interaction-details'),
+  // Only refresh the target product's own app and its profile's triggers/actions, no category crawl
+  OWN_PRODUCT_ONLY: process.argv.includes('--own-product-only')
 };
 
+// Puppeteer launch options for app scraping
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  executablePath: CONFIG.CHROME_PATH,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920x1080'
+  ],
+  defaultViewport: {
+    width: 1920,
+    height: 1080
+  }
+};
+
+// Fetch mode of this stage (see src/config/fetchMode.js)
+const FETCH_MODE = getFetchMode('apps');
+
 const debug = (...args) => {
   if (CONFIG.DEBUG) {
     console.log(`[${new Date().toISOString()}]`, ...args);
@@ -33,283 +63,39 @@ const debug = (...args) => {
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-async function setupPage(page) {
-  debug('Setting up page configuration');
-  
-  await page.setRequestInterception(true);
-  
-  page.on('request', request => {
-    const resourceType = request.resourceType();
-    if (['document', 'xhr', 'fetch', 'script'].includes(resourceType)) {
-      request.continue();
-    } else {
-      request.abort();
-    }
-  });
-
-  await page.setDefaultTimeout(CONFIG.TIMEOUT);
-  await page.setDefaultNavigationTimeout(CONFIG.TIMEOUT);
-}
+// Tracks which selector strategies matched across this run and warns on drift
+const selectorDrift = new SelectorDriftTracker(message => debug(`WARNING: ${message}`));
 
+// Fetches and scrapes the app pages, and counts how many apps each fetch path handled
+const appScraper = new AppScraper({
+  fetchMode: FETCH_MODE,
+  selectorDrift,
+  timeout: CONFIG.TIMEOUT,
+  interactionDetails: CONFIG.INTERACTION_DETAILS,
+  log: debug
+});
 
-async function clickTriggerActionsTab(page) {
-  debug('Looking for Triggers & Actions tab');
-  try {
-    // Wait for content to load
-    await page.waitForSelector('.css-1vl3hh8-AppDetailsNav__nav', { timeout: 10000 });
-    
-    // Find and click the Triggers & Actions tab
-    const clicked = await page.evaluate(() => {
-      const tabs = Array.from(document.querySelectorAll('.css-1vl3hh8-AppDetailsNav__nav button'));
-      const tab = tabs.find(t => t.textContent.includes('Triggers & Actions'));
-      if (tab) {
-        tab.click();
-        return true;
-      }
-      return false;
-    });
-    
-    if (clicked) {
-      debug('Clicked Triggers & Actions tab');
-      await delay(3000); // Wait longer for content to load
-      return true;
-    }
-  } catch (e) {
-    debug('Error with Triggers & Actions tab:', e.message);
-  }
-  return false;
-}
-
-async function loadAllContent(page) {
-  debug('Loading all content');
-  
-  let hasMore = true;
-  let attempts = 0;
-  const maxAttempts = 15;
-  
-  while (hasMore && attempts < maxAttempts) {
-    try {
-      await page.waitForSelector('.css-1avj58e-BaseButton, .css-15o0hnq-TriggerActionList__listItem', { timeout: 5000 });
-      
-      const buttonVisible = await page.evaluate(() => {
-        const button = document.querySelector('.css-1avj58e-BaseButton');
-        if (!button) return false;
-        
-        const rect = button.getBoundingClientRect();
-        const style = window.getComputedStyle(button);
-        const isVisible = rect.width > 0 && 
-                         rect.height > 0 && 
-                         style.display !== 'none' && 
-                         style.visibility !== 'hidden';
-        
-        if (isVisible) {
-          button.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        }
-        return isVisible;
-      });
-
-      if (buttonVisible) {
-        debug(`Clicking Load More button, attempt ${attempts + 1}`);
-        await delay(1000); // Wait after scrolling
-        await page.click('.css-1avj58e-BaseButton');
-        await delay(2000); // Wait for content to load
-        attempts++;
-      } else {
-        debug('No more Load More buttons found');
-        hasMore = false;
-      }
-    } catch (e) {
-      debug('Error loading more content:', e.message);
-      hasMore = false;
-    }
-  }
-}
-
-async function scrapeApp(page, url, categoryName) {
-    debug(`Scraping app: ${url}`);
-    
-    try {
-      await page.goto(url, { waitUntil: 'networkidle0' });
-      await delay(2000); // Wait for initial load
-      
-      // Click the Triggers & Actions tab first
-      await clickTriggerActionsTab(page);
-      
-      // Load all content
-      await loadAllContent(page);
-  
-      const appData = await page.evaluate(() => {
-        const cleanText = text => text?.trim().replace(/\s+/g, ' ') || '';
-  
-        // Premium detection - look for multiple possible premium indicators
-        const premiumIndicators = [
-          '.css-16otba1',
-          '[data-testid="explore-app-header_premium-badge"]',
-          '.css-1th6yid-AppHeader__appNames span'
-        ];
-        
-        const isPremium = premiumIndicators.some(selector => {
-          const element = document.querySelector(selector);
-          return element && element.innerText.includes('Premium');
-        });
-  
-        // Get categories from header tags and badges section
-        const categories = new Set();
-        
-        // Check header tags
-        const headerTags = document.querySelector('[data-testid="explore-app-header_tags"]');
-        if (headerTags) {
-          Array.from(headerTags.querySelectorAll('span'))
-            .map(span => cleanText(span.innerText))
-            .filter(text => text && text !== 'Premium')
-            .forEach(cat => categories.add(cat));
-        }
-        
-        // Check badges section
-        const badgesSection = document.querySelector('.css-16gdie2-AppDetails__badgesSection');
-        if (badgesSection) {
-          Array.from(badgesSection.querySelectorAll('span'))
-            .map(span => cleanText(span.innerText))
-            .filter(text => text && text !== 'Premium')
-            .forEach(cat => categories.add(cat));
-        }
-  
-        // Get triggers and actions with more flexible selectors
-        const items = Array.from(document.querySelectorAll('.css-15o0hnq-TriggerActionList__listItem, [class*="TriggerActionList__listItem"]'));
-        const triggers = [];
-        const actions = [];
-  
-        items.forEach(item => {
-          if (!item.innerText) return;
-          
-          // Get the main text content
-          const summaryElement = item.querySelector('[class*="summaryText"], [class*="SummaryText"]');
-          const fullText = summaryElement?.innerText?.trim() || '';
-          
-          // Split into title and description
-          let name = '';
-          let description = '';
-          
-          // Handle multiple text patterns
-          if (fullText) {
-            // Pattern 1: Name followed by description with clear action/verb separation
-            const verbPattern = /^([^A-Z]+?[a-z])([A-Z].+)$/;
-            // Pattern 2: Clean split between name and description (often with newlines)
-            const splitPattern = /^(.+?)(?:\n+|\s{2,}|\.\s+|\s*Triggers\s+)(.+)$/;
-            
-            let matches = fullText.match(verbPattern);
-            if (!matches) {
-              matches = fullText.match(splitPattern);
-            }
-            
-            if (matches) {
-              name = matches[1].trim();
-              description = matches[2].trim();
-              
-              // Clean up any remaining newlines in name
-              name = name.replace(/\n/g, ' ').trim();
-              
-              // Handle cases where description starts with "Triggers"
-              if (description.startsWith('Triggers') && !name.includes('Trigger')) {
-                description = 'Triggers ' + description.substring(8).trim();
-              }
-              
-              // Clean up cases where action verbs got split
-              const actionVerbs = ['Finds', 'Creates', 'Updates', 'Adds', 'Removes', 'Triggers'];
-              actionVerbs.forEach(verb => {
-                if (description.startsWith(verb) && !name.includes(verb)) {
-                  description = description.trim();
-                  if (description.endsWith('.')) {
-                    description = description.slice(0, -1);
-                  }
-                }
-              });
-              
-            } else {
-              // Fallback: use the full text as name if we can't split it
-              name = fullText;
-            }
-          }
-
-          // Determine if it's an action or trigger by checking for action-specific classes
-          const isAction = Boolean(
-            item.querySelector([
-              '.css-14cz6vv-AppAction-AppAction',
-              '[class*="AppAction"]',
-              '[class*="actionBadge"]',
-              '[data-testid*="action"]'
-            ].join(', '))
-          );
-
-          const itemData = {
-            name: name,
-            description: description || null
-          };
-
-          if (isAction) {
-            actions.push(itemData);
-          } else {
-            triggers.push(itemData);
-          }
-        });
-  
-        // Get about text from the specific class
-        const aboutText = document.querySelector('.css-nuyo7l-AppDetails__appDescription')?.innerText || '';
-  
-        // Get help links - only from help.zapier.com
-        const helpLinks = Array.from(document.querySelectorAll('a[href*="help.zapier.com"]'))
-          .map(a => a.href)
-          .filter(url => url.includes('help.zapier.com'))
-          .filter((url, index, self) => self.indexOf(url) === index);
-  
-        return {
-          title: cleanText(document.querySelector('.css-1th6yid-AppHeader__appNames')?.innerText),
-          isPremium,
-          about: cleanText(aboutText),
-          logo: document.querySelector('[class*="logo"] img, [class*="Logo"] img')?.src,
-          helpLinks,
-          categories: Array.from(categories),
-          triggers,
-          actions
-        };
-      });
-  
-      return {
-        ...appData,
-        sourceCategory: categoryName,
-        url,
-        scrapedAt: new Date().toISOString()
-      };
-  
-    } catch (error) {
-      debug(`Error scraping ${url}:`, error.message);
-      return null;
-    }
-  }
-
-async function processApp(page, url, categoryName, retryCount = 0) {
+async function processApp(session, url, categoryName, retryCount = 0) {
   const appName = url.split('/apps/')[1].split('/')[0];
   const outputPath = path.join(CONFIG.APPS_DIR, `${appName}.json`);
 
   try {
-    // Check if file already exists
-    try {
-      await fs.access(outputPath);
+    // Check if the app was already saved (apps saved incomplete are fetched again)
+    if (await appScraper.isSaved(outputPath)) {
       debug(`Skipping ${appName} - already processed`);
       return false;
-    } catch {
-      // File doesn't exist, continue processing
     }
 
-    const appData = await scrapeApp(page, url, categoryName);
+    const appData = await appScraper.fetchApp(session, url, categoryName);
     if (!appData && retryCount < CONFIG.MAX_RETRIES) {
       debug(`Retry ${retryCount + 1} for ${appName}`);
       await delay(CONFIG.LOAD_MORE_DELAY);
-      return processApp(page, url, categoryName, retryCount + 1);
+      return processApp(session, url, categoryName, retryCount + 1);
     }
 
     if (appData) {
       await fs.writeFile(outputPath, JSON.stringify(appData, null, 2));
+      appScraper.countFetch(appData);
       debug(`Saved data for ${appName}`);
       return true;
     }
@@ -321,35 +107,65 @@ async function processApp(page, url, categoryName, retryCount = 0) {
   }
 }
 
+/**
+ * Scrapes the target product's own Zapier app (--product, see src/config/product.js)
+ * on every run, even when apps/<slug>.json exists, and updates the product's
+ * triggers and actions from it (data/products/<id>.capabilities.json); the
+ * changes are written to a diff report next to them.
+ * A failure is logged and doesn't stop the crawl.
+ * @returns {Promise<void>}
+ */
+async function refreshOwnProduct() {
+  const session = new BrowserSession({ launchOptions: LAUNCH_OPTIONS, setupPage: appScraper.setupPage });
+
+  try {
+    const profile = loadProductProfile();
+    const url = productAppUrl(profile);
+    debug(`Refreshing the Zapier capabilities of ${profile.name} from ${url}`);
+
+    let appData = null;
+    for (let attempt = 0; !appData && attempt <= CONFIG.MAX_RETRIES; attempt++) {
+      if (attempt) await delay(CONFIG.LOAD_MORE_DELAY);
+      appData = await appScraper.fetchApp(session, url, null);
+    }
+    if (!appData) throw new Error(`Could not fetch ${url}`);
+
+    const appName = url.split('/apps/')[1].split('/')[0];
+    await fs.writeFile(path.join(CONFIG.APPS_DIR, `${appName}.json`), JSON.stringify(appData, null, 2));
+    appScraper.countFetch(appData);
+
+    const { diff, unsure, reportPath } = await updateProductCapabilities(profile, appData);
+    if (reportPath) {
+      ['triggers', 'actions'].forEach(list => {
+        const { added, removed, changed } = diff[list];
+        debug(`${profile.name} ${list}: ${added.length} added, ${removed.length} removed, ${changed.length} reworded`);
+      });
+      debug(`Capabilities written to ${capabilitiesPath(profile.id)}, changes to ${reportPath}`);
+    } else {
+      debug(`${profile.name} triggers and actions unchanged`);
+    }
+    if (unsure.length) {
+      debug(`WARNING: review the type of ${unsure.map(item => `"${item.name}"`).join(', ')} in ${capabilitiesPath(profile.id)}`);
+    }
+  } catch (error) {
+    debug('Error refreshing the target product:', error.message);
+  } finally {
+    await session.close();
+  }
+}
+
 async function processBatch(urls, categoryName, batchId) {
   debug(`Starting batch ${batchId} with ${urls.length} URLs`);
   
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    executablePath: CONFIG.CHROME_PATH,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu',
-      '--window-size=1920x1080'
-    ],
-    defaultViewport: {
-      width: 1920,
-      height: 1080
-    }
-  });
+  // Chrome is only launched if an app actually needs the browser
+  const session = new BrowserSession({ launchOptions: LAUNCH_OPTIONS, setupPage: appScraper.setupPage });
 
   try {
-    const page = await browser.newPage();
-    await setupPage(page);
-    
     let processed = 0;
     let skipped = 0;
 
     for (const url of urls) {
-      const result = await processApp(page, url, categoryName);
+      const result = await processApp(session, url, categoryName);
       if (result) {
         processed++;
       } else {
@@ -361,12 +177,12 @@ async function processBatch(urls, categoryName, batchId) {
     debug(`Batch ${batchId} completed: ${processed} processed, ${skipped} skipped`);
     return { processed, skipped };
   } finally {
-    await browser.close();
+    await session.close();
   }
 }
 
 async function main() {
-  debug('Starting app scraping process');
+  debug(`Starting app scraping process (fetch mode: ${FETCH_MODE})`);
   const BATCH_SIZE = 50;
   const CONCURRENT_BATCHES = 3;
 
@@ -379,6 +195,13 @@ async function main() {
       debug('Created apps directory');
     }
 
+    // The target product's own triggers/actions, read by the relevancy and interaction prompts
+    await refreshOwnProduct();
+    if (CONFIG.OWN_PRODUCT_ONLY) {
+      appScraper.reportFetchStats();
+      return;
+    }
+
     // Read all category JSON files
     const files = await fs.readdir(CONFIG.CATEGORY_DIR);
     const jsonFiles = files.filter(f => f.endsWith('.json'));
@@ -418,6 +241,8 @@ async function main() {
     }
 
     debug(`Scraping completed: ${totalProcessed} processed, ${totalSkipped} skipped`);
+    appScraper.reportFetchStats();
+    selectorDrift.summary();
   } catch (error) {
     debug('Fatal error:', error);
     process.exit(1);
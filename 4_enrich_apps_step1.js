@@ -1,13 +1,16 @@
 // src/processApps.js
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
 const os = require('os');
 const { connectDB } = require('./src/utils/mongoUtils');
 const App = require('./src/models/App');
+const { listLockedApps } = require('./src/utils/stageSelection');
 const openAIService = require('./src/services/openaiService');
 const RedisService = require('./src/services/redisService');
+const { BudgetExceededError } = require('./src/services/llm');
 const colors = require('colors');
+const { loadCategoryTree, createUmbrellaResolver } = require('./src/utils/categoryTree');
+const { buildMembershipIndex, toAppCategories, popularityScore } = require('./src/utils/categoryMembership');
+const { carryOverDetails } = require('./src/extractors/interactionDetails');
 
 // Get machine ID from env or hostname
 const MACHINE_ID = process.env.MACHINE_ID || os.hostname().split('.')[0];
@@ -15,6 +18,39 @@ const MACHINE_ID = process.env.MACHINE_ID || os.hostname().split('.')[0];
 // Initialize Redis Service
 const redisService = new RedisService(MACHINE_ID);
 
+// Resolves an app's source category to its umbrella (null when category_tree.json is missing)
+const resolveUmbrella = createUmbrellaResolver(loadCategoryTree());
+
+// App slug -> category listings, built from every category_results file in main()
+let membershipIndex = new Map();
+
+/**
+ * Puts the scraped interaction details (kind, input fields, sample output keys)
+ * back on the normalized interactions, since the LLM only returns name,
+ * description and type.
+ * @param {Object} normalizedData - Result of normalizeAppData()
+ * @param {Object} rawData - Scraped app data
+ * @returns {Object[]} Normalized interactions with their details
+ */
+function restoreInteractionDetails(normalizedData, rawData) {
+  const scraped = [
+    ...(rawData.triggers || []).map(trigger => ({ ...trigger, type: trigger.type || 'trigger' })),
+    ...(rawData.actions || []).map(action => ({ ...action, type: action.type || 'action' }))
+  ];
+  return carryOverDetails(normalizedData.interactions || [], scraped);
+}
+
+/**
+ * Drops interaction details from the data sent to the LLM: they're restored
+ * afterwards and would only add prompt tokens.
+ * @param {Object} rawData - Scraped app data
+ * @returns {Object} Copy without `details` on triggers/actions
+ */
+function withoutInteractionDetails(rawData) {
+  const strip = items => (items || []).map(({ details, ...item }) => item);
+  return { ...rawData, triggers: strip(rawData.triggers), actions: strip(rawData.actions) };
+}
+
 async function processApp(appName) {
   try {
     const normalizedAppName = appName.toLowerCase();
@@ -44,6 +80,7 @@ async function processApp(appName) {
 
     // Mark as processing before starting
     await redisService.markAppProcessing(normalizedAppName);
+    openAIService.usage.forApp(normalizedAppName);
     console.log(`Started processing ${appName}`.green);
 
     try {
@@ -56,11 +93,18 @@ async function processApp(appName) {
       }
 
       // Normalize data using OpenAI
-      const normalizedData = await openAIService.normalizeAppData(JSON.parse(appData));
+      const rawData = JSON.parse(appData);
+      const normalizedData = await openAIService.normalizeAppData(withoutInteractionDetails(rawData));
+      normalizedData.interactions = restoreInteractionDetails(normalizedData, rawData);
+      const umbrella = resolveUmbrella(rawData.sourceCategory) || resolveUmbrella(normalizedData.category);
+      const categories = toAppCategories(membershipIndex.get(normalizedAppName) || [], rawData.categories);
 
       // Create new MongoDB document
       const app = new App({
         ...normalizedData,
+        umbrellaCategory: umbrella ? umbrella.title : null,
+        categories,
+        popularityScore: popularityScore(categories),
         slug: normalizedAppName,
         updatedAt: new Date()
       });
@@ -78,14 +122,18 @@ async function processApp(appName) {
       await multi.exec();
 
       console.log(`Successfully processed and saved ${appName}`.green);
+      console.log(openAIService.usage.appSummary(normalizedAppName).gray);
 
     } catch (error) {
       console.error(`Error processing ${appName}`.red, error);
       // Remove processing flag on error
       await redisService.client.del(`app:processing:${normalizedAppName}`);
+      // Out of budget: stop the whole run
+      if (error instanceof BudgetExceededError) throw error;
     }
 
   } catch (error) {
+    if (error instanceof BudgetExceededError) throw error;
     console.error(`Error in processApp for ${appName}`.red, error);
   }
 }
@@ -102,22 +150,30 @@ async function main() {
     await connectDB();
     console.log('MongoDB connected successfully'.green);
 
+    // Index every category listing each app appears in
+    membershipIndex = await buildMembershipIndex();
+    console.log(`Category membership index covers ${membershipIndex.size} apps`.cyan);
+
     // Read all files from lock directory
-    const lockDir = path.join(process.cwd(), 'lock');
-    const files = await fs.readdir(lockDir);
-    const lockFiles = files.filter(file => file.endsWith('.lock'));
+    const appNames = await listLockedApps();
 
-    console.log(`Found ${lockFiles.length} apps to process`.yellow);
+    console.log(`Found ${appNames.length} apps to process`.yellow);
 
     // Process each app
-    for (const file of lockFiles) {
-      const appName = file.replace('.lock', '');
+    for (const appName of appNames) {
       await processApp(appName);
     }
 
     console.log('Processing complete'.green);
+    console.log(openAIService.cache.summary().gray);
+    await openAIService.usage.finishRun(redisService.client);
     process.exit(0);
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      console.log(`Stopping: ${error.message}`.yellow);
+      await openAIService.usage.finishRun(redisService.client);
+      process.exit(0);
+    }
     console.error('Main process error:'.red, error);
     process.exit(1);
   }
@@ -126,6 +182,7 @@ async function main() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nGracefully shutting down...'.yellow);
+  await openAIService.usage.finishRun(redisService.client);
   process.exit(0);
 });
 
@@ -1,16 +1,20 @@
 require('dotenv').config();
 const { connectDB } = require('./src/utils/mongoUtils');
 const App = require('./src/models/App');
+const { findStageApps, redisScope, rerunsOutdated } = require('./src/utils/stageSelection');
+const { provenanceFields } = require('./src/utils/provenance');
+const { analysisPath, analysisUpdate } = require('./src/utils/productAnalysis');
 const openAIService = require('./src/services/openaiService');
 const RedisService = require('./src/services/redisService');
+const { BudgetExceededError, SchemaValidationError } = require('./src/services/llm');
 const os = require('os');
 const colors = require('colors');
 
 // Get machine ID from env or hostname
 const MACHINE_ID = process.env.MACHINE_ID || os.hostname().split('.')[0];
 
-// Initialize Redis Service
-const redisService = new RedisService(MACHINE_ID);
+// Initialize Redis Service, completions kept per stage and target product
+const redisService = new RedisService(MACHINE_ID, redisScope(5));
 
 // Add machine status tracking
 const machineStatus = {
@@ -27,8 +31,11 @@ async function processApp(app) {
   machineStatus.current_app = app.title;
 
   try {
-    // Use existing checkAppStatus method
-    const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug);
+    // Use existing checkAppStatus method; with --outdated, only this run's
+    // completions count since earlier ones may be outdated
+    const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug, {
+      completedAfter: rerunsOutdated() ? machineStatus.started_at : null
+    });
     
     if (isProcessing) {
       console.log(`${app.title} is being analyzed by another machine, skipping...`.yellow);
@@ -42,6 +49,7 @@ async function processApp(app) {
 
     // Use existing markAppProcessing method
     await redisService.markAppProcessing(appSlug);
+    openAIService.usage.forApp(appSlug);
     console.log(`Started analyzing ${app.title}`.gray);
 
     // Get relevancy analysis from OpenAI
@@ -50,11 +58,16 @@ async function processApp(app) {
       app.description
     );
 
-    // Update app record with correct field names from OpenAI response
+    // Update app record with correct field names from OpenAI response, under
+    // the target product's results (analyses.<product id>)
     await App.findByIdAndUpdate(app._id, {
-      isRelevant: analysis.isRelevant,
-      relevancyReasoning: analysis.relevancyReasoning,
-      potentialUseCase: analysis.potentialUseCase,
+      ...analysisUpdate({
+        isRelevant: analysis.isRelevant,
+        relevancyReasoning: analysis.relevancyReasoning,
+        potentialUseCase: analysis.potentialUseCase
+      }),
+      // Prompt and model behind the results, to re-run them when outdated
+      ...provenanceFields(['isRelevant', 'relevancyReasoning', 'potentialUseCase'], analysis.provenance, analysisPath('provenance')),
       updatedAt: new Date()
     });
 
@@ -71,12 +84,19 @@ async function processApp(app) {
     // Color-coded output based on relevancy
     const statusColor = analysis.isRelevant ? 'green' : 'red';
     console.log(`Successfully analyzed ${app.title}: ${analysis.isRelevant ? 'Relevant' : 'Not Relevant'}`[statusColor]);
+    console.log(openAIService.usage.appSummary(appSlug).gray);
 
   } catch (error) {
     console.error(`Error processing ${app.title}`.red, error);
     machineStatus.failed_count++;
     // Use existing Redis client to remove processing flag
-    await redisService.client.del(`app:processing:${appSlug}`);
+    await redisService.releaseApp(appSlug);
+    // Invalid model output even after the repair retries: keep the failure on
+    // the app (still unflagged, so the next run retries it) and go on
+    if (error instanceof SchemaValidationError) {
+      await App.findByIdAndUpdate(app._id, { $push: { llmFailures: error.toRecord() } });
+      return;
+    }
     throw error;
   } finally {
     machineStatus.current_app = null;
@@ -86,7 +106,8 @@ async function processApp(app) {
 // Update machine status periodically
 setInterval(async () => {
   try {
-    await redisService.updateMachineStatus(machineStatus);
+    await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus() });
+    await openAIService.usage.flushToRedis(redisService.client);
   } catch (error) {
     console.error('Failed to update machine status:'.red, error);
   }
@@ -104,9 +125,9 @@ async function processAppRelevancy() {
     await connectDB();
     console.log('MongoDB connected successfully'.green);
 
-    // Find all apps without isRelevant flag
-    const apps = await App.find({ isRelevant: null });
-    console.log(`Found ${apps.length} apps to analyze for relevancy`.yellow);
+    // Find all apps without isRelevant flag for the target product (and outdated ones with --outdated), most popular first
+    const apps = await findStageApps(5);
+    console.log(`Found ${apps.length} apps to analyze for relevancy to ${openAIService.product.name}`.yellow);
 
     // Process each app
     for (const app of apps) {
@@ -115,14 +136,24 @@ async function processAppRelevancy() {
         // Add delay to respect rate limits
         await new Promise(resolve => setTimeout(resolve, 1000));
       } catch (error) {
+        // Out of budget: stop the whole run
+        if (error instanceof BudgetExceededError) throw error;
         console.error(`Error in main loop for ${app.title}`.red, error);
         continue; // Continue with next app even if one fails
       }
     }
 
     console.log('Relevancy analysis complete'.green);
+    console.log(openAIService.cache.summary().gray);
+    await openAIService.usage.finishRun(redisService.client);
     process.exit(0);
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      console.log(`Stopping: ${error.message}`.yellow);
+      await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus(), status: 'stopped' });
+      await openAIService.usage.finishRun(redisService.client);
+      process.exit(0);
+    }
     console.error('Main process error:'.red, error);
     process.exit(1);
   }
@@ -134,8 +165,10 @@ process.on('SIGINT', async () => {
   try {
     await redisService.updateMachineStatus({
       ...machineStatus,
+      ...openAIService.usage.toStatus(),
       status: 'stopped'
     });
+    await openAIService.usage.finishRun(redisService.client);
   } catch (error) {
     console.error('Error updating final status:'.red, error);
   }
@@ -1,16 +1,21 @@
 require('dotenv').config();
 const { connectDB } = require('./src/utils/mongoUtils');
 const App = require('./src/models/App');
+const { findStageApps, redisScope, rerunsOutdated } = require('./src/utils/stageSelection');
+const { provenanceFields } = require('./src/utils/provenance');
+const { analysisPath, analysisUpdate } = require('./src/utils/productAnalysis');
 const openAIService = require('./src/services/openaiService');
+const { buildCompetitorsRequest } = require('./src/prompts');
 const RedisService = require('./src/services/redisService');
+const { BudgetExceededError, SchemaValidationError } = require('./src/services/llm');
 const os = require('os');
 const colors = require('colors');
 
 // Get machine ID from env or hostname
 const MACHINE_ID = process.env.MACHINE_ID || os.hostname().split('.')[0];
 
-// Initialize Redis Service
-const redisService = new RedisService(MACHINE_ID);
+// Initialize Redis Service, completions kept per stage and target product
+const redisService = new RedisService(MACHINE_ID, redisScope(6));
 
 // Add machine status tracking
 const machineStatus = {
@@ -28,57 +33,11 @@ class CompetitorSegmentAnalyzer {
   }
 
   async analyzeCompetitorAndSegment(app) {
-    const prompt = `
-      Analyze this Zapier app integration for two aspects:
-
-      1. COMPETITOR SCORE (0-10):
-      Score how much this app competes with Retently (Customer Experience Management platform focusing on NPS, CSAT, and CES surveys).
-      
-      Scoring guide:
-      10: Direct competitors (exactly like Trustmary, AskNicely, Delighted, Pendo Feedback - platforms primarily focused on customer feedback/surveys)
-      7-9: Strong overlap (platforms with significant survey/feedback features)
-      5-6: Complementary tools (like ClientSuccess, Totango, Gainsight - platforms where NPS is a secondary feature)
-      1-4: Minimal overlap (platforms that could use survey data but don't focus on it)
-      0: No competition (completely different focus, like CRMs, email marketing tools)
-
-      2. INTEGRATION SEGMENT:
-      Determine which business segment would benefit from integrating this app with Retently:
-      - ALL: Benefits any type of business
-      - ECOMMERCE: Only benefits ecommerce businesses
-      - B2B: Specifically for B2B software, tech, marketing or consulting agencies
-      - B2C: For financial, hrtech, healthcare (excluding ecommerce)
-
-      APP TO ANALYZE:
-      Title: "${app.title}"
-      Description: "${app.description}"
-
-      RESPONSE FORMAT:
-      Return only a JSON object with exactly these fields:
-      {
-        "competitorScore": number (0-10),
-        "competitorReasoning": string (explaining the score),
-        "integrationSegment": "ALL" | "ECOMMERCE" | "B2B" | "B2C",
-        "segmentReasoning": string (explaining the segment choice)
-      }
-    `;
-
     try {
-      const completion = await this.openAIService.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert in SaaS competitive analysis and market segmentation. Respond only with valid JSON."
-          },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.1,
-        response_format: { type: "json_object" },
-        max_tokens: 1000
-      });
+      const completion = await this.openAIService.chat('competitors', buildCompetitorsRequest(app, this.openAIService.product));
 
-      const content = completion.choices[0].message.content;
-      return JSON.parse(content);
+      // Parsed and checked against COMPETITORS_SCHEMA (score 0-10, known segment) by chat()
+      return { ...completion.data, provenance: completion.provenance };
     } catch (error) {
       console.error(`Error analyzing ${app.title}:`, error);
       throw error;
@@ -91,7 +50,10 @@ class CompetitorSegmentAnalyzer {
 
     try {
       // Check if app is being processed by another machine
-      const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug);
+      // With --outdated, only this run's completions count: earlier ones may be outdated
+      const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug, {
+        completedAfter: rerunsOutdated() ? machineStatus.started_at : null
+      });
       
       if (isProcessing) {
         console.log(`${app.title} is being analyzed by another machine, skipping...`.yellow);
@@ -105,14 +67,19 @@ class CompetitorSegmentAnalyzer {
 
       // Mark as processing
       await redisService.markAppProcessing(appSlug);
+      openAIService.usage.forApp(appSlug);
       console.log(`Started analyzing ${app.title}`.gray);
 
       const analysis = await this.analyzeCompetitorAndSegment(app);
       
-      // Update app with analysis results
+      // Update app with analysis results, under the target product's results (analyses.<product id>)
       await App.findByIdAndUpdate(app._id, {
-        competitorScore: analysis.competitorScore,
-        integrationSegment: analysis.integrationSegment
+        ...analysisUpdate({
+          competitorScore: analysis.competitorScore,
+          integrationSegment: analysis.integrationSegment
+        }),
+        // Prompt and model behind the results, to re-run them when outdated
+        ...provenanceFields(['competitorScore', 'integrationSegment'], analysis.provenance, analysisPath('provenance'))
       });
 
       // Mark as completed in Redis
@@ -132,13 +99,20 @@ class CompetitorSegmentAnalyzer {
       console.log('Competitor Reasoning:'.yellow, colors.white(analysis.competitorReasoning));
       console.log('Integration Segment:'.yellow, colors.white(analysis.integrationSegment));
       console.log('Segment Reasoning:'.yellow, colors.white(analysis.segmentReasoning));
+      console.log(colors.gray(openAIService.usage.appSummary(appSlug)));
       console.log(colors.gray('-'.repeat(80)), '\n');
 
     } catch (error) {
       console.error(`Error processing ${app.title}:`.red, error);
       machineStatus.failed_count++;
       // Remove processing flag on error
-      await redisService.client.del(`app:processing:${appSlug}`);
+      await redisService.releaseApp(appSlug);
+      // Invalid model output even after the repair retries: keep the failure on
+      // the app (still selected, so the next run retries it) and go on
+      if (error instanceof SchemaValidationError) {
+        await App.findByIdAndUpdate(app._id, { $push: { llmFailures: error.toRecord() } });
+        return;
+      }
       throw error;
     } finally {
       machineStatus.current_app = null;
@@ -157,16 +131,11 @@ class CompetitorSegmentAnalyzer {
       await connectDB();
       console.log('MongoDB connected successfully'.green);
 
-      // Find all relevant apps that haven't been analyzed yet
-      const apps = await App.find({
-        isRelevant: true,
-        $or: [
-          { competitorScore: null },
-          { integrationSegment: null }
-        ]
-      });
+      // Find all apps relevant to the target product that haven't been analyzed
+      // for it yet (and outdated ones with --outdated), most popular first
+      const apps = await findStageApps(6);
 
-      console.log(`Found ${apps.length} relevant apps to analyze`.yellow);
+      console.log(`Found ${apps.length} apps relevant to ${openAIService.product.name} to analyze`.yellow);
 
       for (const app of apps) {
         try {
@@ -174,15 +143,25 @@ class CompetitorSegmentAnalyzer {
           // Add delay to respect rate limits
           await new Promise(resolve => setTimeout(resolve, 1000));
         } catch (error) {
+          // Out of budget: stop the whole run
+          if (error instanceof BudgetExceededError) throw error;
           console.error(`Error in main loop for ${app.title}:`.red, error);
           continue; // Continue with next app even if one fails
         }
       }
 
       console.log('Analysis complete'.green);
+      console.log(openAIService.cache.summary().gray);
+      await openAIService.usage.finishRun(redisService.client);
       process.exit(0);
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        console.log(`Stopping: ${error.message}`.yellow);
+        await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus(), status: 'stopped' });
+        await openAIService.usage.finishRun(redisService.client);
+        process.exit(0);
+      }
       console.error('Main process error:'.red, error);
       process.exit(1);
     }
@@ -192,7 +171,8 @@ class CompetitorSegmentAnalyzer {
 // Update machine status periodically
 setInterval(async () => {
   try {
-    await redisService.updateMachineStatus(machineStatus);
+    await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus() });
+    await openAIService.usage.flushToRedis(redisService.client);
   } catch (error) {
     console.error('Failed to update machine status:'.red, error);
   }
@@ -204,8 +184,10 @@ process.on('SIGINT', async () => {
   try {
     await redisService.updateMachineStatus({
       ...machineStatus,
+      ...openAIService.usage.toStatus(),
       status: 'stopped'
     });
+    await openAIService.usage.finishRun(redisService.client);
   } catch (error) {
     console.error('Error updating final status:'.red, error);
   }
@@ -1,21 +1,26 @@
 require('dotenv').config();
 const { connectDB } = require('./src/utils/mongoUtils');
 const App = require('./src/models/App');
+const { getProductId } = require('./src/config/product');
+const { analysisPath } = require('./src/utils/productAnalysis');
 const colors = require('colors');
 
+// Target product whose relevancy flags are updated (--product=<id>, PRODUCT env var, retently)
+const PRODUCT = getProductId();
+
 async function updateIntegrationFlags() {
   try {
     // Connect to MongoDB
     await connectDB();
     console.log('MongoDB connected successfully'.green);
 
-    // Find all relevant apps with no interactions
+    // Find all apps relevant to the product with no interactions
     const appsToUpdate = await App.find({
-      isRelevant: true,
+      [analysisPath('isRelevant', PRODUCT)]: true,
       $expr: { $eq: [{ $size: "$interactions" }, 0] }
     });
 
-    console.log(`Found ${appsToUpdate.length} relevant apps with no interactions`.yellow);
+    console.log(`Found ${appsToUpdate.length} apps relevant to ${PRODUCT} with no interactions`.yellow);
 
     if (appsToUpdate.length === 0) {
       console.log('No apps need updating'.cyan);
@@ -25,13 +30,13 @@ async function updateIntegrationFlags() {
     // Update all matching records
     const result = await App.updateMany(
       {
-        isRelevant: true,
+        [analysisPath('isRelevant', PRODUCT)]: true,
         $expr: { $eq: [{ $size: "$interactions" }, 0] }
       },
       {
         $set: { 
           hasZapierIntegration: false,
-          isRelevant: false
+          [analysisPath('isRelevant', PRODUCT)]: false
         }
       }
     );
@@ -1,16 +1,33 @@
 require('dotenv').config();
 const { connectDB } = require('./src/utils/mongoUtils');
 const App = require('./src/models/App');
+const { findStageApps, redisScope, rerunsOutdated } = require('./src/utils/stageSelection');
+const { getAnalysis } = require('./src/utils/productAnalysis');
 const openAIService = require('./src/services/openaiService');
+const { buildInteractionTypesRequest } = require('./src/prompts');
 const RedisService = require('./src/services/redisService');
+const { BudgetExceededError, SchemaValidationError } = require('./src/services/llm');
+const { classifyAppInteractions, scrapedEvidence, getMinConfidence } = require('./src/utils/interactionClassifier');
+const fs = require('fs').promises;
+const path = require('path');
 const os = require('os');
 const colors = require('colors');
 
+const CONFIG = {
+  // Interactions the heuristic classifies with less confidence than this are sent to the model
+  MIN_CONFIDENCE: getMinConfidence(),
+  // Also send the confidently classified interactions, to check the heuristic against the model
+  VERIFY_ALL: process.argv.includes('--verify-all'),
+  // Scraped app data (apps/<slug>.json), read for the list each interaction was scraped in
+  APPS_DIR: 'apps',
+  REPORT_PATH: path.join('reports', 'interaction_type_disagreements.json')
+};
+
 // Get machine ID from env or hostname
 const MACHINE_ID = process.env.MACHINE_ID || os.hostname().split('.')[0];
 
-// Initialize Redis Service
-const redisService = new RedisService(MACHINE_ID);
+// Initialize Redis Service, completions kept per stage (types are shared by all products)
+const redisService = new RedisService(MACHINE_ID, redisScope(9));
 
 // Add machine status tracking
 const machineStatus = {
@@ -19,7 +36,11 @@ const machineStatus = {
   last_active: Date.now(),
   processed_count: 0,
   failed_count: 0,
-  current_app: null
+  current_app: null,
+  heuristic_count: 0,
+  llm_count: 0,
+  // Apps typed without their scraped data (apps/<slug>.json missing or unreadable)
+  missing_evidence_count: 0
 };
 
 class InteractionAnalyzer {
@@ -27,236 +48,159 @@ class InteractionAnalyzer {
     this.openAIService = openAIService;
   }
 
-  async analyzeInteractions(app) {
-    const prompt = `
-        You are an expert system tasked with analyzing Zapier app interactions for integration with Retently, a Customer Experience Management platform. Your analysis must be precise and follow specific rules.
-
-        BACKGROUND ON RETENTLY:
-        Retently is a Customer Experience Management platform that:
-        - Sends NPS (Net Promoter Score), CSAT (Customer Satisfaction), and CES (Customer Effort Score) surveys
-        - Tracks customer feedback and satisfaction metrics
-        - Manages customer profiles and survey responses
-        - Analyzes customer sentiment and feedback trends
-
-        ANALYSIS RULES:
-
-        1. TYPE CLASSIFICATION (Mandatory)
-        Each interaction must be classified as either "trigger" or "action" (lowercase only)
-
-        Classification Guidelines:
-        SET AS "trigger" IF:
-        - It's an event that happens in the app (e.g., "New Order Created")
-        - It's a state change notification (e.g., "Status Updated")
-        - It monitors for changes or new data
-        - It notifies about updates or modifications
-        Examples of triggers:
-        - "New Customer Added" (trigger: it's an event notification)
-        - "Order Status Changed" (trigger: it's a state change)
-        - "Project Completed" (trigger: it's an event notification)
-        - "Task Assigned" (trigger: it's a state change)
-
-        SET AS "action" IF:
-        - It creates or modifies data in the app
-        - It performs an operation or task
-        - It's something the app does when requested
-        - It involves searching or retrieving data
-        Examples of actions:
-        - "Create Customer" (action: it creates data)
-        - "Update Order Status" (action: it modifies data)
-        - "Send Email" (action: it performs an operation)
-        - "Find User" (action: it retrieves data)
-
-
-        APP CONTEXT:
-        Title: "${app.title}"
-        Description: "${app.description}"
-        Integration Segment: "${app.integrationSegment}"
-        Potential Integration with Retently Use Case: "${app.potentialUseCase}"
-
-        RETENTLY INTEGRATION CAPABILITIES:
-        Available Triggers from Retently:
-        ${JSON.stringify(this.openAIService.retentlyTriggers, null, 2)}
-
-        Available Actions in Retently:
-        ${JSON.stringify(this.openAIService.retentlyActions, null, 2)}
-
-        INTERACTIONS TO ANALYZE:
-        ${JSON.stringify(app.interactions, null, 2)}
-
-        EXAMPLE ANALYSES:
-
-        For a CRM App:
-        Input:
-        {
-        "name": "New Deal Created",
-        "description": "Triggers when a new deal is created in the CRM"
-        }
-        Output:
-        {
-        "name": "New Deal Created",
-        "description": "Triggers when a new deal is created in the CRM",
-        "type": "trigger",
-        "isRelevant": true,
-        "relevancySegment": "B2B"
-        }
-        Reasoning: It's a trigger (new event), relevant (good time for CSAT), B2B (deal creation is business-focused)
-
-        For an Ecommerce Platform:
-        Input:
-        {
-        "name": "Update Order Status",
-        "description": "Updates the status of an existing order"
-        }
-        Output:
-        {
-        "name": "Update Order Status",
-        "description": "Updates the status of an existing order",
-        "type": "action",
-        "isRelevant": true,
-        "relevancySegment": "ECOMMERCE"
-        }
-        Reasoning: It's an action (modifies data), relevant (can be triggered by feedback), ECOMMERCE (order-specific)
-
-        REQUIRED OUTPUT FORMAT:
-        Return a JSON object with this exact structure:
-        {
-          "interactions": [
-            {
-              "name": string (original name),
-              "description": string (original description),
-              "type": "trigger" | "action",
-            }
-          ]
-        }
-
-        QUALITY REQUIREMENTS:
-        1. Response MUST be a JSON object with an "interactions" array
-        2. EVERY interaction in the array must have ALL 3 fields
-        3. 'type' must be lowercase "trigger" or "action" only
-        4. Maintain original name and description exactly
-        5. Return valid JSON only, no explanations or comments
-
-        CRITICAL: YOU MUST PRESERVE these five fields for EACH interaction:
-        1. name (original)
-        2. description (original)
-        3. type (you must add this)
-
-        SHOPIFY-SPECIFIC EXAMPLES:
-
-        Example 1 - Order Related:
-        Input:
-        {
-        "name": "New Paid Order",
-        "description": "Triggers when an order is paid (with line item support).",
-        "type": "trigger"
-        }
-        Required Output:
-        {
-        "name": "New Paid Order",
-        "description": "Triggers when an order is paid (with line item support).",
-        "type": "trigger",
-        }
-        Reasoning: Perfect trigger point for CSAT survey, clearly ecommerce-specific
-
-        Example 2 - Customer Related:
-        Input:
-        {
-        "name": "Update Customer",
-        "description": "Replaces only data that is set for an existing customer.",
-        "type": "action"
-        }
-        Required Output:
-        {
-        "name": "Update Customer",
-        "description": "Replaces only data that is set for an existing customer.",
-        "type": "action",
-        }
-        Reasoning: Customer data sync is relevant for all segments
-
-        Example 3 - Technical Action:
-        Input:
-        {
-        "name": "API Request (Beta)",
-        "description": "This advanced action makes a raw HTTP request that includes this integration's authentication.",
-        "type": "action"
-        }
-        Required Output:
-        {
-        "name": "API Request (Beta)",
-        "description": "This advanced action makes a raw HTTP request that includes this integration's authentication.",
-        "type": "action",
-        }
-        Reasoning: Technical operation not related to customer experience
-
-      Now analyze the provided interactions following these guidelines.`;
-
+  /**
+   * Asks the model for the type of the given interactions of an app.
+   * @param {Object} app - App document
+   * @param {Array<{name: string, description: string}>} interactions - Interactions to classify
+   * @returns {Promise<{interactions: Array<{name: string, description: string, type: string}>, provenance: Object}>}
+   *   Typed interactions, and the prompt and model behind the types
+   * @throws {SchemaValidationError} When the response stays invalid after the repair retries
+   */
+  async analyzeInteractions(app, interactions) {
     try {
-      const completion = await this.openAIService.openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert in analyzing app integrations. Return a JSON object with an 'interactions' array containing the analyzed interactions."
-          },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.1,
-        response_format: { type: "json_object" },
-        max_tokens: 4000
+      // Strict validation of response structure: chat() checks the interactions
+      // array and the fields of each interaction against INTERACTION_TYPES_SCHEMA,
+      // and sends the violations found here back to the model for a repair
+      const completion = await this.openAIService.chat('interaction_types', buildInteractionTypesRequest(app, interactions, this.openAIService.product), {
+        validate: ({ interactions: analyzed }) => [
+          // Verify interaction exists in original data
+          ...analyzed
+            .filter(interaction => !interactions.some(i => i.name === interaction.name))
+            .map(interaction => `No matching original interaction found for "${interaction.name}"`),
+          // Every interaction sent must come back with its type
+          ...interactions
+            .filter(interaction => !analyzed.some(i => i.name === interaction.name))
+            .map(interaction => `Missing interaction "${interaction.name}"`)
+        ]
       });
 
-      const content = completion.choices[0].message.content;
-      const parsed = JSON.parse(content);
-
-      // Strict validation of response structure
-      if (!parsed || typeof parsed !== 'object') {
-        throw new Error('Response must be an object');
+      return { interactions: completion.data.interactions, provenance: completion.provenance };
+    } catch (error) {
+      console.error(`Error analyzing interactions for ${app.title}:`, error);
+      if (error.response) {
+        console.error('OpenAI API error details:', error.response.data);
       }
+      throw error;
+    }
+  }
 
-      if (!parsed.interactions || !Array.isArray(parsed.interactions)) {
-        throw new Error('Response must contain interactions array');
+  /**
+   * Reads the scraped data of an app, to tell which list each interaction was
+   * scraped in and whether that came from structured page data or the DOM
+   * action badge. A missing or unreadable file is warned about and counted in
+   * the run summary: the classifier then only has the interaction's own text to go by.
+   * @param {Object} app - App document
+   * @returns {Promise<Map<string, {type: string, source: 'state' | 'dom'}>>} Lowercased name -> scraped type, empty when the app wasn't scraped on this machine
+   */
+  async loadScrapedEvidence(app) {
+    const filePath = path.join(CONFIG.APPS_DIR, `${app.slug}.json`);
+    try {
+      return scrapedEvidence(JSON.parse(await fs.readFile(filePath, 'utf8')));
+    } catch (error) {
+      machineStatus.missing_evidence_count++;
+      const reason = error.code === 'ENOENT' ? 'not found' : `unreadable (${error.message})`;
+      console.warn(`No scraped evidence for ${app.title}: ${filePath} ${reason}, typing from the interaction text only`.yellow);
+      return new Map();
+    }
+  }
+
+  /**
+   * Types an app's interactions: the heuristic classifier first, the model only
+   * for the interactions it is unsure about (all of them with --verify-all).
+   * @param {Object} app - App document
+   * @returns {Promise<{interactions: Object[], disagreements: Object[], llmCount: number, llmFailure: Object | null}>}
+   *   Typed interactions with `typedBy` and `typeConfidence`, the ones where the heuristic and the model disagree,
+   *   and the model's failure (see SchemaValidationError.toRecord()) when its response couldn't be used
+   */
+  async typeInteractions(app) {
+    const evidence = await this.loadScrapedEvidence(app);
+    const interactions = (app.interactions || []).map(interaction => interaction.toObject ? interaction.toObject() : interaction);
+    const classified = classifyAppInteractions(interactions, evidence, CONFIG.MIN_CONFIDENCE);
+
+    const isConfident = index => classified[index].confident;
+    const forModel = interactions.filter((_, index) => CONFIG.VERIFY_ALL || !isConfident(index));
+
+    const modelTypes = new Map();
+    let modelProvenance = null;
+    let llmFailure = null;
+    if (forModel.length) {
+      try {
+        const analyzed = await this.analyzeInteractions(app, forModel.map(({ name, description }) => ({ name, description })));
+        analyzed.interactions.forEach(interaction => modelTypes.set(interaction.name, interaction.type));
+        modelProvenance = analyzed.provenance;
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        // Without a usable answer the heuristic's types are kept, however unsure
+        console.warn(`Keeping the heuristic types of ${app.title}: ${error.message}`.yellow);
+        llmFailure = error.toRecord();
       }
+    }
 
-      if (parsed.interactions.length === 0) {
-        throw new Error('Interactions array cannot be empty');
+    const disagreements = [];
+    const typed = interactions.map((interaction, index) => {
+      const heuristic = classified[index];
+      const modelType = modelTypes.get(interaction.name);
+      const typedBy = isConfident(index) || !modelType ? 'heuristic' : 'llm';
+
+      if (heuristic.type && modelType && heuristic.type !== modelType) {
+        disagreements.push({
+          name: interaction.name,
+          description: interaction.description,
+          heuristic: heuristic.type,
+          confidence: heuristic.confidence,
+          signals: heuristic.signals,
+          model: modelType,
+          kept: typedBy
+        });
       }
 
-      // Validate each interaction
-      parsed.interactions.forEach((interaction, index) => {
-        // Check for exact required fields
-        const requiredFields = ['name', 'description', 'type'];
-        const missingFields = requiredFields.filter(field => !interaction.hasOwnProperty(field));
-        
-        if (missingFields.length > 0) {
-          throw new Error(`Interaction at index ${index} is missing required fields: ${missingFields.join(', ')}`);
-        }
+      // Left unset when neither could tell, so that a later run selects the app again
+      const type = (typedBy === 'heuristic' ? heuristic.type : modelType) || undefined;
+      // A model type records the prompt and model behind it, a heuristic one drops any earlier record
+      const provenance = { ...interaction.provenance };
+      delete provenance.type;
+      if (typedBy === 'llm') provenance.type = modelProvenance;
+      return {
+        ...interaction,
+        type,
+        typedBy: type && typedBy,
+        typeConfidence: heuristic.confidence,
+        provenance: Object.keys(provenance).length ? provenance : undefined
+      };
+    });
 
-        // Validate field types and values
-        if (typeof interaction.name !== 'string' || interaction.name.length === 0) {
-          throw new Error(`Invalid name at index ${index}`);
-        }
-        if (typeof interaction.description !== 'string' || interaction.description.length === 0) {
-          throw new Error(`Invalid description at index ${index}`);
-        }
-        if (!['trigger', 'action'].includes(interaction.type)) {
-          throw new Error(`Invalid type "${interaction.type}" at index ${index}`);
-        }
+    return { interactions: typed, disagreements, llmCount: forModel.length, llmFailure };
+  }
 
-        // Verify interaction exists in original data
-        const originalInteraction = app.interactions.find(i => i.name === interaction.name);
-        if (!originalInteraction) {
-          throw new Error(`No matching original interaction found for "${interaction.name}"`);
-        }
-      });
+  /**
+   * Records an app's heuristic/model disagreements in the report for review,
+   * replacing the app's previous entry (dropped when they now agree).
+   * @param {Object} app - App document
+   * @param {Object[]} disagreements - Result of typeInteractions()
+   * @returns {Promise<void>}
+   */
+  async recordDisagreements(app, disagreements) {
+    let report = { apps: {} };
+    try {
+      report = JSON.parse(await fs.readFile(CONFIG.REPORT_PATH, 'utf8'));
+    } catch {
+      // No report yet
+    }
 
-      return parsed.interactions;
-    } catch (error) {
-      console.error(`Error analyzing interactions for ${app.title}:`, error);
-      if (error.response) {
-        console.error('OpenAI API error details:', error.response.data);
-      }
-      throw error;
+    if (disagreements.length) {
+      report.apps[app.slug] = { title: app.title, checkedAt: new Date().toISOString(), disagreements };
+    } else if (!report.apps[app.slug]) {
+      return;
+    } else {
+      delete report.apps[app.slug];
     }
+
+    report.generatedAt = new Date().toISOString();
+    report.minConfidence = CONFIG.MIN_CONFIDENCE;
+    report.totalDisagreements = Object.values(report.apps).reduce((total, entry) => total + entry.disagreements.length, 0);
+
+    await fs.mkdir(path.dirname(CONFIG.REPORT_PATH), { recursive: true });
+    await fs.writeFile(CONFIG.REPORT_PATH, JSON.stringify(report, null, 2));
   }
 
   async processApp(app) {
@@ -265,7 +209,10 @@ class InteractionAnalyzer {
 
     try {
       // Check if app is being processed by another machine
-      const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug);
+      // With --outdated, only this run's completions count: earlier ones may be outdated
+      const { isProcessing, isCompleted } = await redisService.checkAppStatus(appSlug, {
+        completedAfter: rerunsOutdated() ? machineStatus.started_at : null
+      });
       
       if (isProcessing) {
         console.log(`${app.title} is being analyzed by another machine, skipping...`.yellow);
@@ -279,13 +226,12 @@ class InteractionAnalyzer {
 
       // Mark as processing
       await redisService.markAppProcessing(appSlug);
+      openAIService.usage.forApp(appSlug);
       console.log(`Started analyzing interactions for ${app.title}`.gray);
 
-      const analyzedInteractions = await this.analyzeInteractions(app);
-      
-      if (!analyzedInteractions) {
-        throw new Error('No analyzed interactions returned');
-      }
+      // Heuristic classifier first, the model only for low-confidence interactions
+      const { interactions: analyzedInteractions, disagreements, llmCount, llmFailure } = await this.typeInteractions(app);
+      await this.recordDisagreements(app, disagreements);
 
       // Calculate counts
       const triggersCount = Array.isArray(analyzedInteractions) ? 
@@ -298,29 +244,41 @@ class InteractionAnalyzer {
         interactions: analyzedInteractions,
         triggersCount,
         actionsCount,
-        updatedAt: new Date()
+        updatedAt: new Date(),
+        // The model's response couldn't be used: kept for review
+        ...(llmFailure ? { $push: { llmFailures: llmFailure } } : {})
       });
 
       // Mark as completed in Redis
       await redisService.markAppCompleted(appSlug, {
         interactions_count: analyzedInteractions.length,
-        relevant_interactions: analyzedInteractions.filter(i => i.isRelevant).length,
+        relevant_interactions: analyzedInteractions.filter(i => getAnalysis(i).isRelevant).length,
+        heuristic_typed: analyzedInteractions.filter(i => i.typedBy === 'heuristic').length,
+        llm_typed: analyzedInteractions.filter(i => i.typedBy === 'llm').length,
+        disagreements: disagreements.length,
         analyzed_at: new Date().toISOString()
       });
 
       // Update machine status
       machineStatus.processed_count++;
+      machineStatus.heuristic_count += analyzedInteractions.filter(i => i.typedBy === 'heuristic').length;
+      machineStatus.llm_count += llmCount;
 
       // Print analysis summary
       console.log('\nInteraction Analysis for:', colors.cyan(app.title));
       console.log('Total Interactions:'.yellow, colors.white(analyzedInteractions.length));
+      console.log('Sent to the model:'.yellow, colors.white(llmCount));
+      if (disagreements.length) {
+        console.log('Heuristic/model disagreements:'.magenta, colors.white(disagreements.length), colors.gray(`(see ${CONFIG.REPORT_PATH})`));
+      }
+      console.log(colors.gray(openAIService.usage.appSummary(appSlug)));
       console.log(colors.gray('-'.repeat(80)), '\n');
 
     } catch (error) {
       console.error(`Error processing ${app.title}:`.red, error);
       machineStatus.failed_count++;
       // Remove processing flag on error
-      await redisService.client.del(`app:processing:${appSlug}`);
+      await redisService.releaseApp(appSlug);
       throw error;
     } finally {
       machineStatus.current_app = null;
@@ -339,17 +297,8 @@ class InteractionAnalyzer {
       await connectDB();
       console.log('MongoDB connected successfully'.green);
 
-      // Find all relevant apps that need interaction analysis
-      const apps = await App.find({
-        isRelevant: true,
-        $or: [
-          { interactions: { $exists: false } },
-          { interactions: { $size: 0 } },
-          { 'interactions.type': { $exists: false } },
-          { 'interactions.isRelevant': { $exists: false } },
-          { 'interactions.relevancySegment': { $exists: false } }
-        ]
-      });
+      // Find all apps relevant to the target product with untyped interactions (and outdated ones with --outdated)
+      const apps = await findStageApps(9);
 
       console.log(`Found ${apps.length} apps needing interaction analysis`.yellow);
 
@@ -363,6 +312,8 @@ class InteractionAnalyzer {
             await this.processApp(app);
             await new Promise(resolve => setTimeout(resolve, 1000));
           } catch (error) {
+            // Out of budget: stop the whole run
+            if (error instanceof BudgetExceededError) throw error;
             console.error(`Error in main loop for ${app.title}:`.red, error);
             continue;
           }
@@ -370,9 +321,20 @@ class InteractionAnalyzer {
       }
 
       console.log('Interaction analysis complete'.green);
+      if (machineStatus.missing_evidence_count) {
+        console.log(`Apps typed without scraped evidence: ${machineStatus.missing_evidence_count} (no ${CONFIG.APPS_DIR}/<slug>.json, see README)`.yellow);
+      }
+      console.log(openAIService.cache.summary().gray);
+      await openAIService.usage.finishRun(redisService.client);
       process.exit(0);
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        console.log(`Stopping: ${error.message}`.yellow);
+        await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus(), status: 'stopped' });
+        await openAIService.usage.finishRun(redisService.client);
+        process.exit(0);
+      }
       console.error('Main process error:'.red, error);
       process.exit(1);
     }
@@ -382,7 +344,8 @@ class InteractionAnalyzer {
 // Update machine status periodically
 setInterval(async () => {
   try {
-    await redisService.updateMachineStatus(machineStatus);
+    await redisService.updateMachineStatus({ ...machineStatus, ...openAIService.usage.toStatus() });
+    await openAIService.usage.flushToRedis(redisService.client);
   } catch (error) {
     console.error('Failed to update machine status:'.red, error);
   }
@@ -394,8 +357,10 @@ process.on('SIGINT', async () => {
   try {
     await redisService.updateMachineStatus({
       ...machineStatus,
+      ...openAIService.usage.toStatus(),
       status: 'stopped'
     });
+    await openAIService.usage.finishRun(redisService.client);
   } catch (error) {
     console.error('Error updating final status:'.red, error);
   }
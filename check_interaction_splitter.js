@@ -0,0 +1,95 @@
+// check_interaction_splitter.js
+// Regression check for the interaction splitter (src/extractors/interactionSplitter.js)
+// against the corpus of real scraped strings in interaction_split_corpus.json.
+//
+//   node check_interaction_splitter.js            -> runs every case, exits 1 on a mismatch
+//   node check_interaction_splitter.js --update   -> adds the apps/*.json interactions not in the corpus yet,
+//                                                   with the splitter's current output as expected (review them)
+const fs = require('fs').promises;
+const path = require('path');
+const colors = require('colors');
+const { splitInteraction } = require('./src/extractors/interactionSplitter');
+
+const CONFIG = {
+  APPS_DIR: 'apps',
+  CORPUS_PATH: 'interaction_split_corpus.json',
+  UPDATE: process.argv.includes('--update')
+};
+
+/**
+ * Reads the corpus file.
+ * @returns {Promise<Array<{app: string, input: Object, expected: Object}>>} Cases, empty when the file is missing
+ */
+async function readCorpus() {
+  try {
+    return JSON.parse(await fs.readFile(CONFIG.CORPUS_PATH, 'utf8')).cases;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Identifies a case by its scraped name and description.
+ * @param {{name: string, description: string | null}} input - Scraped interaction
+ * @returns {string}
+ */
+function caseKey(input) {
+  return JSON.stringify([input.name, input.description ?? null]);
+}
+
+/**
+ * Adds the interactions of every scraped app that the corpus doesn't cover yet.
+ * @param {Object[]} cases - Current corpus cases, extended in place
+ * @returns {Promise<number>} Number of cases added
+ */
+async function addScrapedCases(cases) {
+  const known = new Set(cases.map(item => caseKey(item.input)));
+  const files = (await fs.readdir(CONFIG.APPS_DIR)).filter(file => file.endsWith('.json')).sort();
+  let added = 0;
+
+  for (const file of files) {
+    const appData = JSON.parse(await fs.readFile(path.join(CONFIG.APPS_DIR, file), 'utf8'));
+    [...(appData.triggers || []), ...(appData.actions || [])].forEach(interaction => {
+      const input = { name: interaction.name, description: interaction.description ?? null };
+      if (known.has(caseKey(input))) return;
+      known.add(caseKey(input));
+      cases.push({ app: path.basename(file, '.json'), input, expected: splitInteraction(input) });
+      added++;
+    });
+  }
+  return added;
+}
+
+async function main() {
+  const cases = await readCorpus();
+
+  if (CONFIG.UPDATE) {
+    const added = await addScrapedCases(cases);
+    await fs.writeFile(CONFIG.CORPUS_PATH, JSON.stringify({
+      description: 'Scraped interaction names/descriptions and their expected split. Generated by check_interaction_splitter.js --update, reviewed by hand.',
+      cases
+    }, null, 2) + '\n');
+    console.log(`Added ${added} cases to ${CONFIG.CORPUS_PATH} (${cases.length} total), review the expected values`.yellow);
+  }
+
+  const failures = cases.filter(item => {
+    const actual = splitInteraction(item.input);
+    return ['name', 'description', 'split'].some(field => actual[field] !== item.expected[field]);
+  });
+
+  failures.forEach(item => {
+    const actual = splitInteraction(item.input);
+    console.log(`${item.app}: ${JSON.stringify(item.input.name)}`.red);
+    console.log(`  expected ${JSON.stringify(item.expected)}`.gray);
+    console.log(`  actual   ${JSON.stringify(actual)}`.gray);
+  });
+
+  const counts = cases.reduce((totals, item) => ({ ...totals, [item.expected.split]: (totals[item.expected.split] || 0) + 1 }), {});
+  console.log(`${cases.length - failures.length}/${cases.length} cases pass (${Object.entries(counts).map(([split, count]) => `${count} ${split}`).join(', ')})`[failures.length ? 'red' : 'green']);
+  process.exit(failures.length ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Splitter check failed:'.red, error);
+  process.exit(1);
+});
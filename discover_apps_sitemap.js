@@ -0,0 +1,117 @@
+// discover_apps_sitemap.js
+// Discovers apps from Zapier's sitemap index instead of crawling category pages.
+// Writes one category_results-style file per app sitemap, so the app scrapers
+// pick the URLs up like any category, and a coverage report comparing the
+// sitemap with the crawled categories.
+// Usage: node discover_apps_sitemap.js [--report-only]
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const colors = require('colors');
+const { discoverAppsFromSitemaps } = require('./src/extractors/sitemapParser');
+const { appSlugFromUrl } = require('./src/extractors/appPageExtractor');
+const { CATEGORY_DIR, readCategoryResults, categoryFileName } = require('./src/utils/categoryResults');
+
+const CONFIG = {
+  SITEMAP_URL: process.env.SITEMAP_URL || 'https://zapier.com/sitemap.xml',
+  // Child sitemaps of the index that list app pages
+  APP_SITEMAP_PATTERN: new RegExp(process.env.SITEMAP_APP_PATTERN || 'app', 'i'),
+  OUTPUT_DIR: CATEGORY_DIR,
+  REPORT_PATH: path.join('reports', 'sitemap_coverage.json')
+};
+
+/**
+ * Names the category file of an app sitemap after the sitemap's file name,
+ * e.g. https://zapier.com/sitemaps/apps-1.xml.gz -> "Sitemap apps-1".
+ * @param {string} sitemapUrl - App sitemap URL
+ * @returns {string} Category name
+ */
+function sitemapCategoryName(sitemapUrl) {
+  const file = new URL(sitemapUrl).pathname.split('/').filter(Boolean).pop() || 'sitemap';
+  return `Sitemap ${file.replace(/\.xml(\.gz)?$/i, '')}`;
+}
+
+/**
+ * Writes the URLs of an app sitemap as a category result. Existing files are
+ * rewritten, since the sitemap is the source of truth for its own file.
+ * @param {{sitemap: string, urls: string[]}} result - App sitemap and its app URLs
+ * @returns {Promise<string>} Written file path
+ */
+async function writeSitemapResult({ sitemap, urls }) {
+  const category = sitemapCategoryName(sitemap);
+  const filename = path.join(CONFIG.OUTPUT_DIR, categoryFileName(category));
+
+  await fs.writeFile(filename, JSON.stringify({
+    category,
+    url: sitemap,
+    source: 'sitemap',
+    scrapedAt: new Date().toISOString(),
+    totalUrls: urls.length,
+    urls
+  }, null, 2));
+  return filename;
+}
+
+/**
+ * Compares the app slugs listed by the sitemaps with the ones found by crawling
+ * categories, and writes the differences to the coverage report.
+ * @param {Object[]} sitemapResults - Sitemap category results
+ * @param {Object[]} categoryResults - Crawled category results
+ * @returns {Promise<Object>} Report
+ */
+async function writeCoverageReport(sitemapResults, categoryResults) {
+  const slugsOf = results => new Set(results.flatMap(result => result.urls.map(appSlugFromUrl)).filter(Boolean));
+  const sitemapSlugs = slugsOf(sitemapResults);
+  const categorySlugs = slugsOf(categoryResults);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    sitemapApps: sitemapSlugs.size,
+    categoryApps: categorySlugs.size,
+    categoryFiles: categoryResults.length,
+    onlyInSitemap: [...sitemapSlugs].filter(slug => !categorySlugs.has(slug)).sort(),
+    onlyInCategories: [...categorySlugs].filter(slug => !sitemapSlugs.has(slug)).sort()
+  };
+
+  await fs.mkdir(path.dirname(CONFIG.REPORT_PATH), { recursive: true });
+  await fs.writeFile(CONFIG.REPORT_PATH, JSON.stringify(report, null, 2));
+  return report;
+}
+
+async function main() {
+  const reportOnly = process.argv.includes('--report-only');
+  await fs.mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
+
+  if (!reportOnly) {
+    console.log(`Reading sitemap index ${CONFIG.SITEMAP_URL}`.cyan);
+    const discovered = await discoverAppsFromSitemaps(CONFIG.SITEMAP_URL, {
+      appSitemapPattern: CONFIG.APP_SITEMAP_PATTERN,
+      log: message => console.log(message.gray)
+    });
+
+    if (!discovered.length) {
+      console.log(`No app sitemaps matched ${CONFIG.APP_SITEMAP_PATTERN}`.yellow);
+    }
+    for (const result of discovered) {
+      const filename = await writeSitemapResult(result);
+      console.log(`✓ ${filename}: ${result.urls.length} apps`.green);
+    }
+  }
+
+  const all = await readCategoryResults({ dir: CONFIG.OUTPUT_DIR });
+  const sitemapResults = all.filter(result => result.source === 'sitemap');
+  const categoryResults = all.filter(result => result.source !== 'sitemap');
+  const report = await writeCoverageReport(sitemapResults, categoryResults);
+
+  console.log('\nSitemap coverage'.cyan);
+  console.log(`Apps in sitemaps:        ${report.sitemapApps}`);
+  console.log(`Apps in ${report.categoryFiles} category files: ${report.categoryApps}`);
+  console.log(`Only in sitemaps:        ${String(report.onlyInSitemap.length).yellow}`);
+  console.log(`Only in categories:      ${String(report.onlyInCategories.length).yellow}`);
+  console.log(`Report written to ${CONFIG.REPORT_PATH}`.green);
+}
+
+main().catch(error => {
+  console.error('Sitemap discovery failed:'.red, error.message);
+  process.exit(1);
+});
@@ -1,9 +1,12 @@
-const puppeteer = require('puppeteer-core');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const RedisService = require('./services/redisService');
 const colors = require('colors');
+const { SelectorDriftTracker } = require('./src/extractors/selectorResolver');
+const AppScraper = require('./src/extractors/appScraper');
+const BrowserSession = require('./src/utils/browserSession');
+const { getFetchMode } = require('./src/config/fetchMode');
 require('dotenv').config();
 
 
@@ -34,9 +37,32 @@ const CONFIG = {
   LOAD_MORE_DELAY: 3000,
   DEBUG: true,
   MAX_RETRIES: 3,
+  // Optional deeper scrape opening each trigger/action for its kind, input fields and sample output
+  INTERACTION_DETAILS: process.env.SCRAPE_INTERACTION_DETAILS === 'true' || process.argv.includes('--interaction-details'),
   CONCURRENT_BATCHES: parseInt(process.env.CONCURRENT_BATCHES, 10) || 2
 };
 
+// Puppeteer launch options for app scraping
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  executablePath: CONFIG.CHROME_PATH,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920x1080'
+  ],
+  defaultViewport: {
+    width: 1920,
+    height: 1080
+  }
+};
+
+// Fetch mode of this stage (see src/config/fetchMode.js)
+const FETCH_MODE = getFetchMode('apps');
+
 const debug = (...args) => {
   if (CONFIG.DEBUG) {
     console.log(`[${new Date().toISOString()}]`, ...args);
@@ -45,259 +71,17 @@ const debug = (...args) => {
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-async function setupPage(page) {
-  debug('Setting up page configuration');
-  
-  await page.setRequestInterception(true);
-  
-  page.on('request', request => {
-    const resourceType = request.resourceType();
-    if (['document', 'xhr', 'fetch', 'script'].includes(resourceType)) {
-      request.continue();
-    } else {
-      request.abort();
-    }
-  });
-
-  await page.setDefaultTimeout(CONFIG.TIMEOUT);
-  await page.setDefaultNavigationTimeout(CONFIG.TIMEOUT);
-}
-
-
-async function clickTriggerActionsTab(page) {
-  debug('Looking for Triggers & Actions tab');
-  try {
-    // Wait for content to load
-    await page.waitForSelector('.css-1vl3hh8-AppDetailsNav__nav', { timeout: 10000 });
-    
-    // Find and click the Triggers & Actions tab
-    const clicked = await page.evaluate(() => {
-      const tabs = Array.from(document.querySelectorAll('.css-1vl3hh8-AppDetailsNav__nav button'));
-      const tab = tabs.find(t => t.textContent.includes('Triggers & Actions'));
-      if (tab) {
-        tab.click();
-        return true;
-      }
-      return false;
-    });
-    
-    if (clicked) {
-      debug('Clicked Triggers & Actions tab');
-      await delay(3000); // Wait longer for content to load
-      return true;
-    }
-  } catch (e) {
-    debug('Error with Triggers & Actions tab:', e.message);
-  }
-  return false;
-}
+// Tracks which selector strategies matched across this run and warns on drift
+const selectorDrift = new SelectorDriftTracker(message => debug(colors.yellow(message)));
 
-async function loadAllContent(page) {
-  debug('Loading all content');
-  
-  let hasMore = true;
-  let attempts = 0;
-  const maxAttempts = 15;
-  
-  while (hasMore && attempts < maxAttempts) {
-    try {
-      await page.waitForSelector('.css-1avj58e-BaseButton, .css-15o0hnq-TriggerActionList__listItem', { timeout: 5000 });
-      
-      const buttonVisible = await page.evaluate(() => {
-        const button = document.querySelector('.css-1avj58e-BaseButton');
-        if (!button) return false;
-        
-        const rect = button.getBoundingClientRect();
-        const style = window.getComputedStyle(button);
-        const isVisible = rect.width > 0 && 
-                         rect.height > 0 && 
-                         style.display !== 'none' && 
-                         style.visibility !== 'hidden';
-        
-        if (isVisible) {
-          button.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        }
-        return isVisible;
-      });
-
-      if (buttonVisible) {
-        debug(`Clicking Load More button, attempt ${attempts + 1}`);
-        await delay(1000); // Wait after scrolling
-        await page.click('.css-1avj58e-BaseButton');
-        await delay(2000); // Wait for content to load
-        attempts++;
-      } else {
-        debug('No more Load More buttons found');
-        hasMore = false;
-      }
-    } catch (e) {
-      debug('Error loading more content:', e.message);
-      hasMore = false;
-    }
-  }
-}
-
-async function scrapeApp(page, url, categoryName) {
-    debug(`Scraping app: ${url}`);
-    
-    try {
-      await page.goto(url, { waitUntil: 'networkidle0' });
-      await delay(2000); // Wait for initial load
-      
-      // Click the Triggers & Actions tab first
-      await clickTriggerActionsTab(page);
-      
-      // Load all content
-      await loadAllContent(page);
-  
-      const appData = await page.evaluate(() => {
-        const cleanText = text => text?.trim().replace(/\s+/g, ' ') || '';
-  
-        // Premium detection - look for multiple possible premium indicators
-        const premiumIndicators = [
-          '.css-16otba1',
-          '[data-testid="explore-app-header_premium-badge"]',
-          '.css-1th6yid-AppHeader__appNames span'
-        ];
-        
-        const isPremium = premiumIndicators.some(selector => {
-          const element = document.querySelector(selector);
-          return element && element.innerText.includes('Premium');
-        });
-  
-        // Get categories from header tags and badges section
-        const categories = new Set();
-        
-        // Check header tags
-        const headerTags = document.querySelector('[data-testid="explore-app-header_tags"]');
-        if (headerTags) {
-          Array.from(headerTags.querySelectorAll('span'))
-            .map(span => cleanText(span.innerText))
-            .filter(text => text && text !== 'Premium')
-            .forEach(cat => categories.add(cat));
-        }
-        
-        // Check badges section
-        const badgesSection = document.querySelector('.css-16gdie2-AppDetails__badgesSection');
-        if (badgesSection) {
-          Array.from(badgesSection.querySelectorAll('span'))
-            .map(span => cleanText(span.innerText))
-            .filter(text => text && text !== 'Premium')
-            .forEach(cat => categories.add(cat));
-        }
-  
-        // Get triggers and actions with more flexible selectors
-        const items = Array.from(document.querySelectorAll('.css-15o0hnq-TriggerActionList__listItem, [class*="TriggerActionList__listItem"]'));
-        const triggers = [];
-        const actions = [];
-  
-        items.forEach(item => {
-          if (!item.innerText) return;
-          
-          // Get the main text content
-          const summaryElement = item.querySelector('[class*="summaryText"], [class*="SummaryText"]');
-          const fullText = summaryElement?.innerText?.trim() || '';
-          
-          // Split into title and description
-          let name = '';
-          let description = '';
-          
-          // Handle multiple text patterns
-          if (fullText) {
-            // Pattern 1: Name followed by description with clear action/verb separation
-            const verbPattern = /^([^A-Z]+?[a-z])([A-Z].+)$/;
-            // Pattern 2: Clean split between name and description (often with newlines)
-            const splitPattern = /^(.+?)(?:\n+|\s{2,}|\.\s+|\s*Triggers\s+)(.+)$/;
-            
-            let matches = fullText.match(verbPattern);
-            if (!matches) {
-              matches = fullText.match(splitPattern);
-            }
-            
-            if (matches) {
-              name = matches[1].trim();
-              description = matches[2].trim();
-              
-              // Clean up any remaining newlines in name
-              name = name.replace(/\n/g, ' ').trim();
-              
-              // Handle cases where description starts with "Triggers"
-              if (description.startsWith('Triggers') && !name.includes('Trigger')) {
-                description = 'Triggers ' + description.substring(8).trim();
-              }
-              
-              // Clean up cases where action verbs got split
-              const actionVerbs = ['Finds', 'Creates', 'Updates', 'Adds', 'Removes', 'Triggers'];
-              actionVerbs.forEach(verb => {
-                if (description.startsWith(verb) && !name.includes(verb)) {
-                  description = description.trim();
-                  if (description.endsWith('.')) {
-                    description = description.slice(0, -1);
-                  }
-                }
-              });
-              
-            } else {
-              // Fallback: use the full text as name if we can't split it
-              name = fullText;
-            }
-          }
-
-          // Determine if it's an action or trigger by checking for action-specific classes
-          const isAction = Boolean(
-            item.querySelector([
-              '.css-14cz6vv-AppAction-AppAction',
-              '[class*="AppAction"]',
-              '[class*="actionBadge"]',
-              '[data-testid*="action"]'
-            ].join(', '))
-          );
-
-          const itemData = {
-            name: name,
-            description: description || null
-          };
-
-          if (isAction) {
-            actions.push(itemData);
-          } else {
-            triggers.push(itemData);
-          }
-        });
-  
-        // Get about text from the specific class
-        const aboutText = document.querySelector('.css-nuyo7l-AppDetails__appDescription')?.innerText || '';
-  
-        // Get help links - only from help.zapier.com
-        const helpLinks = Array.from(document.querySelectorAll('a[href*="help.zapier.com"]'))
-          .map(a => a.href)
-          .filter(url => url.includes('help.zapier.com'))
-          .filter((url, index, self) => self.indexOf(url) === index);
-  
-        return {
-          title: cleanText(document.querySelector('.css-1th6yid-AppHeader__appNames')?.innerText),
-          isPremium,
-          about: cleanText(aboutText),
-          logo: document.querySelector('[class*="logo"] img, [class*="Logo"] img')?.src,
-          helpLinks,
-          categories: Array.from(categories),
-          triggers,
-          actions
-        };
-      });
-  
-      return {
-        ...appData,
-        sourceCategory: categoryName,
-        url,
-        scrapedAt: new Date().toISOString()
-      };
-  
-    } catch (error) {
-      debug(`Error scraping ${url}:`, error.message);
-      return null;
-    }
-  }
+// Fetches and scrapes the app pages, and counts how many apps each fetch path handled
+const appScraper = new AppScraper({
+  fetchMode: FETCH_MODE,
+  selectorDrift,
+  timeout: CONFIG.TIMEOUT,
+  interactionDetails: CONFIG.INTERACTION_DETAILS,
+  log: debug
+});
 
 async function checkLocalCache(appName) {
   try {
@@ -325,7 +109,7 @@ async function markLocalCache(appName) {
   }
 }
 
-async function processApp(page, url, categoryName, retryCount = 0) {
+async function processApp(session, url, categoryName, retryCount = 0) {
   const appName = url.split('/apps/')[1].split('/')[0];
   const outputPath = path.join(CONFIG.APPS_DIR, `${appName}.json`);
 
@@ -336,6 +120,13 @@ async function processApp(page, url, categoryName, retryCount = 0) {
       return { processed: false, skipped: true };
     }
 
+    // Incomplete apps are neither locked nor completed (see below), so that runs
+    // that can use the browser fetch them again; http-only runs keep them
+    if (await appScraper.isSaved(outputPath)) {
+      debug(`Skipping ${appName} - ${colors.gray('already saved')}`);
+      return { processed: false, skipped: true };
+    }
+
     // Check Redis status if not in local cache
     const { isProcessing, isCompleted } = await redisService.checkAppStatus(appName);
     
@@ -356,22 +147,34 @@ async function processApp(page, url, categoryName, retryCount = 0) {
     machineStatus.current_app = appName;
     debug(`${colors.green('Processing')} ${appName}`);
 
-    const appData = await scrapeApp(page, url, categoryName);
+    const appData = await appScraper.fetchApp(session, url, categoryName);
     if (!appData && retryCount < CONFIG.MAX_RETRIES) {
       debug(`Retry ${retryCount + 1} for ${appName}`);
       await delay(CONFIG.LOAD_MORE_DELAY);
-      return processApp(page, url, categoryName, retryCount + 1);
+      return processApp(session, url, categoryName, retryCount + 1);
     }
 
-    if (appData) {
+    if (appData && appData.missingData) {
+      // Saved incomplete (http-only): released instead of completed, so other
+      // machines and later browser/http runs still pick it up
+      await Promise.all([
+        fs.writeFile(outputPath, JSON.stringify(appData, null, 2)),
+        redisService.releaseApp(appName)
+      ]);
+    } else if (appData) {
       // Save data both locally and to Redis, and update local cache
       await Promise.all([
         fs.writeFile(outputPath, JSON.stringify(appData, null, 2)),
         redisService.markAppCompleted(appName, appData),
         markLocalCache(appName)
       ]);
-      
+    }
+
+    if (appData) {
       machineStatus.processed_count++;
+      appScraper.countFetch(appData);
+      machineStatus.http_count = appScraper.fetchStats.http;
+      machineStatus.browser_count = appScraper.fetchStats.browser;
       debug(`Saved data for ${appName}`);
       return { processed: true, skipped: false };
     }
@@ -390,32 +193,15 @@ async function processApp(page, url, categoryName, retryCount = 0) {
 async function processBatch(urls, categoryName, batchId) {
   debug(`Starting batch ${batchId} with ${urls.length} URLs`);
   
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    executablePath: CONFIG.CHROME_PATH,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu',
-      '--window-size=1920x1080'
-    ],
-    defaultViewport: {
-      width: 1920,
-      height: 1080
-    }
-  });
+  // Chrome is only launched if an app actually needs the browser
+  const session = new BrowserSession({ launchOptions: LAUNCH_OPTIONS, setupPage: appScraper.setupPage });
 
   try {
-    const page = await browser.newPage();
-    await setupPage(page);
-    
     let processed = 0;
     let skipped = 0;
 
     for (const url of urls) {
-      const result = await processApp(page, url, categoryName);
+      const result = await processApp(session, url, categoryName);
       if (result) {
         processed++;
       } else {
@@ -427,7 +213,7 @@ async function processBatch(urls, categoryName, batchId) {
     debug(`Batch ${batchId} completed: ${processed} processed, ${skipped} skipped`);
     return { processed, skipped };
   } finally {
-    await browser.close();
+    await session.close();
   }
 }
 
@@ -438,6 +224,9 @@ const machineStatus = {
   last_active: Date.now(),
   processed_count: 0,
   failed_count: 0,
+  http_count: 0,
+  browser_count: 0,
+  fetch_mode: FETCH_MODE,
   current_app: null,
   current_category: null
 };
@@ -480,7 +269,7 @@ async function checkEnvFile() {
 
 async function main() {
   await checkEnvFile();
-  debug(`Starting app scraping process on machine ${MACHINE_ID}`);
+  debug(`Starting app scraping process on machine ${MACHINE_ID} (fetch mode: ${FETCH_MODE})`);
   const BATCH_SIZE = 50;
   const CONCURRENT_BATCHES = CONFIG.CONCURRENT_BATCHES;
 
@@ -522,40 +311,30 @@ async function main() {
 
         // Process batches sequentially but with parallel app processing
         for (let i = 0; i < batches.length; i += CONCURRENT_BATCHES) {
-          const browser = await puppeteer.launch({
-            headless: 'new',
-            executablePath: CONFIG.CHROME_PATH,
-            args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-accelerated-2d-canvas',
-              '--disable-gpu',
-              '--window-size=1920x1080'
-            ],
-            defaultViewport: { width: 1920, height: 1080 }
-          });
+          // Chrome is only launched if an app in these batches needs the browser
+          const session = new BrowserSession({ launchOptions: LAUNCH_OPTIONS, setupPage: appScraper.setupPage });
 
           try {
-            const page = await browser.newPage();
-            await setupPage(page);
-
             const currentBatches = batches.slice(i, i + CONCURRENT_BATCHES);
             for (const batch of currentBatches) {
               for (const url of batch) {
-                const { processed, skipped } = await processApp(page, url, content.category);
+                const { processed, skipped } = await processApp(session, url, content.category);
                 if (processed) totalProcessed++;
                 if (skipped) totalSkipped++;
                 await delay(1000);
               }
             }
           } finally {
-            await browser.close();
+            await session.close();
           }
 
           debug(`Progress for ${content.category}: ${totalProcessed} processed, ${totalSkipped} skipped`);
         }
 
+        // Report fetch paths and selectors whose primary strategy stopped matching so far
+        appScraper.reportFetchStats();
+        selectorDrift.summary();
+
         // Mark category as processed
         const processedPath = filePath.replace('.json', '.processed');
         await fs.rename(filePath, processedPath);
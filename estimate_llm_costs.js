@@ -0,0 +1,442 @@
+// estimate_llm_costs.js
+// Estimates what the LLM stages (4, 5, 6, 9 and 10) would cost before running
+// them: the apps each stage would process, its calls, prompt and completion
+// tokens, expected cost per model and wall-clock time at the models' rate
+// limits. Apps are selected with the stages' own queries and prompts built with
+// their own builders (src/prompts), so only the completion sizes are guessed.
+//
+// Usage: node estimate_llm_costs.js [--stage=5,6] [--verify-all] [--outdated] [--product=<id>]
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const Table = require('cli-table3');
+const colors = require('colors');
+const { connectDB } = require('./src/utils/mongoUtils');
+const App = require('./src/models/App');
+const redisClient = require('./src/utils/redisClient');
+const RedisService = require('./src/services/redisService');
+const { LlmResponseCache } = require('./src/services/llm');
+const { getLlmProvider, getTaskModel, getModelPrice, getModelRateLimit, getLlmCacheConfig } = require('./src/config/llm');
+const { loadProductProfile, ownTitlePattern } = require('./src/config/product');
+const {
+  buildNormalizeRequest,
+  buildRelevancyRequest,
+  buildCompetitorsRequest,
+  buildInteractionTypesRequest,
+  buildInteractionRelevancyRequest
+} = require('./src/prompts');
+const { normalizeWithRules } = require('./src/utils/appNormalizer');
+const { classifyAppInteractions, scrapedEvidence, getMinConfidence } = require('./src/utils/interactionClassifier');
+const { findStageApps, redisScope, listLockedApps, rerunsOutdated } = require('./src/utils/stageSelection');
+
+const ALL_STAGES = [4, 5, 6, 9, 10];
+
+const CONFIG = {
+  STAGES: (() => {
+    const arg = process.argv.find(value => value.startsWith('--stage='));
+    return arg ? arg.split('=')[1].split(',').map(Number) : ALL_STAGES;
+  })(),
+  // Estimate stage 9 as run with --verify-all (every interaction sent to the model)
+  VERIFY_ALL: process.argv.includes('--verify-all'),
+  // Run summaries of past stage runs, for the average completion size
+  USAGE_DIR: path.join('reports', 'llm_usage'),
+  // Scraped app data, read by stage 9 as evidence for the heuristic classifier
+  APPS_DIR: 'apps',
+  REPORT_PATH: path.join('reports', 'llm_estimate.json'),
+  // Pause of stages 5, 6, 9 and 10 after each app
+  APP_DELAY_SECONDS: 1,
+  // Call latency: a fixed overhead plus the completion at this many tokens per second
+  CALL_OVERHEAD_SECONDS: 1,
+  COMPLETION_TOKENS_PER_SECOND: 50,
+  // Redis commands per pipeline when checking app keys
+  REDIS_BATCH_SIZE: 500
+};
+
+// Completion tokens per call of each task until a run summary has real numbers
+const DEFAULT_COMPLETION_TOKENS = {
+  normalize: 600,
+  interactions: 800,
+  relevancy: 150,
+  competitors: 100,
+  interaction_types: 400,
+  interaction_relevancy: 1500
+};
+
+// Target product the stages analyze apps for (--product=<id>)
+const product = loadProductProfile();
+
+/**
+ * Estimates the tokens of a text at four characters per token, as the usage
+ * tracker does for budget checks.
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Finds which of the given Redis keys exist, in pipelined batches.
+ * @param {string[]} keys - Keys to check
+ * @returns {Promise<Set<string>>} Existing keys
+ */
+async function existingKeys(keys) {
+  const existing = new Set();
+  for (let i = 0; i < keys.length; i += CONFIG.REDIS_BATCH_SIZE) {
+    const batch = keys.slice(i, i + CONFIG.REDIS_BATCH_SIZE);
+    const pipeline = redisClient.pipeline();
+    batch.forEach(key => pipeline.exists(key));
+    const results = await pipeline.exec();
+    results.forEach(([error, count], index) => {
+      if (error) throw error;
+      if (count) existing.add(batch[index]);
+    });
+  }
+  return existing;
+}
+
+/**
+ * Drops the apps a stage would skip as already completed (its completion key
+ * in Redis, see RedisService.checkAppStatus()). Apps locked by another machine
+ * are kept: their calls are made, just elsewhere. With --outdated a stage only
+ * skips the apps it completes itself, so none are dropped.
+ * @param {Object[]} apps - Apps selected by the stage
+ * @param {5 | 6 | 9 | 10} stage - Stage number
+ * @returns {Promise<Object[]>}
+ */
+async function withoutCompletedApps(apps, stage) {
+  if (rerunsOutdated()) return apps;
+  const keys = new RedisService(null, redisScope(stage, product.id));
+  const completed = await existingKeys(apps.map(app => keys.appKey('data', app.slug)));
+  return apps.filter(app => !completed.has(keys.appKey('data', app.slug)));
+}
+
+/**
+ * Reads the scraped data of an app as evidence for the heuristic classifier,
+ * like stage 9 does.
+ * @param {Object} app - App document
+ * @returns {Promise<Map<string, {type: string, source: 'state' | 'dom'}>>} Empty when the app wasn't scraped on this machine
+ */
+async function loadScrapedEvidence(app) {
+  try {
+    return scrapedEvidence(JSON.parse(await fs.readFile(path.join(CONFIG.APPS_DIR, `${app.slug}.json`), 'utf8')));
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Stage 4: scraped apps not yet in MongoDB whose description or malformed
+ * interactions need the model.
+ * @returns {Promise<{apps: number, requests: Array<{task: string, request: Object}>}>}
+ */
+async function collectNormalizeRequests() {
+  const saved = new Set(await App.distinct('slug'));
+  const slugs = (await listLockedApps()).map(name => name.toLowerCase()).filter(slug => !saved.has(slug));
+  const savedInRedis = await existingKeys(slugs.map(slug => `app:mongo:${slug}`));
+  const pending = slugs.filter(slug => !savedInRedis.has(`app:mongo:${slug}`));
+
+  let apps = 0;
+  const requests = [];
+  for (let i = 0; i < pending.length; i += CONFIG.REDIS_BATCH_SIZE) {
+    const batch = pending.slice(i, i + CONFIG.REDIS_BATCH_SIZE);
+    const values = await redisClient.mget(batch.map(slug => `app:data:${slug}`));
+    values.forEach(value => {
+      // Stage 4 skips apps without scraped data in Redis
+      if (!value) return;
+      apps++;
+      const { profile, ...normalizableData } = JSON.parse(value);
+      const { data, pending: work } = normalizeWithRules(normalizableData);
+      if (work.description || work.interactions.length) {
+        requests.push({ task: 'normalize', request: buildNormalizeRequest(data.title, work) });
+      }
+    });
+  }
+  return { apps, requests };
+}
+
+/**
+ * Stage 5: one relevancy call per app without isRelevant flag for the target
+ * product; the product itself is answered without the model.
+ * @returns {Promise<{apps: number, requests: Array<{task: string, request: Object}>}>}
+ */
+async function collectRelevancyRequests() {
+  const apps = await withoutCompletedApps(await findStageApps(5), 5);
+  const requests = apps
+    .filter(app => !ownTitlePattern(product).test(app.title))
+    .map(app => ({ task: 'relevancy', request: buildRelevancyRequest(app.title, app.description, product) }));
+  return { apps: apps.length, requests };
+}
+
+/**
+ * Stage 6: one competitor and segment call per relevant app not yet analyzed.
+ * @returns {Promise<{apps: number, requests: Array<{task: string, request: Object}>}>}
+ */
+async function collectCompetitorRequests() {
+  const apps = await withoutCompletedApps(await findStageApps(6), 6);
+  return { apps: apps.length, requests: apps.map(app => ({ task: 'competitors', request: buildCompetitorsRequest(app, product) })) };
+}
+
+/**
+ * Stage 9: one call per app with interactions the heuristic classifier is
+ * unsure about, carrying only those interactions.
+ * @returns {Promise<{apps: number, requests: Array<{task: string, request: Object}>}>}
+ */
+async function collectInteractionTypeRequests() {
+  const apps = await withoutCompletedApps(await findStageApps(9), 9);
+  const minConfidence = getMinConfidence();
+  const requests = [];
+  for (const app of apps) {
+    const interactions = (app.interactions || []).map(interaction => interaction.toObject ? interaction.toObject() : interaction);
+    const classified = classifyAppInteractions(interactions, await loadScrapedEvidence(app), minConfidence);
+    const forModel = interactions.filter((_, index) => CONFIG.VERIFY_ALL || !classified[index].confident);
+    if (forModel.length) {
+      requests.push({
+        task: 'interaction_types',
+        request: buildInteractionTypesRequest(app, forModel.map(({ name, description }) => ({ name, description })), product)
+      });
+    }
+  }
+  return { apps: apps.length, requests };
+}
+
+/**
+ * Stage 10: one interaction relevancy call per app. Estimated on the current
+ * interactions; a stage 9 run first leaves their number unchanged.
+ * @returns {Promise<{apps: number, requests: Array<{task: string, request: Object}>}>}
+ */
+async function collectInteractionRelevancyRequests() {
+  const apps = await withoutCompletedApps(await findStageApps(10), 10);
+  return {
+    apps: apps.length,
+    requests: apps.map(app => ({ task: 'interaction_relevancy', request: buildInteractionRelevancyRequest(app, product) }))
+  };
+}
+
+// The LLM stages, with the calls each would make
+const STAGES = {
+  4: { script: '4_enrich_apps_step1', appDelay: false, collect: collectNormalizeRequests },
+  5: { script: '5_process_apps_relevancy', appDelay: true, collect: collectRelevancyRequests },
+  6: { script: '6_detect_competitors_segment', appDelay: true, collect: collectCompetitorRequests },
+  9: { script: '9_split_interactions', appDelay: true, collect: collectInteractionTypeRequests },
+  10: { script: '10_classify_interactions', appDelay: true, collect: collectInteractionRelevancyRequests }
+};
+
+/**
+ * Averages the completion tokens of billed calls per task and model over the
+ * run summaries in reports/llm_usage.
+ * @returns {Promise<Map<string, number>>} "<task>/<model>" -> tokens per call
+ */
+async function loadCompletionAverages() {
+  const totals = new Map();
+  let files = [];
+  try {
+    files = (await fs.readdir(CONFIG.USAGE_DIR)).filter(file => file.endsWith('.json'));
+  } catch {
+    return new Map();
+  }
+
+  for (const file of files) {
+    try {
+      const summary = JSON.parse(await fs.readFile(path.join(CONFIG.USAGE_DIR, file), 'utf8'));
+      Object.entries(summary.byTask || {}).forEach(([taskKey, usage]) => {
+        const billedCalls = usage.calls - usage.cachedCalls;
+        if (!billedCalls) return;
+        const total = totals.get(taskKey) || { calls: 0, completionTokens: 0 };
+        total.calls += billedCalls;
+        total.completionTokens += usage.completionTokens;
+        totals.set(taskKey, total);
+      });
+    } catch (error) {
+      console.warn(`Skipping run summary ${file}: ${error.message}`.yellow);
+    }
+  }
+
+  return new Map([...totals].map(([taskKey, total]) => [taskKey, Math.round(total.completionTokens / total.calls)]));
+}
+
+/**
+ * Estimates the calls of a stage, grouped by task and model. Requests already
+ * in the response cache are counted as cached: they cost nothing and aren't rate limited.
+ * @param {number} stage - Stage number
+ * @param {Object} context
+ * @param {string} context.provider - LLM provider name
+ * @param {LlmResponseCache} context.cache - Response cache
+ * @param {Map<string, number>} context.completionAverages - Result of loadCompletionAverages()
+ * @returns {Promise<Object>} Stage estimate with one row per task/model
+ */
+async function estimateStage(stage, { provider, cache, completionAverages }) {
+  const { script, appDelay, collect } = STAGES[stage];
+  const { apps, requests } = await collect();
+
+  const rows = new Map();
+  for (const { task, request } of requests) {
+    const model = getTaskModel(task);
+    const taskKey = `${task}/${model}`;
+    if (!rows.has(taskKey)) {
+      const average = completionAverages.get(taskKey);
+      rows.set(taskKey, {
+        task,
+        model,
+        calls: 0,
+        cachedCalls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        completionTokensPerCall: average ?? DEFAULT_COMPLETION_TOKENS[task],
+        completionSource: average === undefined ? 'default' : 'history'
+      });
+    }
+
+    const row = rows.get(taskKey);
+    row.calls++;
+    if (await cache.get(provider, { task, model, ...request })) {
+      row.cachedCalls++;
+      continue;
+    }
+    row.promptTokens += request.messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+    row.completionTokens += Math.min(row.completionTokensPerCall, request.maxTokens || Infinity);
+  }
+
+  const estimatedRows = [...rows.values()].map(row => {
+    const billedCalls = row.calls - row.cachedCalls;
+    const price = getModelPrice(row.model, provider);
+    const rateLimit = getModelRateLimit(row.model);
+    const callSeconds = billedCalls * CONFIG.CALL_OVERHEAD_SECONDS + row.completionTokens / CONFIG.COMPLETION_TOKENS_PER_SECOND;
+    const rateLimitSeconds = rateLimit
+      ? 60 * Math.max(billedCalls / rateLimit.rpm, (row.promptTokens + row.completionTokens) / rateLimit.tpm)
+      : 0;
+    return {
+      ...row,
+      costUsd: price ? (row.promptTokens * price.input + row.completionTokens * price.output) / 1e6 : null,
+      callSeconds,
+      rateLimitSeconds
+    };
+  });
+
+  // The stages run their calls one after the other, so a run takes the longer
+  // of the calls' own latency (plus the pause after each app) and the rate limits
+  const sequentialSeconds = estimatedRows.reduce((total, row) => total + row.callSeconds, 0) +
+    (appDelay ? apps * CONFIG.APP_DELAY_SECONDS : 0);
+  const rateLimitSeconds = estimatedRows.reduce((total, row) => total + row.rateLimitSeconds, 0);
+
+  return {
+    stage,
+    script,
+    apps,
+    rows: estimatedRows,
+    costUsd: estimatedRows.reduce((total, row) => total + (row.costUsd || 0), 0),
+    unpricedModels: estimatedRows.filter(row => row.costUsd === null).map(row => row.model),
+    seconds: Math.max(sequentialSeconds, rateLimitSeconds),
+    limitedBy: rateLimitSeconds > sequentialSeconds ? 'rate limit' : 'latency'
+  };
+}
+
+/**
+ * Formats a duration for the table.
+ * @param {number} seconds - Duration
+ * @returns {string} e.g. "2h 05m", "14m", "40s"
+ */
+function formatDuration(seconds) {
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  const minutes = Math.round(rounded / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Prints the estimates as a table, one row per stage and task.
+ * @param {Object[]} estimates - Results of estimateStage()
+ * @param {string} provider - LLM provider name
+ */
+function printEstimates(estimates, provider) {
+  const table = new Table({
+    head: ['Stage', 'Task', 'Model', 'Apps', 'Calls', 'Cached', 'Prompt tokens', 'Completion tokens', 'Cost', 'Time'].map(title => title.cyan)
+  });
+
+  estimates.forEach(estimate => {
+    if (!estimate.rows.length) {
+      table.push([estimate.stage, '-', '-', estimate.apps, 0, 0, 0, 0, '$0.00', formatDuration(estimate.seconds)]);
+      return;
+    }
+    estimate.rows.forEach((row, index) => {
+      table.push([
+        index ? '' : estimate.stage,
+        row.task,
+        row.model,
+        index ? '' : estimate.apps,
+        row.calls,
+        row.cachedCalls,
+        row.promptTokens.toLocaleString(),
+        `${row.completionTokens.toLocaleString()}${row.completionSource === 'default' ? '*' : ''}`,
+        row.costUsd === null ? 'n/a' : `$${row.costUsd.toFixed(2)}`,
+        index ? '' : `${formatDuration(estimate.seconds)}${estimate.limitedBy === 'rate limit' ? ' (rate limit)' : ''}`
+      ]);
+    });
+  });
+
+  const totalCost = estimates.reduce((total, estimate) => total + estimate.costUsd, 0);
+  const totalSeconds = estimates.reduce((total, estimate) => total + estimate.seconds, 0);
+  table.push(['Total'.bold, '', '', '', '', '', '', '', `$${totalCost.toFixed(2)}`.bold, formatDuration(totalSeconds).bold]);
+
+  console.log(`\nLLM cost estimate (provider: ${provider})`.green);
+  console.log(table.toString());
+  if (estimates.some(estimate => estimate.rows.some(row => row.completionSource === 'default'))) {
+    console.log('* Completion tokens per call not measured yet (no run summary in reports/llm_usage), default used'.gray);
+  }
+  const unpriced = [...new Set(estimates.flatMap(estimate => estimate.unpricedModels))];
+  if (unpriced.length) {
+    console.log(`No price for ${unpriced.join(', ')}, left out of the cost (set LLM_PRICES)`.yellow);
+  }
+  console.log('Times are for a single machine running the stages one after the other'.gray);
+}
+
+async function main() {
+  try {
+    const unknown = CONFIG.STAGES.filter(stage => !STAGES[stage]);
+    if (unknown.length) {
+      console.error(`Unknown stage ${unknown.join(', ')}, expected some of: ${ALL_STAGES.join(', ')}`.red);
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    await connectDB();
+
+    const provider = getLlmProvider();
+    const cacheConfig = getLlmCacheConfig();
+    // Mock responses are never cached (see OpenAIService)
+    const cache = new LlmResponseCache(provider === 'mock' ? { ...cacheConfig, store: 'off' } : cacheConfig);
+    const completionAverages = await loadCompletionAverages();
+
+    const estimates = [];
+    for (const stage of CONFIG.STAGES) {
+      console.log(`Estimating stage ${stage} (${STAGES[stage].script}.js)...`.gray);
+      estimates.push(await estimateStage(stage, { provider, cache, completionAverages }));
+    }
+
+    printEstimates(estimates, provider);
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      provider,
+      verifyAll: CONFIG.VERIFY_ALL,
+      minTypeConfidence: getMinConfidence(),
+      stages: estimates,
+      totalCostUsd: estimates.reduce((total, estimate) => total + estimate.costUsd, 0),
+      totalSeconds: estimates.reduce((total, estimate) => total + estimate.seconds, 0)
+    };
+    await fs.mkdir(path.dirname(CONFIG.REPORT_PATH), { recursive: true });
+    await fs.writeFile(CONFIG.REPORT_PATH, JSON.stringify(report, null, 2));
+    console.log(`Estimate written to ${CONFIG.REPORT_PATH}`.green);
+
+    await mongoose.disconnect();
+    await redisClient.quit();
+    process.exit(0);
+  } catch (error) {
+    console.error('Estimate failed:'.red, error);
+    process.exit(1);
+  }
+}
+
+main();
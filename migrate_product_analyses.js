@@ -0,0 +1,162 @@
+// migrate_product_analyses.js
+// Moves the analysis results stored before they were kept per target product
+// (top-level isRelevant, relevancyReasoning, potentialUseCase, competitorScore,
+// integrationSegment, and each interaction's isRelevant and relevancySegment,
+// with their provenance) under `analyses.<product id>`, see src/utils/productAnalysis.js.
+// Results already under the product are kept. Safe to run more than once.
+// Usage: node migrate_product_analyses.js [--product=<id>] [--dry-run]
+require('dotenv').config();
+const { connectDB } = require('./src/utils/mongoUtils');
+const App = require('./src/models/App');
+const { getProductId, loadProductProfile } = require('./src/config/product');
+const colors = require('colors');
+
+const CONFIG = {
+  // Product the legacy results were produced for (--product=<id>, PRODUCT env var, retently)
+  PRODUCT: getProductId(),
+  DRY_RUN: process.argv.includes('--dry-run'),
+  // Number of updates sent to MongoDB per bulkWrite
+  BATCH_SIZE: 500
+};
+
+// Legacy fields of stages 5 and 6 on the app, and of stage 10 on each interaction
+const APP_FIELDS = ['isRelevant', 'relevancyReasoning', 'potentialUseCase', 'competitorScore', 'integrationSegment'];
+const INTERACTION_FIELDS = ['isRelevant', 'relevancySegment'];
+
+// Apps with any legacy field left
+const LEGACY_FILTER = {
+  $or: [
+    ...APP_FIELDS.map(field => ({ [field]: { $exists: true } })),
+    ...INTERACTION_FIELDS.map(field => ({ [`interactions.${field}`]: { $exists: true } }))
+  ]
+};
+
+/**
+ * Moves the legacy fields of an object (app or interaction) and their
+ * provenance into the product's analysis, without overwriting what the
+ * analysis already holds. Unset values (null, the old defaults) aren't moved.
+ * @param {Object} item - Raw app or interaction
+ * @param {string[]} fields - Legacy fields
+ * @param {string} productId - Product id
+ * @returns {{analysis: Object, moved: number}} The product's analysis, and the number of fields moved into it
+ */
+function moveLegacyFields(item, fields, productId) {
+  const analysis = { ...((item.analyses || {})[productId] || {}) };
+  const provenance = { ...(analysis.provenance || {}) };
+  let moved = 0;
+
+  fields.forEach(field => {
+    if (item[field] === undefined || item[field] === null || analysis[field] !== undefined) return;
+    analysis[field] = item[field];
+    if (item.provenance && item.provenance[field] && !provenance[field]) provenance[field] = item.provenance[field];
+    moved++;
+  });
+
+  if (Object.keys(provenance).length) analysis.provenance = provenance;
+  return { analysis, moved };
+}
+
+/**
+ * Returns an object's provenance without the entries of the legacy fields.
+ * @param {Object | undefined} provenance - Raw provenance
+ * @param {string[]} fields - Legacy fields
+ * @returns {Object | undefined} Remaining provenance, undefined when none is left
+ */
+function withoutLegacyProvenance(provenance, fields) {
+  if (!provenance) return undefined;
+  const remaining = { ...provenance };
+  fields.forEach(field => delete remaining[field]);
+  return Object.keys(remaining).length ? remaining : undefined;
+}
+
+/**
+ * Builds the update moving an app's legacy results under the product.
+ * @param {Object} app - Raw app document
+ * @param {string} productId - Product id
+ * @returns {{update: Object, moved: number}} MongoDB update, and the number of fields moved
+ */
+function buildMigration(app, productId) {
+  const $set = {};
+  const $unset = {};
+
+  const { analysis, moved: appMoved } = moveLegacyFields(app, APP_FIELDS, productId);
+  if (appMoved) $set[`analyses.${productId}`] = analysis;
+  APP_FIELDS.forEach(field => {
+    if (field in app) $unset[field] = '';
+    if (app.provenance && field in app.provenance) $unset[`provenance.${field}`] = '';
+  });
+
+  let interactionsMoved = 0;
+  if (Array.isArray(app.interactions) && app.interactions.some(interaction => INTERACTION_FIELDS.some(field => field in interaction))) {
+    $set.interactions = app.interactions.map(interaction => {
+      const { analysis: interactionAnalysis, moved } = moveLegacyFields(interaction, INTERACTION_FIELDS, productId);
+      interactionsMoved += moved;
+
+      const migrated = { ...interaction };
+      INTERACTION_FIELDS.forEach(field => delete migrated[field]);
+      migrated.provenance = withoutLegacyProvenance(interaction.provenance, INTERACTION_FIELDS);
+      if (!migrated.provenance) delete migrated.provenance;
+      if (moved) migrated.analyses = { ...(interaction.analyses || {}), [productId]: interactionAnalysis };
+      return migrated;
+    });
+  }
+
+  const update = {};
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($unset).length) update.$unset = $unset;
+  return { update, moved: appMoved + interactionsMoved };
+}
+
+async function migrateProductAnalyses() {
+  try {
+    // Fails early on a product without a valid profile
+    loadProductProfile(CONFIG.PRODUCT);
+
+    // Connect to MongoDB
+    await connectDB();
+    console.log('MongoDB connected successfully'.green);
+
+    // Raw documents: the legacy fields are no longer in the App schema
+    const apps = await App.collection.find(LEGACY_FILTER).toArray();
+    console.log(`Found ${apps.length} apps with results to move under analyses.${CONFIG.PRODUCT}`.yellow);
+
+    let operations = [];
+    let modified = 0;
+    let movedFields = 0;
+    const flush = async () => {
+      if (!operations.length) return;
+      if (!CONFIG.DRY_RUN) {
+        const result = await App.collection.bulkWrite(operations, { ordered: false });
+        modified += result.modifiedCount;
+      }
+      operations = [];
+    };
+
+    for (const app of apps) {
+      const { update, moved } = buildMigration(app, CONFIG.PRODUCT);
+      movedFields += moved;
+      operations.push({ updateOne: { filter: { _id: app._id }, update } });
+      if (operations.length >= CONFIG.BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log('Migration summary:'.cyan);
+    console.log('Fields moved:', movedFields);
+    console.log(CONFIG.DRY_RUN ? 'Dry run, nothing written'.yellow : `Modified count: ${modified}`);
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error migrating product analyses:'.red, error);
+    process.exit(1);
+  }
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+  console.log('\nGracefully shutting down...'.yellow);
+  process.exit(0);
+});
+
+// Run the migration
+migrateProductAnalyses();
@@ -74,6 +74,39 @@ async function scanKeys(pattern) {
   return keys;
 }
 
+// App keys: app:<kind>:<slug> for the app scrapers and stage 4, app:<kind>:stage<N>[:<product>]:<slug>
+// for the stages scoping their marks (see src/services/redisService.js)
+const APP_KEY_PATTERN = /^app:(?:processing|data):(?:(stage\d+(?::[^:]+)?):)?([^:]+)$/;
+
+/**
+ * Splits an app processing/completion key into its scope and app slug.
+ * @param {string} key - Redis key
+ * @returns {{scope: string | null, slug: string}} Scope ("stage5:retently"), null for unscoped keys
+ */
+function parseAppKey(key) {
+  const match = key.match(APP_KEY_PATTERN);
+  if (!match) return { scope: null, slug: key.replace(/^app:(?:processing|data):/, '') };
+  return { scope: match[1] || null, slug: match[2] };
+}
+
+/**
+ * Counts app keys per scope.
+ * @param {string[]} keys - App processing or completion keys
+ * @returns {{unscoped: number, byScope: Object<string, number>}} Unscoped count, and counts by scope
+ */
+function countByScope(keys) {
+  const counts = { unscoped: 0, byScope: {} };
+  keys.forEach(key => {
+    const { scope } = parseAppKey(key);
+    if (scope) {
+      counts.byScope[scope] = (counts.byScope[scope] || 0) + 1;
+    } else {
+      counts.unscoped++;
+    }
+  });
+  return counts;
+}
+
 async function getMachineStats() {
   try {
     // Get all machine statuses using SCAN
@@ -91,10 +124,18 @@ async function getMachineStats() {
       scanKeys('app:data:*')
     ]);
 
+    // LLM usage totals per stage, kept by every machine running an LLM stage
+    const usageKeys = await scanKeys('llm:usage:*');
+    const llmUsage = await Promise.all(
+      usageKeys.map(async (key) => ({ stage: key.replace('llm:usage:', ''), totals: await redis.hgetall(key) }))
+    );
+
     return {
       machines,
+      llmUsage,
       totalProcessing: processingKeys.length,
-      totalCompleted: completedKeys.length
+      processing: countByScope(processingKeys),
+      completed: countByScope(completedKeys)
     };
   } catch (error) {
     console.error(colors.red('Error fetching stats:'), error);
@@ -126,6 +167,8 @@ async function displayStats() {
         colors.yellow('Category'),
         colors.yellow('Processed'),
         colors.yellow('Failed'),
+        colors.yellow('HTTP/Browser'),
+        colors.yellow('LLM Tokens/$'),
         colors.yellow('Last Active'),
         colors.yellow('Uptime')
       ]
@@ -151,6 +194,8 @@ async function displayStats() {
         data.current_category || '-',
         data.processed_count || 0,
         data.failed_count || 0,
+        data.fetch_mode ? `${data.http_count || 0}/${data.browser_count || 0}` : '-',
+        data.llm_calls ? `${data.llm_tokens || 0}/$${(data.llm_cost_usd || 0).toFixed(2)}` : '-',
         formatDuration(lastActiveAgo) + ' ago',
         uptime
       ]);
@@ -158,8 +203,24 @@ async function displayStats() {
 
     console.log(table.toString());
     console.log('\nOverall Progress:');
-    console.log(colors.cyan(`Total Apps Completed: ${stats.totalCompleted}`));
-    console.log(colors.yellow(`Currently Processing: ${stats.totalProcessing}`));
+    // Unscoped keys belong to the app scrapers (and stage 4 processing marks); the other stages count theirs per stage (and product)
+    console.log(colors.cyan(`Total Apps Completed (scraping): ${stats.completed.unscoped}`));
+    console.log(colors.yellow(`Currently Processing (scraping, stage 4): ${stats.processing.unscoped}`));
+    const scopes = [...new Set([...Object.keys(stats.completed.byScope), ...Object.keys(stats.processing.byScope)])].sort();
+    if (scopes.length > 0) {
+      console.log('\nProgress per Stage:');
+      scopes.forEach(scope => {
+        console.log(colors.gray(`- ${scope}: ${stats.completed.byScope[scope] || 0} completed, ${stats.processing.byScope[scope] || 0} processing`));
+      });
+    }
+
+    if (stats.llmUsage.length > 0) {
+      console.log('\nLLM Usage per Stage:');
+      stats.llmUsage.forEach(({ stage, totals }) => {
+        const tokens = Number(totals.prompt_tokens || 0) + Number(totals.completion_tokens || 0);
+        console.log(colors.gray(`- ${stage}: ${totals.calls || 0} calls (${totals.cached_calls || 0} cached), ${tokens} tokens, $${Number(totals.cost_usd || 0).toFixed(2)}`));
+      });
+    }
 
     if (stats.totalProcessing > 0) {
       console.log('\nCurrently Processing Apps:');
@@ -169,9 +230,9 @@ async function displayStats() {
         // Add null check for processing app data
         if (!data || !data.started_at) continue;
         
-        const appName = key.replace('app:processing:', '');
+        const { scope, slug } = parseAppKey(key);
         const duration = formatDuration(now - data.started_at);
-        console.log(colors.gray(`- ${appName} (by ${data.machine_id || 'unknown'}, running for ${duration})`));
+        console.log(colors.gray(`- ${slug}${scope ? ` [${scope}]` : ''} (by ${data.machine_id || 'unknown'}, running for ${duration})`));
       }
     }
   } catch (error) {
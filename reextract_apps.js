@@ -0,0 +1,87 @@
+// reextract_apps.js
+// Rebuilds apps/*.json from saved HTML snapshots, without launching a browser.
+// Usage: node reextract_apps.js [app-slug ...]
+const fs = require('fs').promises;
+const path = require('path');
+const colors = require('colors');
+const { extractAppDataFromHtml } = require('./src/extractors/appPageExtractor');
+const { listSnapshots, readSnapshot, SNAPSHOT_DIR } = require('./src/utils/snapshotUtils');
+const { SelectorDriftTracker } = require('./src/extractors/selectorResolver');
+const { carryOverDetails } = require('./src/extractors/interactionDetails');
+
+const CONFIG = {
+  APPS_DIR: 'apps'
+};
+
+// Tracks which selector strategies matched across the snapshots and warns on drift
+const selectorDrift = new SelectorDriftTracker(message => console.warn(message.yellow));
+
+/**
+ * Reads the existing app JSON, if any, so scrape metadata that isn't part of
+ * the page itself (sourceCategory, scrapedAt, interaction details read from
+ * detail panels) survives re-extraction.
+ * @param {string} outputPath - Path to the app JSON file
+ * @returns {Promise<Object | null>} Parsed app data or null when missing/invalid
+ */
+async function readExistingApp(outputPath) {
+  try {
+    return JSON.parse(await fs.readFile(outputPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Re-extracts a single app from its snapshot and rewrites its JSON file.
+ * @param {string} appName - App slug
+ * @returns {Promise<boolean>} True when the app file was written
+ */
+async function reextractApp(appName) {
+  const outputPath = path.join(CONFIG.APPS_DIR, `${appName}.json`);
+
+  try {
+    const { html, payloads, savedAt } = await readSnapshot(appName);
+    const existing = await readExistingApp(outputPath);
+    const url = existing?.url || `https://zapier.com/apps/${appName}/integrations`;
+    const appData = extractAppDataFromHtml(html, url, payloads);
+    selectorDrift.record(appData.selectorMatches, appName);
+    carryOverDetails(appData.triggers, existing?.triggers);
+    carryOverDetails(appData.actions, existing?.actions);
+
+    await fs.writeFile(outputPath, JSON.stringify({
+      ...appData,
+      sourceCategory: existing?.sourceCategory || null,
+      url,
+      scrapedAt: existing?.scrapedAt || savedAt.toISOString()
+    }, null, 2));
+
+    console.log(`${appName}: ${appData.triggers.length} triggers, ${appData.actions.length} actions`.green);
+    return true;
+  } catch (error) {
+    console.error(`Error re-extracting ${appName}:`.red, error.message);
+    return false;
+  }
+}
+
+async function main() {
+  const requested = process.argv.slice(2).map(name => name.toLowerCase());
+  const appNames = requested.length ? requested : await listSnapshots();
+
+  if (!appNames.length) {
+    console.log(`No snapshots found in ${SNAPSHOT_DIR}`.yellow);
+    return;
+  }
+
+  await fs.mkdir(CONFIG.APPS_DIR, { recursive: true });
+  console.log(`Re-extracting ${appNames.length} apps from ${SNAPSHOT_DIR}`.cyan);
+
+  let written = 0;
+  for (const appName of appNames) {
+    if (await reextractApp(appName)) written++;
+  }
+
+  selectorDrift.summary();
+  console.log(`Re-extraction complete: ${written}/${appNames.length} apps written`.cyan);
+}
+
+main().catch(console.error);
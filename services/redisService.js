@@ -65,6 +65,21 @@ class RedisService {
     }
   }
 
+  /**
+   * Drops an app's processing mark without completing it, e.g. when it was only
+   * saved incomplete, so that it can be picked up again.
+   * @param {string} appName - App slug
+   * @returns {Promise<void>}
+   */
+  async releaseApp(appName) {
+    try {
+      await this.client.del(`app:processing:${appName.toLowerCase()}`);
+    } catch (error) {
+      console.error(`Error releasing app ${appName}:`, error);
+      throw error;
+    }
+  }
+
   async markAppCompleted(appName, data) {
     try {
       const normalizedAppName = appName.toLowerCase();
@@ -0,0 +1,36 @@
+// src/config/fetchMode.js
+// How each scraping stage downloads pages:
+//   browser   - Puppeteer for every page (default, previous behaviour)
+//   http      - plain HTTP first, Puppeteer only when required data is missing
+//   http-only - plain HTTP, never launches Chrome; incomplete pages are saved with `missingData`
+//
+// Resolution order: --fetch-mode=<mode> argument, FETCH_MODE_<STAGE> env var, FETCH_MODE env var.
+
+const FETCH_MODES = ['browser', 'http', 'http-only'];
+const DEFAULT_FETCH_MODE = 'browser';
+
+/**
+ * Resolves the fetch mode for a stage.
+ * @param {string} stage - Stage name, e.g. "apps" or "categories" (matches FETCH_MODE_APPS, ...)
+ * @returns {'browser' | 'http' | 'http-only'}
+ * @throws {Error} When the configured mode is unknown
+ */
+function getFetchMode(stage) {
+  const arg = process.argv.find(value => value.startsWith('--fetch-mode='));
+  const mode = (
+    (arg && arg.split('=')[1]) ||
+    process.env[`FETCH_MODE_${stage.toUpperCase()}`] ||
+    process.env.FETCH_MODE ||
+    DEFAULT_FETCH_MODE
+  ).toLowerCase();
+
+  if (!FETCH_MODES.includes(mode)) {
+    throw new Error(`Unknown fetch mode "${mode}" for ${stage}, expected one of: ${FETCH_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+module.exports = {
+  FETCH_MODES,
+  getFetchMode
+};
@@ -0,0 +1,173 @@
+// src/config/llm.js
+// Which LLM provider the pipeline talks to, and which model each task uses:
+//   openai - the OpenAI API (default, previous behaviour)
+//   local  - any OpenAI-compatible server (llama.cpp, Ollama, vLLM) at LLM_BASE_URL
+//   mock   - deterministic canned responses, no network (offline runs and tests)
+//
+// Provider resolution order: --llm-provider=<name> argument, LLM_PROVIDER env var.
+// Model resolution order: LLM_MODEL_<TASK> env var, LLM_MODEL env var, the task's default.
+//
+// Responses are cached (see src/services/llm/responseCache.js) in:
+//   disk  - JSON files under LLM_CACHE_DIR (default)
+//   redis - the pipeline's Redis
+//   off   - no cache, also with the --no-cache argument
+//
+// Usage is priced with MODEL_PRICES (LLM_PRICES overrides them) and a run can be
+// capped with --budget-usd=<dollars> / LLM_BUDGET_USD and --budget-tokens=<n> / LLM_BUDGET_TOKENS.
+// estimate_llm_costs.js assumes the MODEL_RATE_LIMITS of each model (LLM_RATE_LIMITS overrides them).
+//
+// Responses are validated against their task's output schema (src/prompts); an invalid
+// one is sent back with its errors for up to LLM_REPAIR_ATTEMPTS repairs. LLM_JSON_SCHEMA
+// (auto, on, off) controls the strict JSON schema mode of OpenAI-compatible providers.
+
+const LLM_PROVIDERS = ['openai', 'local', 'mock'];
+const DEFAULT_LLM_PROVIDER = 'openai';
+
+// Default model of each task, as the stages have always used them
+const TASK_MODELS = {
+  // Stage 4: description and malformed interactions (openaiService.rewriteAppText)
+  normalize: 'gpt-4o-mini',
+  // openaiService.processInteractions
+  interactions: 'gpt-4',
+  // Stage 5: app relevancy
+  relevancy: 'gpt-4o',
+  // Stage 6: competitor score and integration segment
+  competitors: 'gpt-4o',
+  // Stage 9: trigger/action type of low-confidence interactions
+  interaction_types: 'gpt-4o',
+  // Stage 10: interaction relevancy and segment
+  interaction_relevancy: 'gpt-4o'
+};
+
+// List prices in USD per million tokens; local and mock models are free
+const MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4': { input: 30, output: 60 }
+};
+
+// Requests and tokens per minute of each model at OpenAI usage tier 1
+const MODEL_RATE_LIMITS = {
+  'gpt-4o': { rpm: 500, tpm: 30000 },
+  'gpt-4o-mini': { rpm: 500, tpm: 200000 },
+  'gpt-4': { rpm: 500, tpm: 10000 }
+};
+
+// Repair retries after a response that breaks its task's output schema
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+const LLM_CACHE_STORES = ['disk', 'redis', 'off'];
+
+// Cached responses expire after 30 days by default
+const DEFAULT_CACHE_TTL_SECONDS = 30 * 24 * 3600;
+
+/**
+ * Resolves the LLM provider.
+ * @returns {'openai' | 'local' | 'mock'}
+ * @throws {Error} When the configured provider is unknown
+ */
+function getLlmProvider() {
+  const arg = process.argv.find(value => value.startsWith('--llm-provider='));
+  const provider = ((arg && arg.split('=')[1]) || process.env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER).toLowerCase();
+
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider "${provider}", expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolves the model of a task.
+ * @param {string} task - Task name, e.g. "relevancy" (matches LLM_MODEL_RELEVANCY)
+ * @returns {string}
+ * @throws {Error} When the task is unknown
+ */
+function getTaskModel(task) {
+  if (!TASK_MODELS[task]) {
+    throw new Error(`Unknown LLM task "${task}", expected one of: ${Object.keys(TASK_MODELS).join(', ')}`);
+  }
+  return process.env[`LLM_MODEL_${task.toUpperCase()}`] || process.env.LLM_MODEL || TASK_MODELS[task];
+}
+
+/**
+ * Resolves where LLM responses are cached and for how long.
+ * @returns {{store: 'disk' | 'redis' | 'off', ttlSeconds: number, dir: string}} ttlSeconds 0 keeps responses forever
+ * @throws {Error} When the configured store is unknown
+ */
+function getLlmCacheConfig() {
+  const store = process.argv.includes('--no-cache') ? 'off' : (process.env.LLM_CACHE || 'disk').toLowerCase();
+  if (!LLM_CACHE_STORES.includes(store)) {
+    throw new Error(`Unknown LLM cache "${store}", expected one of: ${LLM_CACHE_STORES.join(', ')}`);
+  }
+  const ttl = parseInt(process.env.LLM_CACHE_TTL, 10);
+  return {
+    store,
+    ttlSeconds: Number.isNaN(ttl) ? DEFAULT_CACHE_TTL_SECONDS : ttl,
+    dir: process.env.LLM_CACHE_DIR || 'cache/llm'
+  };
+}
+
+/**
+ * Returns the price of a model: the LLM_PRICES env var ({"<model>": {"input": 2.5, "output": 10}})
+ * when it lists the model, otherwise MODEL_PRICES for OpenAI and free for the other providers.
+ * @param {string} model - Model name
+ * @param {string} [provider='openai'] - Provider name
+ * @returns {{input: number, output: number} | null} USD per million prompt/completion tokens, null when unknown
+ */
+function getModelPrice(model, provider = 'openai') {
+  const overrides = process.env.LLM_PRICES ? JSON.parse(process.env.LLM_PRICES) : {};
+  if (overrides[model]) return overrides[model];
+  if (provider !== 'openai') return { input: 0, output: 0 };
+  return MODEL_PRICES[model] || null;
+}
+
+/**
+ * Returns the rate limits of a model: the LLM_RATE_LIMITS env var ({"<model>": {"rpm": 500, "tpm": 30000}})
+ * when it lists the model, otherwise MODEL_RATE_LIMITS.
+ * @param {string} model - Model name
+ * @returns {{rpm: number, tpm: number} | null} Requests and tokens per minute, null when unknown
+ */
+function getModelRateLimit(model) {
+  const overrides = process.env.LLM_RATE_LIMITS ? JSON.parse(process.env.LLM_RATE_LIMITS) : {};
+  return overrides[model] || MODEL_RATE_LIMITS[model] || null;
+}
+
+/**
+ * Resolves how many times an invalid response is sent back for repair.
+ * @returns {number} 0 disables repairs
+ */
+function getLlmRepairAttempts() {
+  const attempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+  return Number.isNaN(attempts) || attempts < 0 ? DEFAULT_REPAIR_ATTEMPTS : attempts;
+}
+
+/**
+ * Resolves the budget of a run.
+ * @returns {{maxCostUsd: number | null, maxTokens: number | null}} Null for no cap
+ */
+function getLlmBudget() {
+  const arg = name => {
+    const value = process.argv.find(item => item.startsWith(`--${name}=`));
+    return value ? value.split('=')[1] : undefined;
+  };
+  const maxCostUsd = parseFloat(arg('budget-usd') ?? process.env.LLM_BUDGET_USD);
+  const maxTokens = parseInt(arg('budget-tokens') ?? process.env.LLM_BUDGET_TOKENS, 10);
+  return {
+    maxCostUsd: Number.isNaN(maxCostUsd) ? null : maxCostUsd,
+    maxTokens: Number.isNaN(maxTokens) ? null : maxTokens
+  };
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  TASK_MODELS,
+  MODEL_PRICES,
+  MODEL_RATE_LIMITS,
+  getModelPrice,
+  getModelRateLimit,
+  getLlmBudget,
+  getLlmProvider,
+  getTaskModel,
+  getLlmCacheConfig,
+  getLlmRepairAttempts
+};
@@ -0,0 +1,297 @@
+// src/config/product.js
+// Target product the relevancy, competitor and interaction stages (5, 6, 9 and 10)
+// analyze apps for. Each product has a profile in src/config/products/<id>.json:
+// name and description, what it does (capabilities), its Zapier triggers and
+// actions, the relevancy scenarios and examples, the competitor scoring rubric,
+// known competitors and the business segments results are classified in.
+// The triggers and actions refreshed from the product's own Zapier app by stage 3
+// are kept apart, in data/products/<id>.capabilities.json, and replace the
+// profile's hand-written ones on load.
+//
+// Product resolution order: --product=<id> argument, PRODUCT env var, retently.
+const fs = require('fs');
+const path = require('path');
+const { validateJson } = require('../utils/jsonSchema');
+
+const PRODUCT_DIR = path.join(__dirname, 'products');
+// Generated, untracked files: refreshed capabilities and their change reports
+const CAPABILITIES_DIR = path.join(__dirname, '..', '..', 'data', 'products');
+const DEFAULT_PRODUCT = 'retently';
+// Product ids are MongoDB field names of the per-product results
+const PRODUCT_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+// Name and description of a trigger or action
+const CAPABILITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  },
+  required: ['name', 'description']
+};
+
+// Criteria and examples of one relevancy verdict of an interaction
+const CRITERIA_SCHEMA = {
+  type: 'object',
+  properties: {
+    criteria: { type: 'array', minItems: 1, items: { type: 'string' } },
+    examples: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['criteria', 'examples']
+};
+
+const STRINGS_SCHEMA = { type: 'array', items: { type: 'string' } };
+
+// What a profile must define; checked when it is loaded
+const PRODUCT_PROFILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    // Other titles the product is listed under on Zapier
+    aliases: STRINGS_SCHEMA,
+    // Slug of the product's own Zapier app (zapier.com/apps/<slug>), the product id by default
+    zapierSlug: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    // Business purpose an integration must serve, e.g. "customer experience management"
+    purpose: { type: 'string', minLength: 1 },
+    capabilities: { type: 'array', minItems: 1, items: { type: 'string' } },
+    // Hand-written; replaced by the ones stage 3 reads from the product's own Zapier page (see src/utils/productCapabilities.js)
+    triggers: { type: 'array', items: CAPABILITY_SCHEMA },
+    actions: { type: 'array', items: CAPABILITY_SCHEMA },
+    relevancy: {
+      type: 'object',
+      properties: {
+        scenarios: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              question: { type: 'string' },
+              relevant: { type: 'string' },
+              notRelevant: { type: 'string' }
+            },
+            required: ['name', 'question', 'relevant', 'notRelevant']
+          }
+        },
+        examples: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              app: { type: 'string' },
+              isRelevant: { type: 'boolean' },
+              relevancyReasoning: { type: 'string' },
+              potentialUseCase: { type: ['string', 'null'] }
+            },
+            required: ['app', 'isRelevant', 'relevancyReasoning', 'potentialUseCase']
+          }
+        }
+      },
+      required: ['scenarios', 'examples']
+    },
+    interactionRelevancy: {
+      type: 'object',
+      properties: {
+        triggers: CRITERIA_SCHEMA,
+        actions: CRITERIA_SCHEMA,
+        notRelevant: CRITERIA_SCHEMA,
+        examples: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              app: { type: 'string' },
+              interaction: CAPABILITY_SCHEMA,
+              isRelevant: { type: 'boolean' },
+              relevancySegment: { type: 'string' },
+              reasoning: { type: 'string' }
+            },
+            required: ['app', 'interaction', 'isRelevant', 'relevancySegment', 'reasoning']
+          }
+        }
+      },
+      required: ['triggers', 'actions', 'notRelevant', 'examples']
+    },
+    scoringRubric: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          score: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['score', 'description']
+      }
+    },
+    competitors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          score: { type: 'string' }
+        },
+        required: ['name', 'score']
+      }
+    },
+    segments: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          interactionCriteria: STRINGS_SCHEMA,
+          interactionExamples: STRINGS_SCHEMA
+        },
+        required: ['id', 'description', 'interactionCriteria', 'interactionExamples']
+      }
+    }
+  },
+  required: [
+    'id', 'name', 'description', 'purpose', 'capabilities', 'triggers', 'actions',
+    'relevancy', 'interactionRelevancy', 'scoringRubric', 'competitors', 'segments'
+  ]
+};
+
+// Product id -> loaded profile
+const profiles = new Map();
+
+/**
+ * Resolves the target product.
+ * @returns {string} Product id
+ */
+function getProductId() {
+  const arg = process.argv.find(value => value.startsWith('--product='));
+  return ((arg && arg.split('=')[1]) || process.env.PRODUCT || DEFAULT_PRODUCT).toLowerCase();
+}
+
+/**
+ * Lists the products that have a profile.
+ * @returns {string[]} Product ids
+ */
+function listProductIds() {
+  return fs.readdirSync(PRODUCT_DIR).filter(file => file.endsWith('.json')).map(file => file.replace('.json', ''));
+}
+
+/**
+ * Returns the path of a product's refreshed capabilities file.
+ * @param {string} id - Product id
+ * @returns {string} data/products/<id>.capabilities.json
+ */
+function capabilitiesPath(id) {
+  return path.join(CAPABILITIES_DIR, `${id}.capabilities.json`);
+}
+
+/**
+ * Reads the triggers and actions last refreshed from a product's Zapier app.
+ * @param {string} id - Product id
+ * @returns {{triggers: Object[], actions: Object[], url: string, scrapedAt: string | null} | null} Null when never refreshed
+ */
+function loadProductCapabilities(id) {
+  try {
+    return JSON.parse(fs.readFileSync(capabilitiesPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid capabilities file ${capabilitiesPath(id)}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads a product profile, checked against PRODUCT_PROFILE_SCHEMA. Refreshed
+ * triggers and actions (see loadProductCapabilities()) replace the profile's own.
+ * @param {string} [id] - Product id, the configured product by default
+ * @returns {Object} Profile
+ * @throws {Error} When the product has no profile or the profile is invalid
+ */
+function loadProductProfile(id = getProductId()) {
+  if (profiles.has(id)) return profiles.get(id);
+
+  if (!listProductIds().includes(id)) {
+    throw new Error(`Unknown product "${id}", expected one of: ${listProductIds().join(', ')} (profiles in ${PRODUCT_DIR})`);
+  }
+  const profile = JSON.parse(fs.readFileSync(path.join(PRODUCT_DIR, `${id}.json`), 'utf8'));
+  const refreshed = loadProductCapabilities(id);
+  if (refreshed) {
+    profile.triggers = refreshed.triggers;
+    profile.actions = refreshed.actions;
+  }
+  checkProductProfile(profile, id);
+
+  profiles.set(id, profile);
+  return profile;
+}
+
+/**
+ * Checks a profile against PRODUCT_PROFILE_SCHEMA and its file name.
+ * @param {Object} profile - Profile
+ * @param {string} id - Product id, as in the file name
+ * @throws {Error} When the profile is invalid
+ */
+function checkProductProfile(profile, id) {
+  const errors = validateJson(profile, PRODUCT_PROFILE_SCHEMA);
+  if (profile.id !== id) errors.push(`$.id: "${profile.id}" doesn't match the file name "${id}"`);
+  // Results are stored under analyses.<id> (see src/utils/productAnalysis.js)
+  if (!PRODUCT_ID_PATTERN.test(id)) errors.push(`$.id: "${id}" may only contain a-z, 0-9, "_" and "-"`);
+  if (errors.length) {
+    throw new Error(`Invalid product profile ${id}.json: ${errors.slice(0, 5).join('; ')}`);
+  }
+}
+
+/**
+ * Writes the triggers and actions refreshed from a product's Zapier app to
+ * data/products/<id>.capabilities.json, leaving the tracked profile untouched.
+ * The profile with the new lists is checked like on load.
+ * @param {Object} profile - Current profile
+ * @param {{triggers: Object[], actions: Object[], url: string, scrapedAt: string | null}} capabilities - Refreshed lists and their source
+ * @returns {string} Path of the capabilities file
+ * @throws {Error} When the profile with the new lists is invalid
+ */
+function saveProductCapabilities(profile, { triggers, actions, url, scrapedAt }) {
+  const updated = { ...profile, triggers, actions };
+  checkProductProfile(updated, profile.id);
+  const file = capabilitiesPath(profile.id);
+  fs.mkdirSync(CAPABILITIES_DIR, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ product: profile.id, url, scrapedAt, triggers, actions }, null, 2)}\n`);
+  profiles.set(profile.id, updated);
+  return file;
+}
+
+/**
+ * Returns the ids of a product's business segments, e.g. ['ALL', 'ECOMMERCE', 'B2B', 'B2C'].
+ * @param {Object} profile - Product profile
+ * @returns {string[]}
+ */
+function segmentIds(profile) {
+  return profile.segments.map(segment => segment.id);
+}
+
+/**
+ * Builds the pattern matching the product's own app titles (its name and
+ * aliases), which are never relevant to integrate with the product itself.
+ * @param {Object} profile - Product profile
+ * @returns {RegExp} Case-insensitive pattern
+ */
+function ownTitlePattern(profile) {
+  const names = [profile.name, ...(profile.aliases || [])]
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(names.join('|'), 'i');
+}
+
+module.exports = {
+  DEFAULT_PRODUCT,
+  PRODUCT_PROFILE_SCHEMA,
+  CAPABILITIES_DIR,
+  getProductId,
+  listProductIds,
+  capabilitiesPath,
+  loadProductProfile,
+  saveProductCapabilities,
+  segmentIds,
+  ownTitlePattern
+};
@@ -0,0 +1,131 @@
+// src/config/selectors.js
+// Selector registry for Zapier app pages.
+//
+// Zapier ships hashed Emotion class names (".css-1vl3hh8-AppDetailsNav__nav") that change
+// on every redeploy. Each logical field lists its strategies in order of preference:
+// data-testid first where Zapier exposes one, then the exact class we last saw, then a
+// partial class match on the stable component suffix, then a text match. The first
+// strategy is the field's primary; a run warns when it stops matching.
+//
+// Strategy shape: { name, selector, text? }
+//   name     - recorded on the scraped app so we can see which strategy matched
+//   selector - CSS selector (querySelectorAll)
+//   text     - optional case-insensitive substring the element's text must contain
+// Field flags:
+//   required - the field is expected on every app page; a miss is reported as drift
+
+module.exports = {
+  // Button of the app details nav that opens the Triggers & Actions tab
+  navTab: {
+    required: true,
+    strategies: [
+      { name: 'exactClass', selector: '.css-1vl3hh8-AppDetailsNav__nav button', text: 'Triggers & Actions' },
+      { name: 'partialClass', selector: '[class*="AppDetailsNav__nav"] button', text: 'Triggers & Actions' },
+      { name: 'text', selector: 'button, [role="tab"]', text: 'Triggers & Actions' }
+    ]
+  },
+
+  // "Load more" button at the bottom of the Triggers & Actions list
+  loadMoreButton: {
+    strategies: [
+      { name: 'exactClass', selector: '.css-1avj58e-BaseButton' },
+      { name: 'testid', selector: '[data-testid*="load-more"]' },
+      { name: 'partialClass', selector: '[class*="BaseButton"]', text: 'Load more' },
+      { name: 'text', selector: 'button, [role="button"]', text: 'Load more' }
+    ]
+  },
+
+  // A single trigger or action in the Triggers & Actions list
+  listItem: {
+    required: true,
+    strategies: [
+      { name: 'exactClass', selector: '.css-15o0hnq-TriggerActionList__listItem' },
+      { name: 'partialClass', selector: '[class*="TriggerActionList__listItem"]' }
+    ]
+  },
+
+  // Name + description text inside a list item
+  listItemSummary: {
+    strategies: [
+      { name: 'partialClass', selector: '[class*="summaryText"], [class*="SummaryText"]' }
+    ]
+  },
+
+  // Detail panel of a trigger/action, opened by clicking its list item (optional deeper scrape)
+  interactionDetail: {
+    strategies: [
+      { name: 'dialog', selector: '[role="dialog"]' },
+      { name: 'partialClass', selector: '[class*="TriggerActionList__details"], [class*="TriggerActionDetails"]' },
+      { name: 'expanded', selector: '[aria-expanded="true"] + *, [class*="Expanded"]' }
+    ]
+  },
+
+  // Badge that marks a list item as an action rather than a trigger
+  actionBadge: {
+    strategies: [
+      { name: 'exactClass', selector: '.css-14cz6vv-AppAction-AppAction' },
+      { name: 'testid', selector: '[data-testid*="action"]' },
+      { name: 'partialClass', selector: '[class*="AppAction"], [class*="actionBadge"]' }
+    ]
+  },
+
+  // "About" description of the app
+  description: {
+    required: true,
+    strategies: [
+      { name: 'exactClass', selector: '.css-nuyo7l-AppDetails__appDescription' },
+      { name: 'partialClass', selector: '[class*="AppDetails__appDescription"], [class*="appDescription"]' }
+    ]
+  },
+
+  // App name in the page header
+  title: {
+    required: true,
+    strategies: [
+      { name: 'exactClass', selector: '.css-1th6yid-AppHeader__appNames' },
+      { name: 'partialClass', selector: '[class*="AppHeader__appNames"]' },
+      { name: 'text', selector: 'h1', text: 'Integrations' }
+    ]
+  },
+
+  // "Premium" badge in the page header
+  premiumBadge: {
+    strategies: [
+      { name: 'exactClass', selector: '.css-16otba1', text: 'Premium' },
+      { name: 'testid', selector: '[data-testid="explore-app-header_premium-badge"]', text: 'Premium' },
+      { name: 'partialClass', selector: '[class*="AppHeader__appNames"] span', text: 'Premium' },
+      { name: 'text', selector: 'header span, [class*="AppHeader"] span', text: 'Premium' }
+    ]
+  },
+
+  // Category tags in the page header
+  headerTags: {
+    strategies: [
+      { name: 'testid', selector: '[data-testid="explore-app-header_tags"]' },
+      { name: 'partialClass', selector: '[class*="AppHeader__tags"]' }
+    ]
+  },
+
+  // Category badges in the app details section
+  badgesSection: {
+    strategies: [
+      { name: 'exactClass', selector: '.css-16gdie2-AppDetails__badgesSection' },
+      { name: 'partialClass', selector: '[class*="AppDetails__badgesSection"]' }
+    ]
+  },
+
+  // Details section listing who built the integration, its website, launch date and template count
+  profileDetails: {
+    strategies: [
+      { name: 'testid', selector: '[data-testid*="app-details"], [data-testid*="app-profile"]' },
+      { name: 'partialClass', selector: '[class*="AppDetails__details"], [class*="AppDetails__meta"], [class*="AppProfile"]' }
+    ]
+  },
+
+  // App logo image
+  logo: {
+    strategies: [
+      { name: 'partialClass', selector: '[class*="logo"] img, [class*="Logo"] img' }
+    ]
+  }
+};
@@ -0,0 +1,309 @@
+// src/extractors/appPageExtractor.js
+const { JSDOM } = require('jsdom');
+const { resolveField } = require('./selectorResolver');
+const { extractEmbeddedState, findInteractions, findAppRecord } = require('./embeddedState');
+const { statusFromBadge, profileFromText } = require('./appProfile');
+const { splitInteractionText } = require('./interactionSplitter');
+
+// Per-item registry field whose absence is itself the answer (the item is a trigger)
+const OPTIONAL_ITEM_FIELD = 'actionBadge';
+
+// Elements that start a new line when a browser renders innerText
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4',
+  'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TR', 'UL'
+]);
+
+// Selector registry fields that back each app field, so DOM selector results can be
+// dropped for fields taken from structured data (no false drift warnings)
+const FIELD_SELECTORS = {
+  title: ['title'],
+  isPremium: ['premiumBadge'],
+  about: ['description'],
+  logo: ['logo'],
+  categories: ['headerTags', 'badgesSection'],
+  interactions: ['listItem'],
+  profile: ['profileDetails']
+};
+
+// Elements whose content never shows up in rendered text
+const HIDDEN_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+/**
+ * Returns the rendered text of an element.
+ * Uses the browser's innerText when available; otherwise (jsdom) approximates it
+ * by walking the tree and inserting line breaks around block-level elements, so
+ * name/description splitting behaves the same offline as in Chrome.
+ *
+ * @param {Element | null | undefined} element - DOM element to read
+ * @returns {string} Rendered text, or an empty string when element is missing
+ */
+function innerTextOf(element) {
+  if (!element) return '';
+  if (typeof element.innerText === 'string') return element.innerText;
+
+  const parts = [];
+  const walk = node => {
+    if (node.nodeType === 3) { // Text node
+      parts.push(node.nodeValue.replace(/\s+/g, ' '));
+      return;
+    }
+    if (node.nodeType !== 1 || HIDDEN_TAGS.has(node.tagName)) return;
+
+    const isBlock = BLOCK_TAGS.has(node.tagName);
+    if (isBlock) parts.push('\n');
+    node.childNodes.forEach(walk);
+    if (isBlock) parts.push('\n');
+  };
+  walk(element);
+
+  return parts.join('')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Extracts the app details from a fully loaded Zapier app page.
+ * Works on any DOM Document: a live page serialized through jsdom, or a saved
+ * HTML snapshot. The Triggers & Actions tab must already be expanded for the
+ * triggers/actions lists to be complete.
+ *
+ * Structured data wins: embedded page state (__NEXT_DATA__/JSON script tags) and
+ * any intercepted JSON responses are read first, and the DOM is only scraped for
+ * the fields they don't provide. `dataSources` records where each field came from.
+ *
+ * Elements are located through the selector registry (src/config/selectors.js);
+ * `selectorMatches` records which strategy matched each field, null when none did.
+ *
+ * @param {Document} document - DOM document of the app page
+ * @param {Object} [options]
+ * @param {Object[]} [options.payloads=[]] - JSON bodies intercepted while the page loaded
+ * @returns {{title: string, isPremium: boolean, about: string, logo: string | undefined,
+ *   helpLinks: string[], categories: string[], triggers: Object[], actions: Object[], profile: Object | null,
+ *   selectorMatches: Object<string, string | null>, dataSources: Object<string, string>}}
+ */
+function extractAppData(document, { payloads = [] } = {}) {
+  const domData = extractDomData(document);
+  const statePayloads = [...extractEmbeddedState(document), ...payloads];
+  return mergeStructuredData(domData, statePayloads, appSlugFromUrl(document.URL));
+}
+
+/**
+ * Returns the most frequent value of a list, the earliest one on a tie.
+ * @param {string[]} values - Values to count
+ * @returns {string | null} Null for an empty list
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+/**
+ * Returns the app slug from an app page URL (https://zapier.com/apps/<slug>/integrations).
+ * @param {string} url - Page URL
+ * @returns {string | null}
+ */
+function appSlugFromUrl(url) {
+  const match = String(url || '').match(/\/apps\/([^/?#]+)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Overrides DOM-scraped fields with the values found in structured payloads.
+ * Triggers and actions are taken from the payloads as a whole (never mixed with
+ * DOM items) so their names, descriptions and types are exact.
+ * @param {Object} domData - Result of extractDomData()
+ * @param {Object[]} payloads - Embedded state and intercepted JSON bodies
+ * @param {string | null} slug - App slug, used to find the app's own record
+ * @returns {Object} App data with a `dataSources` map
+ */
+function mergeStructuredData(domData, payloads, slug) {
+  const merged = { ...domData, selectorMatches: { ...domData.selectorMatches }, dataSources: {} };
+  Object.keys(FIELD_SELECTORS).forEach(field => { merged.dataSources[field] = 'dom'; });
+
+  const record = findAppRecord(payloads, slug);
+  if (record) {
+    ['title', 'isPremium', 'about', 'logo', 'categories'].forEach(field => {
+      if (record[field] !== undefined) {
+        merged[field] = record[field];
+        merged.dataSources[field] = 'state';
+      }
+    });
+
+    // Profile fields from the record complete (and win over) the ones shown in the page details
+    if (record.profile) {
+      merged.profile = { ...merged.profile, ...record.profile };
+      merged.dataSources.profile = 'state';
+    }
+  }
+
+  const { triggers, actions } = findInteractions(payloads, { slug });
+  if (triggers.length || actions.length) {
+    merged.triggers = triggers;
+    merged.actions = actions;
+    merged.dataSources.interactions = 'state';
+  }
+
+  // Selectors of fields taken from structured data no longer matter for drift
+  Object.entries(merged.dataSources)
+    .filter(([, source]) => source === 'state')
+    .forEach(([field]) => FIELD_SELECTORS[field].forEach(selector => delete merged.selectorMatches[selector]));
+
+  return merged;
+}
+
+/**
+ * Scrapes the app details from the rendered DOM only.
+ * @param {Document} document - DOM document of the app page
+ * @returns {Object} App data in the extractAppData() shape, without `dataSources`
+ */
+function extractDomData(document) {
+  const cleanText = text => text?.trim().replace(/\s+/g, ' ') || '';
+  const selectorMatches = {};
+  // Strategies matched by the fields resolved inside each list item, per field
+  const itemMatches = {};
+
+  // Resolves a registry field and records which strategy matched
+  const find = (field, root = document, options) => {
+    const result = resolveField(root, field, options);
+    if (root === document) {
+      selectorMatches[field] = result.strategy;
+    } else {
+      (itemMatches[field] = itemMatches[field] || []).push(result.strategy);
+    }
+    return result;
+  };
+
+  // Premium detection - the registry lists every known premium indicator in order
+  const isPremium = Boolean(find('premiumBadge').element);
+
+  // Get categories from header tags and badges section
+  const categories = new Set();
+
+  // Beta/Legacy badges, kept for the profile rather than as categories
+  const statusBadges = [];
+
+  // Check header tags
+  const headerTags = find('headerTags').element;
+  if (headerTags) {
+    Array.from(headerTags.querySelectorAll('span'))
+      .map(span => cleanText(innerTextOf(span)))
+      .filter(text => text && text !== 'Premium')
+      .forEach(cat => (statusFromBadge(cat) ? statusBadges.push(cat) : categories.add(cat)));
+  }
+
+  // Check badges section
+  const badgesSection = find('badgesSection').element;
+  if (badgesSection) {
+    Array.from(badgesSection.querySelectorAll('span'))
+      .map(span => cleanText(innerTextOf(span)))
+      .filter(text => text && text !== 'Premium')
+      .forEach(cat => (statusFromBadge(cat) ? statusBadges.push(cat) : categories.add(cat)));
+  }
+
+  // Profile (builder, beta/legacy status, website, launch date, template count) from the details section
+  const profileDetails = find('profileDetails').element;
+  const profile = profileFromText(innerTextOf(profileDetails), {
+    links: profileDetails ? Array.from(profileDetails.querySelectorAll('a[href]')).map(a => a.href) : [],
+    badges: statusBadges
+  });
+
+  // Get triggers and actions with more flexible selectors
+  const items = find('listItem', document, { all: true }).elements;
+  const triggers = [];
+  const actions = [];
+
+  items.forEach(item => {
+    if (!innerTextOf(item)) return;
+
+    // Get the main text content
+    const summaryElement = find('listItemSummary', item).element;
+    const fullText = innerTextOf(summaryElement).trim();
+
+    // Split into title and description: the splitter moves glued description
+    // text ("Create OrderCreates a new order.") out of the name at known
+    // description verbs, and flags text it can't split instead of guessing
+    const { name, description, split } = splitInteractionText(fullText);
+
+    // Determine if it's an action or trigger by checking for action-specific classes
+    const isAction = Boolean(find('actionBadge', item).element);
+
+    const itemData = {
+      name: name,
+      description: description || null,
+      ...(split === 'unsplittable' ? { unsplittable: true } : {})
+    };
+
+    if (isAction) {
+      actions.push(itemData);
+    } else {
+      triggers.push(itemData);
+    }
+  });
+
+  // Per-item fields record the strategy most items matched, or null as soon as
+  // one item matched none. Triggers carry no action badge, so actionBadge is only
+  // null when no item matched it
+  Object.entries(itemMatches).forEach(([field, strategies]) => {
+    const matched = strategies.filter(Boolean);
+    const missed = field === OPTIONAL_ITEM_FIELD ? !matched.length : matched.length < strategies.length;
+    selectorMatches[field] = missed ? null : mostCommon(matched);
+  });
+
+  // Get about text from the app description
+  const aboutText = innerTextOf(find('description').element);
+
+  // Get help links - only from help.zapier.com
+  const helpLinks = Array.from(document.querySelectorAll('a[href*="help.zapier.com"]'))
+    .map(a => a.href)
+    .filter(url => url.includes('help.zapier.com'))
+    .filter((url, index, self) => self.indexOf(url) === index);
+
+  return {
+    title: cleanText(innerTextOf(find('title').element)),
+    isPremium,
+    about: cleanText(aboutText),
+    logo: find('logo').element?.src,
+    helpLinks,
+    categories: Array.from(categories),
+    triggers,
+    actions,
+    profile,
+    selectorMatches
+  };
+}
+
+/**
+ * Parses raw app page HTML and extracts the app details, no browser required.
+ * The page URL is used as the document base so relative links and logo
+ * sources resolve to absolute URLs, exactly as they do in Chrome.
+ *
+ * @param {string} html - Serialized HTML of the app page
+ * @param {string} [url] - URL the HTML was loaded from
+ * @param {Object[]} [payloads=[]] - JSON bodies intercepted while the page loaded
+ * @returns {Object} Same shape as extractAppData()
+ */
+function extractAppDataFromHtml(html, url = 'https://zapier.com/', payloads = []) {
+  const dom = new JSDOM(html, { url });
+  try {
+    return extractAppData(dom.window.document, { payloads });
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = {
+  extractAppData,
+  extractAppDataFromHtml,
+  appSlugFromUrl,
+  innerTextOf
+};
@@ -0,0 +1,143 @@
+// src/extractors/appProfile.js
+// Reads the profile of an app page: who built the integration, its beta/legacy
+// status, the vendor website, launch date and number of Zap templates. Works on
+// the app record of structured payloads and on the text of the page's details.
+
+const { pickString } = require('./payloadPaths');
+
+// Badge texts giving the status of an integration
+const STATUS_BADGES = {
+  beta: 'beta',
+  legacy: 'legacy',
+  deprecated: 'legacy'
+};
+
+// Labels of the details section, each followed by its value on the same or next line
+const PROFILE_LABELS = {
+  builtBy: /^(?:built by|developed by|developer|published by|publisher|maintained by)\b/i,
+  launchedAt: /^(?:launched(?: on| in)?|launch date|released(?: on)?|date added|added(?: on)?)\b/i
+};
+
+/**
+ * Returns the status a badge text stands for.
+ * @param {string} text - Badge text
+ * @returns {'beta' | 'legacy' | null}
+ */
+function statusFromBadge(text) {
+  return STATUS_BADGES[String(text || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Parses a launch date ("March 4, 2019", "2019-03-04", "2019") to an ISO string.
+ * @param {string | number | null} value - Raw date
+ * @returns {string | null}
+ */
+function toIsoDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(typeof value === 'string' && /^\d{4}$/.test(value.trim()) ? `${value.trim()}-01-01` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Keeps a website URL only when it points to the vendor, not back to Zapier.
+ * @param {string | null} url - Candidate URL
+ * @returns {string | null}
+ */
+function toVendorWebsite(url) {
+  try {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol) || /(^|\.)zapier\.com$/i.test(parsed.hostname)) return null;
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Drops the profile fields that are unknown.
+ * @param {Object} profile - Profile with possibly null fields
+ * @returns {Object | null} Profile, null when no field is known
+ */
+function compactProfile(profile) {
+  const known = Object.entries(profile).filter(([, value]) => value !== null && value !== undefined);
+  return known.length ? Object.fromEntries(known) : null;
+}
+
+/**
+ * Reads the profile fields of an app record from structured payloads.
+ * @param {Object} record - App record (see embeddedState.findAppRecord)
+ * @returns {{builtBy?: string, status?: string, website?: string, launchedAt?: string, templateCount?: number} | null}
+ *   Known fields only, null when the record has none
+ */
+function profileFromRecord(record) {
+  if (!record || typeof record !== 'object') return null;
+
+  const flag = keys => keys.map(key => record[key]).find(value => typeof value === 'boolean');
+  const beta = flag(['is_beta', 'isBeta', 'beta']);
+  const legacy = flag(['is_legacy', 'isLegacy', 'legacy', 'is_deprecated', 'isDeprecated']);
+  let status = statusFromBadge(pickString(record, ['status', 'lifecycle', 'stage']));
+  if (!status && legacy) status = 'legacy';
+  if (!status && beta) status = 'beta';
+  if (!status && beta === false && legacy === false) status = 'active';
+
+  const builtByZapier = flag(['is_built_by_zapier', 'isBuiltByZapier', 'zapier_built']);
+  const templateCount = ['zap_template_count', 'zapTemplateCount', 'template_count', 'templateCount', 'templates_count']
+    .map(key => record[key])
+    .find(count => Number.isInteger(count) && count >= 0);
+
+  return compactProfile({
+    builtBy: pickString(record, ['builtBy', 'built_by', 'developer.name', 'developer', 'publisher.name', 'publisher', 'partner.name'])
+      || (builtByZapier ? 'Zapier' : null),
+    status,
+    website: toVendorWebsite(pickString(record, ['homepage_url', 'homepageUrl', 'homepage', 'website', 'websiteUrl', 'website_url'])),
+    launchedAt: toIsoDate(pickString(record, ['launch_date', 'launchDate', 'launchedAt', 'launched_at', 'date_added', 'dateAdded'])),
+    templateCount
+  });
+}
+
+/**
+ * Returns the value of a label in the details text: "Built by Acme" or
+ * "Built by" followed by "Acme" on the next line.
+ * @param {string[]} lines - Trimmed, non-empty text lines
+ * @param {RegExp} label - Label pattern anchored at the line start
+ * @returns {string | null}
+ */
+function labelValue(lines, label) {
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(label);
+    if (!match) continue;
+    const rest = lines[i].slice(match[0].length).replace(/^[:\s]+/, '').trim();
+    const value = rest || lines[i + 1] || '';
+    if (value && value.length <= 100) return value;
+  }
+  return null;
+}
+
+/**
+ * Reads the profile fields shown in an app page's details: "Built by",
+ * "Launched" and the Zap template count, and Beta/Legacy badges.
+ * @param {string} text - Rendered text of the details (one item per line)
+ * @param {Object} [options]
+ * @param {string[]} [options.links=[]] - URLs linked from the details, the first vendor one is the website
+ * @param {string[]} [options.badges=[]] - Texts of the page's badges (header tags)
+ * @returns {{builtBy?: string, status?: string, website?: string, launchedAt?: string, templateCount?: number} | null}
+ *   Known fields only, null when none is shown
+ */
+function profileFromText(text, { links = [], badges = [] } = {}) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const templateMatch = lines.join('\n').match(/(\d[\d,]*)\s+(?:zap\s+)?templates?\b/i);
+
+  return compactProfile({
+    builtBy: labelValue(lines, PROFILE_LABELS.builtBy),
+    status: [...badges, ...lines].map(statusFromBadge).find(Boolean) || null,
+    website: links.map(toVendorWebsite).find(Boolean) || null,
+    launchedAt: toIsoDate(labelValue(lines, PROFILE_LABELS.launchedAt)),
+    templateCount: templateMatch ? parseInt(templateMatch[1].replace(/,/g, ''), 10) : null
+  });
+}
+
+module.exports = {
+  statusFromBadge,
+  profileFromRecord,
+  profileFromText
+};
@@ -0,0 +1,329 @@
+// src/extractors/appScraper.js
+// Fetch and scrape logic of a single app page, shared by 3_scrape_individual_apps.js
+// and distributed_apps_scraper.js: page setup with JSON response collection,
+// the Triggers & Actions tab and "Load more" clicks, the optional interaction
+// details scrape, the HTTP-first fetch with browser escalation, and the fetch
+// statistics of a run. Skipping, locking and saving stay with each script.
+const fs = require('fs').promises;
+const { extractAppDataFromHtml } = require('./appPageExtractor');
+const { resolveFieldInPage, waitForAnyField } = require('./selectorResolver');
+const JsonResponseCollector = require('./responseCollector');
+const { fetchAppOverHttp } = require('./httpExtractor');
+const { scrapeInteractionDetails } = require('./interactionDetailScraper');
+const { saveSnapshot } = require('../utils/snapshotUtils');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class AppScraper {
+  /**
+   * @param {Object} options
+   * @param {'browser' | 'http' | 'http-only'} options.fetchMode - Fetch mode of the stage (see src/config/fetchMode.js)
+   * @param {import('./selectorResolver').SelectorDriftTracker} options.selectorDrift - Tracker the matched strategies are recorded in
+   * @param {number} [options.timeout=120000] - Page navigation and default timeout, in ms
+   * @param {boolean} [options.interactionDetails=false] - Open each trigger/action for its kind, input fields and sample output
+   * @param {function(...*): void} [options.log] - Debug logger
+   */
+  constructor({ fetchMode, selectorDrift, timeout = 120000, interactionDetails = false, log = () => {} }) {
+    this.fetchMode = fetchMode;
+    this.selectorDrift = selectorDrift;
+    this.timeout = timeout;
+    this.interactionDetails = interactionDetails;
+    this.log = log;
+    // How many apps each fetch path handled this run
+    this.fetchStats = { http: 0, browser: 0, incomplete: 0 };
+    // JSON response collector of each configured page
+    this.responseCollectors = new WeakMap();
+    // Passed to BrowserSession as is
+    this.setupPage = this.setupPage.bind(this);
+  }
+
+  /**
+   * Configures a new page: only documents, scripts and xhr/fetch requests are
+   * let through, and JSON responses are collected for structured extraction.
+   * @param {import('puppeteer-core').Page} page - New page
+   * @returns {Promise<void>}
+   */
+  async setupPage(page) {
+    this.log('Setting up page configuration');
+
+    await page.setRequestInterception(true);
+
+    page.on('request', request => {
+      const resourceType = request.resourceType();
+      if (['document', 'xhr', 'fetch', 'script'].includes(resourceType)) {
+        request.continue();
+      } else {
+        request.abort();
+      }
+    });
+
+    // Keep the JSON bodies of xhr/fetch responses for structured extraction
+    const collector = new JsonResponseCollector();
+    collector.attach(page);
+    this.responseCollectors.set(page, collector);
+
+    await page.setDefaultTimeout(this.timeout);
+    await page.setDefaultNavigationTimeout(this.timeout);
+  }
+
+  /**
+   * Opens the Triggers & Actions tab of an app page.
+   * The tab button is located through the selector registry ("navTab").
+   * @param {import('puppeteer-core').Page} page - Puppeteer page showing an app
+   * @returns {Promise<string | null>} Name of the strategy that found the tab, null when not found
+   */
+  async clickTriggerActionsTab(page) {
+    this.log('Looking for Triggers & Actions tab');
+    try {
+      // Wait for content to load
+      await waitForAnyField(page, ['navTab'], { timeout: 10000 });
+
+      // Find and click the Triggers & Actions tab
+      const { handle, strategy } = await resolveFieldInPage(page, 'navTab');
+      if (handle) {
+        await handle.evaluate(tab => tab.click());
+        await handle.dispose();
+        this.log(`Clicked Triggers & Actions tab (${strategy})`);
+        await delay(3000); // Wait longer for content to load
+        return strategy;
+      }
+    } catch (e) {
+      this.log('Error with Triggers & Actions tab:', e.message);
+    }
+    return null;
+  }
+
+  /**
+   * Clicks the "Load more" button of the Triggers & Actions list until it disappears.
+   * The button is located through the selector registry ("loadMoreButton").
+   * @param {import('puppeteer-core').Page} page - Puppeteer page showing an app
+   * @returns {Promise<string | null>} Name of the strategy that found the button, null when never shown
+   */
+  async loadAllContent(page) {
+    this.log('Loading all content');
+
+    let hasMore = true;
+    let attempts = 0;
+    let matchedStrategy = null;
+    const maxAttempts = 15;
+
+    while (hasMore && attempts < maxAttempts) {
+      try {
+        await waitForAnyField(page, ['loadMoreButton', 'listItem'], { timeout: 5000 });
+
+        const { handle: button, strategy } = await resolveFieldInPage(page, 'loadMoreButton');
+        const buttonVisible = button ? await button.evaluate(el => {
+          const rect = el.getBoundingClientRect();
+          const style = window.getComputedStyle(el);
+          const isVisible = rect.width > 0 &&
+                           rect.height > 0 &&
+                           style.display !== 'none' &&
+                           style.visibility !== 'hidden';
+
+          if (isVisible) {
+            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          }
+          return isVisible;
+        }) : false;
+
+        if (buttonVisible) {
+          matchedStrategy = strategy;
+          this.log(`Clicking Load More button (${strategy}), attempt ${attempts + 1}`);
+          await delay(1000); // Wait after scrolling
+          await button.click();
+          await delay(2000); // Wait for content to load
+          attempts++;
+        } else {
+          this.log('No more Load More buttons found');
+          hasMore = false;
+        }
+        if (button) await button.dispose();
+      } catch (e) {
+        this.log('Error loading more content:', e.message);
+        hasMore = false;
+      }
+    }
+
+    return matchedStrategy;
+  }
+
+  /**
+   * Opens each trigger/action of the loaded list and stores its details (kind,
+   * input fields, sample output keys) on the interaction. Interactions whose
+   * details already came from structured page data are not opened.
+   * @param {import('puppeteer-core').Page} page - App page with the Triggers & Actions list loaded
+   * @param {Object} appData - Extracted app data, modified in place
+   * @returns {Promise<void>}
+   */
+  async addInteractionDetails(page, appData) {
+    appData.triggers.forEach(trigger => { trigger.type = trigger.type || 'trigger'; });
+    appData.actions.forEach(action => { action.type = action.type || 'action'; });
+
+    const detailed = await scrapeInteractionDetails(page, [...appData.triggers, ...appData.actions], {
+      openPage: async () => {
+        const detailPage = await page.browser().newPage();
+        await this.setupPage(detailPage);
+        return detailPage;
+      },
+      collectorOf: detailPage => this.responseCollectors.get(detailPage),
+      log: this.log
+    });
+    this.log(`Read details of ${detailed} interactions`);
+  }
+
+  /**
+   * Lists the interactions still lacking details when the deeper scrape is enabled.
+   * @param {Object} appData - Extracted app data
+   * @returns {string[]} ['interaction-details'] when some interaction has no details
+   */
+  missingInteractionDetails(appData) {
+    if (!this.interactionDetails) return [];
+    const interactions = [...appData.triggers, ...appData.actions];
+    return interactions.some(item => !item.details) ? ['interaction-details'] : [];
+  }
+
+  /**
+   * Scrapes an app page with Puppeteer: opens the Triggers & Actions tab, loads
+   * the whole list, then extracts from the serialized page and the JSON it
+   * loaded, keeping a snapshot for re-extraction.
+   * @param {import('puppeteer-core').Page} page - Page configured by setupPage()
+   * @param {string} url - App integrations URL
+   * @param {string | null} categoryName - Category the URL was listed in
+   * @returns {Promise<Object | null>} App data, null on failure
+   */
+  async scrapeApp(page, url, categoryName) {
+    this.log(`Scraping app: ${url}`);
+
+    const responses = this.responseCollectors.get(page);
+
+    try {
+      responses?.reset();
+      await page.goto(url, { waitUntil: 'networkidle0' });
+      await delay(2000); // Wait for initial load
+
+      // Click the Triggers & Actions tab first
+      const navTabStrategy = await this.clickTriggerActionsTab(page);
+
+      // Load all content
+      const loadMoreStrategy = await this.loadAllContent(page);
+
+      // Serialize the loaded page and extract offline, keeping a snapshot for re-extraction.
+      // Embedded state and intercepted JSON take precedence over the rendered DOM.
+      const appName = url.split('/apps/')[1].split('/')[0];
+      const html = await page.content();
+      await responses?.settle();
+      const payloads = responses ? responses.payloads() : [];
+      await saveSnapshot(appName, html, payloads);
+      const appData = extractAppDataFromHtml(html, url, payloads);
+      appData.selectorMatches = {
+        navTab: navTabStrategy,
+        loadMoreButton: loadMoreStrategy,
+        ...appData.selectorMatches
+      };
+      this.selectorDrift.record(appData.selectorMatches, appName);
+
+      if (this.interactionDetails) {
+        await this.addInteractionDetails(page, appData);
+      }
+
+      return {
+        ...appData,
+        sourceCategory: categoryName,
+        url,
+        scrapedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.log(`Error scraping ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetches one app according to the stage's fetch mode.
+   * - browser: scrapes the page with Puppeteer
+   * - http: downloads the server-rendered page and only escalates to Puppeteer when
+   *   required data (title, the full Triggers & Actions list, interaction details
+   *   when interaction details are on) is missing
+   * - http-only: never uses the browser; incomplete apps are returned with `missingData`
+   *
+   * @param {import('../utils/browserSession')} session - Lazily launched browser, only started when needed
+   * @param {string} url - App integrations URL
+   * @param {string | null} categoryName - Category the URL was listed in
+   * @returns {Promise<Object | null>} App data with `fetchedWith`, or null on failure
+   */
+  async fetchApp(session, url, categoryName) {
+    const appName = url.split('/apps/')[1].split('/')[0];
+
+    if (this.fetchMode !== 'browser') {
+      try {
+        const { appData, html, missing: missingPageData } = await fetchAppOverHttp(url);
+        const missing = [...missingPageData, ...this.missingInteractionDetails(appData)];
+
+        if (!missing.length || this.fetchMode === 'http-only') {
+          await saveSnapshot(appName, html);
+          this.selectorDrift.record(appData.selectorMatches, appName);
+          return {
+            ...appData,
+            ...(missing.length ? { missingData: missing } : {}),
+            fetchedWith: 'http',
+            sourceCategory: categoryName,
+            url,
+            scrapedAt: new Date().toISOString()
+          };
+        }
+        this.log(`Escalating ${appName} to browser, missing: ${missing.join(', ')}`);
+      } catch (error) {
+        if (this.fetchMode === 'http-only') {
+          this.log(`Error fetching ${url}:`, error.message);
+          return null;
+        }
+        this.log(`HTTP fetch failed for ${appName}, falling back to browser:`, error.message);
+      }
+    }
+
+    const page = await session.getPage();
+    const appData = await this.scrapeApp(page, url, categoryName);
+    return appData && { ...appData, fetchedWith: 'browser' };
+  }
+
+  /**
+   * Tells whether the data an earlier run saved for an app can be kept. Apps
+   * saved incomplete (`missingData`, http-only runs) are fetched again, unless
+   * this run is http-only too and couldn't do better.
+   * @param {string} outputPath - Path of the app's apps/<slug>.json
+   * @returns {Promise<boolean>} False when the file is missing, unreadable or incomplete
+   */
+  async isSaved(outputPath) {
+    try {
+      const saved = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+      return !saved.missingData || this.fetchMode === 'http-only';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Counts a saved app in the fetch statistics of this run.
+   * @param {Object} appData - Saved app data
+   */
+  countFetch(appData) {
+    if (appData.fetchedWith === 'browser') {
+      this.fetchStats.browser++;
+    } else if (appData.missingData) {
+      this.fetchStats.incomplete++;
+    } else {
+      this.fetchStats.http++;
+    }
+  }
+
+  /**
+   * Prints how many apps were fetched over HTTP and how many needed the browser.
+   */
+  reportFetchStats() {
+    const { http, browser, incomplete } = this.fetchStats;
+    this.log(`Fetch mode ${this.fetchMode}: ${http} apps over HTTP, ${browser} needed the browser, ${incomplete} saved incomplete`);
+  }
+}
+
+module.exports = AppScraper;
@@ -0,0 +1,319 @@
+// src/extractors/embeddedState.js
+// Reads structured data out of Zapier pages instead of their rendered text:
+// embedded state (__NEXT_DATA__ and other JSON script tags) and JSON payloads
+// intercepted from xhr/fetch responses. Lookups don't depend on where a list sits
+// inside a payload, so they keep working when Zapier moves data around, but only
+// lists held under known keys count: pages also embed category navigation and
+// other apps' Zap templates, which look much the same.
+
+const { detailsFromPayload } = require('./interactionDetails');
+const { profileFromRecord } = require('./appProfile');
+const { pickString } = require('./payloadPaths');
+
+// Maximum nesting depth walked inside a payload
+const MAX_DEPTH = 40;
+
+// Raw trigger/action type values seen in Zapier payloads, mapped to our types
+const API_TYPES = {
+  read: 'trigger',
+  trigger: 'trigger',
+  hook: 'trigger',
+  poll: 'trigger',
+  polling: 'trigger',
+  instant: 'trigger',
+  write: 'action',
+  action: 'action',
+  create: 'action',
+  update: 'action',
+  search: 'action',
+  search_or_write: 'action',
+  search_and_write: 'action'
+};
+
+// Keys of the arrays holding an app's own triggers/actions. Other arrays of
+// typed steps (e.g. "steps" of Zap templates, which mix partner apps) are ignored.
+const INTERACTION_KEYS = /^(triggers?|actions?|searches|creates|writes|interactions|triggersAndActions|actionsAndTriggers)$/i;
+
+// Keys of the arrays holding app listings. Category navigation ("categories",
+// "children", "breadcrumbs", ...) shares the name/slug shape and is ignored.
+const LISTING_KEYS = /^(apps|appList|results|items|hits|nodes|edges|services)$/i;
+
+// Fields only an app listing item carries, one of them is required next to its name and slug
+const APP_ITEM_FIELDS = ['selectedApi', 'image', 'images', 'logo', 'logoUrl', 'isPremium', 'is_premium', 'premium'];
+
+// Fields naming the app an object belongs to
+const APP_ID_FIELDS = ['selectedApi', 'app.selectedApi', 'app.slug', 'appSlug', 'app_slug'];
+
+// Script tags that carry embedded page state
+const STATE_SCRIPT_SELECTOR = 'script#__NEXT_DATA__, script[type="application/json"], script[type="application/ld+json"]';
+
+/**
+ * Parses JSON texts (e.g. script tag contents), dropping the ones that fail to
+ * parse or are not objects.
+ * @param {string[]} texts - Raw JSON texts
+ * @returns {Object[]} Parsed payloads
+ */
+function parseJsonTexts(texts) {
+  return texts
+    .map(text => {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return null;
+      }
+    })
+    .filter(payload => payload && typeof payload === 'object');
+}
+
+/**
+ * Parses the JSON script tags embedded in a page (__NEXT_DATA__, application/json,
+ * application/ld+json). Tags that fail to parse are ignored.
+ * @param {Document} document - DOM document of the page
+ * @returns {Object[]} Parsed payloads, __NEXT_DATA__ first when present
+ */
+function extractEmbeddedState(document) {
+  const scripts = Array.from(document.querySelectorAll(STATE_SCRIPT_SELECTOR))
+    .sort((a, b) => (b.id === '__NEXT_DATA__') - (a.id === '__NEXT_DATA__'));
+  return parseJsonTexts(scripts.map(script => script.textContent));
+}
+
+/**
+ * Visits every object in a JSON value, depth first.
+ * @param {*} value - Parsed JSON
+ * @param {function(Object, string | null): void} visit - Called with each object and the key holding it
+ */
+function walkJson(value, visit) {
+  const walk = (node, key, depth) => {
+    if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+    if (Array.isArray(node)) {
+      node.forEach(item => walk(item, key, depth + 1));
+      return;
+    }
+    visit(node, key);
+    Object.entries(node).forEach(([childKey, child]) => walk(child, childKey, depth + 1));
+  };
+  walk(value, null, 0);
+}
+
+/**
+ * Reduces an app slug or API key to a comparable form: "SlackCLIAPI@1.5.0" and
+ * "slack" both give "slack", "google-sheets" gives "googlesheets".
+ * @param {string} value - Slug or selectedApi value
+ * @returns {string}
+ */
+function appKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/@.*$/, '')
+    .replace(/(cli)?api$/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Tells whether an app identifier names the given app. Versioned API keys
+ * (e.g. "GoogleSheetsV2API") still match their slug ("google-sheets").
+ * @param {string} identifier - Slug or selectedApi found in a payload
+ * @param {string} slug - App slug from the page URL
+ * @returns {boolean}
+ */
+function isSameApp(identifier, slug) {
+  const a = appKey(identifier);
+  const b = appKey(slug);
+  return Boolean(a && b) && (a === b || a.startsWith(b) || b.startsWith(a));
+}
+
+/**
+ * Maps a raw trigger/action type, or the name of the list holding the item, to
+ * "trigger" or "action".
+ * @param {string | undefined} rawType - Type value from the payload
+ * @param {string | null} containerKey - Key of the array holding the item
+ * @returns {'trigger' | 'action' | null}
+ */
+function resolveInteractionType(rawType, containerKey) {
+  const normalized = String(rawType || '').toLowerCase();
+  if (API_TYPES[normalized]) return API_TYPES[normalized];
+
+  const key = String(containerKey || '').toLowerCase();
+  if (/^triggers?$/.test(key)) return 'trigger';
+  if (/^(actions?|searches|creates|writes)$/.test(key)) return 'action';
+  return null;
+}
+
+/**
+ * Turns a payload object into an interaction when it has a name and a resolvable type.
+ * Kind, input fields and sample output keys are added as `details` when the
+ * payload carries them.
+ * @param {Object} item - Candidate object
+ * @param {string | null} containerKey - Key of the array holding the item
+ * @returns {{name: string, description: string | null, type: string, apiType: string | null, details?: Object} | null}
+ */
+function toInteraction(item, containerKey) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+
+  const name = pickString(item, ['display.label', 'label', 'name', 'title']);
+  const rawType = pickString(item, ['type', 'actionType', 'action_type', 'kind']);
+  const type = resolveInteractionType(rawType, containerKey);
+  if (!name || !type) return null;
+
+  const apiType = rawType ? rawType.toLowerCase() : null;
+  const details = detailsFromPayload(item, { apiType, name });
+  return {
+    name,
+    description: pickString(item, ['display.description', 'description', 'helpText', 'help_text']),
+    type,
+    apiType,
+    ...(details ? { details } : {})
+  };
+}
+
+/**
+ * Finds the trigger/action lists in a set of payloads. An array qualifies when it
+ * is held under a known key (see INTERACTION_KEYS) and most of its items are
+ * objects with a name and a recognizable type (either their own type field or
+ * the name of the array, e.g. "triggers"). With a slug, arrays owned by another
+ * app and items naming another app are skipped.
+ * @param {Object[]} payloads - Parsed JSON payloads
+ * @param {Object} [options]
+ * @param {string | null} [options.slug] - Slug of the app whose interactions are wanted
+ * @returns {{triggers: Object[], actions: Object[]}} Deduplicated interactions
+ */
+function findInteractions(payloads, { slug = null } = {}) {
+  const seen = new Set();
+  const triggers = [];
+  const actions = [];
+  const otherApp = obj => {
+    const identifier = slug && pickString(obj, APP_ID_FIELDS);
+    return Boolean(identifier) && !isSameApp(identifier, slug);
+  };
+
+  payloads.forEach(payload => walkJson(payload, node => {
+    // The object holding the lists is the app (or a service of it)
+    const owner = slug && pickString(node, ['slug', ...APP_ID_FIELDS]);
+    if (owner && !isSameApp(owner, slug)) return;
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (!INTERACTION_KEYS.test(key) || !Array.isArray(value) || !value.length) return;
+
+      const interactions = value
+        .filter(item => !otherApp(item))
+        .map(item => toInteraction(item, key))
+        .filter(Boolean);
+      if (interactions.length < Math.ceil(value.length / 2)) return;
+
+      interactions.forEach(interaction => {
+        const id = `${interaction.type}:${interaction.name.toLowerCase()}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        (interaction.type === 'trigger' ? triggers : actions).push(interaction);
+      });
+    });
+  }));
+
+  return { triggers, actions };
+}
+
+/**
+ * Finds the record describing a given app (matched by slug) in a set of payloads
+ * and maps it to the fields of our app shape. Fields missing from the payload
+ * are left undefined so DOM values can fill them.
+ * @param {Object[]} payloads - Parsed JSON payloads
+ * @param {string} slug - App slug from the page URL
+ * @returns {{title?: string, about?: string, logo?: string, isPremium?: boolean, categories?: string[], profile?: Object} | null}
+ */
+function findAppRecord(payloads, slug) {
+  if (!slug) return null;
+  let record = null;
+
+  payloads.forEach(payload => walkJson(payload, node => {
+    if (record) return;
+    const nodeSlug = pickString(node, ['slug', 'selectedApi', 'key']);
+    if (nodeSlug?.toLowerCase() === slug.toLowerCase() && pickString(node, ['name', 'title'])) {
+      record = node;
+    }
+  }));
+
+  if (!record) return null;
+
+  const premium = [record.isPremium, record.is_premium, record.premium].find(value => typeof value === 'boolean');
+  const categories = Array.isArray(record.categories)
+    ? record.categories
+      .map(category => (typeof category === 'string' ? category : pickString(category, ['title', 'name'])))
+      .filter(Boolean)
+    : undefined;
+
+  return {
+    title: pickString(record, ['name', 'title']) || undefined,
+    about: pickString(record, ['description', 'summary']) || undefined,
+    logo: pickString(record, ['image', 'logo', 'images.url_128x128', 'images.url_64x64', 'logoUrl']) || undefined,
+    isPremium: premium,
+    categories: categories && categories.length ? categories : undefined,
+    profile: profileFromRecord(record) || undefined
+  };
+}
+
+/**
+ * Returns the slug of an app listing item: an object with a name, a slug and at
+ * least one app-only field (see APP_ITEM_FIELDS), or an app URL. GraphQL edges
+ * ({node: {...}}) are unwrapped.
+ * @param {*} item - Candidate list item
+ * @returns {string | null}
+ */
+function listingSlug(item) {
+  const app = item?.node && typeof item.node === 'object' ? item.node : item;
+  if (!app || typeof app !== 'object' || Array.isArray(app) || !pickString(app, ['name', 'title'])) return null;
+
+  const url = pickString(app, ['url', 'href', 'path', 'link']);
+  if (url && /\/apps\/categories\//.test(url)) return null;
+
+  const urlSlug = url?.match(/\/apps\/([^/?#]+)\/integrations/)?.[1];
+  const hasAppField = APP_ITEM_FIELDS.some(field => app[field] !== undefined && app[field] !== null);
+  if (!urlSlug && !hasAppField) return null;
+
+  const slug = pickString(app, ['slug']) || urlSlug || pickString(app, ['selectedApi']);
+  return slug && /^[a-z0-9][a-z0-9-]*$/i.test(slug) ? slug : null;
+}
+
+/**
+ * Finds app listings (category pages) in a set of payloads: arrays held under a
+ * listing key (see LISTING_KEYS) whose items are apps (see listingSlug). Also
+ * picks up the advertised total when the payload exposes one next to the list.
+ * @param {Object[]} payloads - Parsed JSON payloads
+ * @returns {{urls: string[], total: number | null}} App integration URLs in listing order
+ */
+function findAppListings(payloads) {
+  const urls = [];
+  const seen = new Set();
+  let total = null;
+
+  payloads.forEach(payload => walkJson(payload, node => {
+    Object.entries(node).forEach(([key, value]) => {
+      if (!LISTING_KEYS.test(key) || !Array.isArray(value) || !value.length) return;
+
+      const slugs = value.map(listingSlug).filter(Boolean);
+      if (slugs.length < Math.ceil(value.length / 2)) return;
+
+      slugs.forEach(slug => {
+        const url = `https://zapier.com/apps/${slug.toLowerCase()}/integrations`;
+        if (seen.has(url)) return;
+        seen.add(url);
+        urls.push(url);
+      });
+
+      const advertised = [node.totalCount, node.total_count, node.total, node.count]
+        .find(count => Number.isInteger(count) && count > 0);
+      if (advertised && advertised > (total || 0)) total = advertised;
+    });
+  }));
+
+  return { urls, total };
+}
+
+module.exports = {
+  STATE_SCRIPT_SELECTOR,
+  parseJsonTexts,
+  extractEmbeddedState,
+  walkJson,
+  findInteractions,
+  findAppRecord,
+  findAppListings
+};
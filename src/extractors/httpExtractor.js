@@ -0,0 +1,138 @@
+// src/extractors/httpExtractor.js
+// Extracts app, category and integrations pages from their server-rendered HTML,
+// downloaded over plain HTTP, and reports which required data is missing so
+// callers can escalate to Puppeteer only for those pages.
+const { JSDOM } = require('jsdom');
+const { fetchHtml } = require('../utils/httpClient');
+const { extractAppData, innerTextOf } = require('./appPageExtractor');
+const { extractEmbeddedState, findAppListings } = require('./embeddedState');
+const { extractIntegrationPage } = require('./integrationPageExtractor');
+
+// Matches app integration URLs in category listings
+const APP_URL_PATTERN = /^https:\/\/zapier\.com\/apps\/[^/]+\/integrations\/?$/;
+
+/**
+ * Parses the app count displayed on a category page ("1,234 apps").
+ * @param {string} text - Visible page text
+ * @returns {number | null}
+ */
+function parseAppCount(text) {
+  const match = String(text || '').match(/(\d[\d,]*)\s+(?:apps|integrations)\b/i);
+  return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+}
+
+/**
+ * Checks whether the page shows a visible "Load more"/"Show more" button, i.e.
+ * the server-rendered list is only the first page of results.
+ * @param {Document} document - DOM document of the page
+ * @returns {boolean}
+ */
+function hasLoadMoreButton(document) {
+  return Array.from(document.querySelectorAll('button, [role="button"]'))
+    .some(el => /\b(load|show) more\b/i.test(innerTextOf(el)));
+}
+
+/**
+ * Lists the required app data that the server-rendered page doesn't provide.
+ * Interactions taken from structured state are complete by definition; DOM ones
+ * are only complete when the list has no "Load more" button.
+ * @param {Object} appData - Result of extractAppData()
+ * @param {Document} document - DOM document of the page
+ * @returns {string[]} Missing data, empty when the page is complete
+ */
+function findMissingAppData(appData, document) {
+  const missing = [];
+  if (!appData.title) missing.push('title');
+
+  if (appData.dataSources.interactions !== 'state') {
+    if (!appData.triggers.length && !appData.actions.length) {
+      missing.push('interactions');
+    } else if (hasLoadMoreButton(document)) {
+      missing.push('interactions:load-more');
+    }
+  }
+  return missing;
+}
+
+/**
+ * Downloads an app page over HTTP and extracts it.
+ * @param {string} url - App integrations URL
+ * @returns {Promise<{appData: Object, html: string, missing: string[]}>}
+ * @throws {Error} When the page can't be downloaded
+ */
+async function fetchAppOverHttp(url) {
+  const { html } = await fetchHtml(url);
+  const dom = new JSDOM(html, { url });
+
+  try {
+    const document = dom.window.document;
+    const appData = extractAppData(document);
+    return { appData, html, missing: findMissingAppData(appData, document) };
+  } finally {
+    dom.window.close();
+  }
+}
+
+/**
+ * Downloads a category page over HTTP and extracts its app URLs from embedded
+ * state and links. The listing is incomplete when a "Load more" button is shown
+ * or the advertised total exceeds what the HTML contains.
+ * @param {string} url - Category URL
+ * @returns {Promise<{urls: string[], total: number | null, missing: string[]}>}
+ * @throws {Error} When the page can't be downloaded
+ */
+async function fetchCategoryOverHttp(url) {
+  const { html } = await fetchHtml(url);
+  const dom = new JSDOM(html, { url });
+
+  try {
+    const document = dom.window.document;
+    const listing = findAppListings(extractEmbeddedState(document));
+    const linkUrls = Array.from(document.querySelectorAll('a[href*="/apps/"][href*="/integrations"]'))
+      .map(a => a.href)
+      .filter(href => APP_URL_PATTERN.test(href));
+
+    const urls = [...new Set([...listing.urls, ...linkUrls])];
+    const missing = [];
+    if (!urls.length) {
+      missing.push('urls');
+    } else if (hasLoadMoreButton(document) || (listing.total && listing.total > urls.length)) {
+      missing.push('urls:load-more');
+    }
+
+    return { urls, total: listing.total, missing };
+  } finally {
+    dom.window.close();
+  }
+}
+
+/**
+ * Downloads an app's integrations page or app-pair page over HTTP and extracts
+ * its partner apps and Zap templates.
+ * @param {string} url - Integrations or app-pair page URL
+ * @param {string} appSlug - Slug of the app the page is fetched for
+ * @returns {Promise<{partners: Object[], templates: Object[], missing: string[]}>}
+ * @throws {Error} When the page can't be downloaded
+ */
+async function fetchIntegrationPageOverHttp(url, appSlug) {
+  const { html } = await fetchHtml(url);
+  const dom = new JSDOM(html, { url });
+
+  try {
+    const document = dom.window.document;
+    const { partners, templates } = extractIntegrationPage(document, { appSlug });
+    const missing = [];
+    if (!partners.length && !templates.length) missing.push('integrations');
+    return { partners, templates, missing };
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = {
+  fetchAppOverHttp,
+  fetchCategoryOverHttp,
+  fetchIntegrationPageOverHttp,
+  hasLoadMoreButton,
+  parseAppCount
+};
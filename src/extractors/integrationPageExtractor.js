@@ -0,0 +1,249 @@
+// src/extractors/integrationPageExtractor.js
+// Reads an app's integrations page (/apps/<a>/integrations) and its app-pair pages
+// (/apps/<a>/integrations/<b>): the partner apps the page links to and the Zap
+// templates shown as popular workflows (trigger app/event -> action app/event).
+// Structured page data is read first; links are the fallback.
+const { JSDOM } = require('jsdom');
+const { innerTextOf } = require('./appPageExtractor');
+const { extractEmbeddedState, walkJson } = require('./embeddedState');
+const { pickString } = require('./payloadPaths');
+
+// App-pair page: /apps/<a>/integrations/<b>
+const PAIR_URL_PATTERN = /\/apps\/([a-z0-9][a-z0-9-]*)\/integrations\/([a-z0-9][a-z0-9-]*)\/?(?:[?#].*)?$/i;
+
+// Template pages: /apps/<a>/integrations/<b>/<id>/<title> and /templates/details/<id>
+const TEMPLATE_URL_PATTERNS = [
+  /\/apps\/([a-z0-9][a-z0-9-]*)\/integrations\/([a-z0-9][a-z0-9-]*)\/(\d+)\/[^/?#]+/i,
+  /\/templates\/(?:details\/)?([a-z0-9][a-z0-9-]*)\/?(?:[?#].*)?$/i
+];
+
+// Paths to the step list of a template payload
+const STEP_PATHS = ['steps', 'nodes', 'zap.steps'];
+
+// Paths to the app slug and event name of a template step
+const STEP_APP_PATHS = ['app.slug', 'app.selectedApi', 'selectedApi', 'appSlug', 'app_slug', 'api', 'service.slug'];
+const STEP_EVENT_PATHS = ['action.title', 'action.label', 'action.name', 'event.title', 'event', 'title', 'label', 'actionName', 'action'];
+
+/**
+ * Reads the two apps of an app-pair page URL.
+ * @param {string} url - Page URL
+ * @returns {{appSlug: string, partnerSlug: string} | null} Null for other URLs
+ */
+function pairFromUrl(url) {
+  const match = String(url || '').match(PAIR_URL_PATTERN);
+  return match ? { appSlug: match[1].toLowerCase(), partnerSlug: match[2].toLowerCase() } : null;
+}
+
+/**
+ * Returns the id of a Zap template from its URL.
+ * @param {string} url - Template URL
+ * @returns {string | null}
+ */
+function templateIdFromUrl(url) {
+  const [pairTemplate, detailTemplate] = TEMPLATE_URL_PATTERNS.map(pattern => String(url || '').match(pattern));
+  if (pairTemplate) return pairTemplate[3];
+  if (detailTemplate) return detailTemplate[1].toLowerCase();
+  return null;
+}
+
+/**
+ * Returns the first non-negative integer among the given keys of an object.
+ * @param {Object} obj - Object to read
+ * @param {string[]} keys - Property names
+ * @returns {number | null}
+ */
+function pickCount(obj, keys) {
+  const value = keys.map(key => obj[key]).find(count => Number.isInteger(count) && count >= 0);
+  return value ?? null;
+}
+
+/**
+ * Lists the partner apps an app's page links to, in page order. App-pair links
+ * (/apps/<app>/integrations/<partner>) are authoritative; app lists in the page
+ * data are only used when the page renders no pair links (client-side lists).
+ *
+ * @param {Document} document - DOM document of the page
+ * @param {Object[]} payloads - Embedded state and intercepted JSON bodies
+ * @param {string} appSlug - Slug of the app the page belongs to
+ * @returns {Array<{slug: string, title: string | null, url: string, rank: number}>} Partners, rank 1 first
+ */
+function findPartnerApps(document, payloads, appSlug) {
+  const partners = new Map();
+  const add = (slug, title) => {
+    if (!slug || slug === appSlug || partners.has(slug)) return;
+    partners.set(slug, {
+      slug,
+      title: title || null,
+      url: `https://zapier.com/apps/${appSlug}/integrations/${slug}`
+    });
+  };
+
+  Array.from(document.querySelectorAll('a[href*="/integrations/"]')).forEach(link => {
+    const pair = pairFromUrl(link.href);
+    if (!pair) return;
+    if (pair.appSlug === appSlug) add(pair.partnerSlug, innerTextOf(link).split('\n')[0]);
+    else if (pair.partnerSlug === appSlug) add(pair.appSlug, innerTextOf(link).split('\n')[0]);
+  });
+
+  if (!partners.size) {
+    payloads.forEach(payload => walkJson(payload, node => {
+      Object.entries(node).forEach(([key, value]) => {
+        if (!/apps|integrations|partners|pairs/i.test(key) || !Array.isArray(value) || !value.length) return;
+
+        const apps = value
+          .map(item => (item && typeof item === 'object'
+            ? { slug: pickString(item, ['slug', 'selectedApi'])?.toLowerCase(), title: pickString(item, ['name', 'title']) }
+            : null))
+          .filter(app => app?.slug && app.title && /^[a-z0-9][a-z0-9-]*$/.test(app.slug));
+        if (apps.length < Math.ceil(value.length / 2)) return;
+        apps.forEach(app => add(app.slug, app.title));
+      });
+    }));
+  }
+
+  return [...partners.values()].map((partner, index) => ({ ...partner, rank: index + 1 }));
+}
+
+/**
+ * Turns a template step payload into its app slug and event name.
+ * @param {Object} step - Step object
+ * @returns {{app: string, event: string | null} | null} Null when the step names no app
+ */
+function toTemplateStep(step) {
+  if (!step || typeof step !== 'object') return null;
+  const app = pickString(step, STEP_APP_PATHS);
+  if (!app || !/^[a-z0-9][a-z0-9-]*$/i.test(app)) return null;
+  return { app: app.toLowerCase(), event: pickString(step, STEP_EVENT_PATHS) };
+}
+
+/**
+ * Turns a payload object into a Zap template when it has a title and at least a
+ * trigger step and an action step, given as a step list or as trigger/action(s)
+ * objects.
+ * @param {Object} node - Candidate object
+ * @returns {Object | null} Template without `source`, null when the object isn't one
+ */
+function toTemplate(node) {
+  const title = pickString(node, ['title', 'name', 'description']);
+  if (!title) return null;
+
+  let rawSteps = null;
+  for (const path of STEP_PATHS) {
+    const value = path.split('.').reduce((current, key) => current?.[key], node);
+    if (Array.isArray(value)) {
+      rawSteps = value;
+      break;
+    }
+  }
+  if (!rawSteps && node.trigger && typeof node.trigger === 'object') {
+    rawSteps = [node.trigger, ...(Array.isArray(node.actions) ? node.actions : [node.action])];
+  }
+  if (!rawSteps) return null;
+
+  const steps = rawSteps.map(toTemplateStep).filter(Boolean);
+  if (steps.length < 2 || steps.length < rawSteps.length) return null;
+
+  const rawUrl = pickString(node, ['url', 'link', 'permalink', 'href']);
+  const url = rawUrl ? new URL(rawUrl, 'https://zapier.com/').href : null;
+  const id = [node.id, node.templateId, node.template_id].find(value => ['string', 'number'].includes(typeof value));
+
+  return {
+    templateId: id !== undefined ? String(id) : templateIdFromUrl(url),
+    url,
+    title,
+    triggerApp: steps[0].app,
+    triggerEvent: steps[0].event,
+    actionApp: steps[1].app,
+    actionEvent: steps[1].event,
+    steps,
+    appSlugs: [...new Set(steps.map(step => step.app))],
+    usageCount: pickCount(node, ['usage_count', 'usageCount', 'use_count', 'useCount', 'zapCount', 'zap_count'])
+  };
+}
+
+/**
+ * Lists the Zap templates a page shows. Templates described in the page data
+ * carry their apps and events; otherwise template links give the title and, for
+ * pair-page links, the two apps (events unknown).
+ *
+ * @param {Document} document - DOM document of the page
+ * @param {Object[]} payloads - Embedded state and intercepted JSON bodies
+ * @returns {Object[]} Templates with `source` 'state' or 'dom', deduplicated by id (or URL/title)
+ */
+function findTemplates(document, payloads) {
+  const templates = new Map();
+  const add = (template, source) => {
+    const key = template.templateId || template.url || template.title.toLowerCase();
+    if (!templates.has(key)) templates.set(key, { ...template, source });
+  };
+
+  payloads.forEach(payload => walkJson(payload, node => {
+    const template = toTemplate(node);
+    if (template) add(template, 'state');
+  }));
+
+  if (!templates.size) {
+    Array.from(document.querySelectorAll('a[href*="/integrations/"], a[href*="/templates/"]')).forEach(link => {
+      const templateId = templateIdFromUrl(link.href);
+      const title = innerTextOf(link).split('\n')[0];
+      if (!templateId || !title) return;
+
+      const pairMatch = link.href.match(TEMPLATE_URL_PATTERNS[0]);
+      const appSlugs = pairMatch ? [pairMatch[1].toLowerCase(), pairMatch[2].toLowerCase()] : [];
+      add({
+        templateId,
+        url: link.href,
+        title,
+        triggerApp: appSlugs[0] || null,
+        triggerEvent: null,
+        actionApp: appSlugs[1] || null,
+        actionEvent: null,
+        steps: [],
+        appSlugs,
+        usageCount: null
+      }, 'dom');
+    });
+  }
+
+  return [...templates.values()];
+}
+
+/**
+ * Extracts the partner apps and Zap templates of an app's integrations page or
+ * app-pair page.
+ * @param {Document} document - DOM document of the page
+ * @param {Object} options
+ * @param {string} options.appSlug - Slug of the app the page was fetched for
+ * @param {Object[]} [options.payloads=[]] - JSON bodies intercepted while the page loaded
+ * @returns {{partners: Object[], templates: Object[]}}
+ */
+function extractIntegrationPage(document, { appSlug, payloads = [] }) {
+  const statePayloads = [...extractEmbeddedState(document), ...payloads];
+  return {
+    partners: findPartnerApps(document, statePayloads, appSlug),
+    templates: findTemplates(document, statePayloads)
+  };
+}
+
+/**
+ * Same as extractIntegrationPage(), from serialized HTML.
+ * @param {string} html - HTML of the page
+ * @param {string} url - URL the HTML was loaded from (base for relative links)
+ * @param {Object} options - See extractIntegrationPage()
+ * @returns {{partners: Object[], templates: Object[]}}
+ */
+function extractIntegrationPageFromHtml(html, url, options) {
+  const dom = new JSDOM(html, { url });
+  try {
+    return extractIntegrationPage(dom.window.document, options);
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = {
+  pairFromUrl,
+  templateIdFromUrl,
+  extractIntegrationPage,
+  extractIntegrationPageFromHtml
+};
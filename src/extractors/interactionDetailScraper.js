@@ -0,0 +1,147 @@
+// src/extractors/interactionDetailScraper.js
+// Optional deeper scrape of an app page: opens each trigger/action of the
+// Triggers & Actions list and reads its details (kind, input fields, sample
+// output keys), from the JSON the detail loads or from the panel's text.
+const { resolveAllFieldInPage } = require('./selectorResolver');
+const { findInteractions } = require('./embeddedState');
+const { detailsFromText } = require('./interactionDetails');
+
+// Attribute marking the list item whose detail is being read
+const ACTIVE_ITEM_ATTRIBUTE = 'data-zapier-scraper-active';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Finds the interaction a list item shows: the one whose name starts the item's
+ * text, preferring the longest name.
+ * @param {string} text - Rendered text of the list item
+ * @param {Object[]} interactions - Triggers and actions, each with `type`
+ * @returns {Object | null}
+ */
+function matchInteraction(text, interactions) {
+  const normalized = text.trim().toLowerCase();
+  return interactions
+    .filter(item => item.name && normalized.startsWith(item.name.trim().toLowerCase()))
+    .sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+/**
+ * Reads the detail panel of the active list item: inside the item first, then
+ * anywhere on the page (dialogs, side panels).
+ * @param {import('puppeteer-core').Page} page - App page
+ * @returns {Promise<string>} Rendered panel text, empty when no panel opened
+ */
+async function readDetailPanel(page) {
+  for (const scope of [`[${ACTIVE_ITEM_ATTRIBUTE}]`, null]) {
+    const { handles } = await resolveAllFieldInPage(page, 'interactionDetail', scope);
+    const [panel, ...rest] = handles;
+    await Promise.all(rest.map(handle => handle.dispose()));
+    if (panel) {
+      const text = await panel.evaluate(el => el.innerText || '');
+      await panel.dispose();
+      if (text.trim()) return text;
+    }
+  }
+  return '';
+}
+
+/**
+ * Looks for the interaction's details in the JSON loaded while its detail opened.
+ * @param {Object[]} payloads - Intercepted JSON bodies
+ * @param {Object} interaction - Interaction being detailed
+ * @returns {Object | null} Details, null when the payloads don't describe it
+ */
+function detailsFromPayloads(payloads, interaction) {
+  const { triggers, actions } = findInteractions(payloads);
+  const name = interaction.name.trim().toLowerCase();
+  const match = [...triggers, ...actions]
+    .find(item => item.type === interaction.type && item.name.trim().toLowerCase() === name);
+  return match?.details || null;
+}
+
+/**
+ * Opens every trigger/action of a loaded Triggers & Actions list and sets
+ * `details` on the matching interaction. Items linking to a detail page are
+ * opened in a separate page; other items are clicked in place and their panel
+ * closed with Escape. Failures are logged and skipped, never thrown.
+ *
+ * @param {import('puppeteer-core').Page} page - App page with the Triggers & Actions tab loaded
+ * @param {Object[]} interactions - Triggers and actions (each with `type`), modified in place
+ * @param {Object} [options]
+ * @param {function(): Promise<import('puppeteer-core').Page>} [options.openPage] - Creates the page used for detail pages
+ * @param {function(import('puppeteer-core').Page): Object | undefined} [options.collectorOf] - JSON response collector of a page
+ * @param {number} [options.detailDelay=1500] - Wait after opening a detail, in ms
+ * @param {function(...*): void} [options.log] - Debug logger
+ * @returns {Promise<number>} Number of interactions that received details
+ */
+async function scrapeInteractionDetails(page, interactions, {
+  openPage,
+  collectorOf = () => undefined,
+  detailDelay = 1500,
+  log = () => {}
+} = {}) {
+  const { handles } = await resolveAllFieldInPage(page, 'listItem');
+  let detailPage = null;
+  let detailed = 0;
+
+  try {
+    for (const handle of handles) {
+      try {
+        const item = await handle.evaluate(el => ({
+          text: el.innerText || '',
+          href: [...el.querySelectorAll('a[href]')].map(a => a.href).find(href => !href.endsWith('#')) || null
+        }));
+        const interaction = matchInteraction(item.text, interactions);
+        if (!interaction || interaction.details?.source === 'state') continue;
+
+        let text = '';
+        let payloads = [];
+
+        if (item.href && openPage) {
+          // Detail page: load it next to the app page so the list stays loaded
+          detailPage = detailPage || await openPage();
+          const collector = collectorOf(detailPage);
+          collector?.reset();
+          await detailPage.goto(item.href, { waitUntil: 'networkidle2' });
+          await collector?.settle();
+          payloads = collector ? collector.payloads() : [];
+          text = await detailPage.evaluate(() => (document.querySelector('main') || document.body).innerText || '');
+        } else {
+          // Inline detail: expand the item, read the panel, close it again
+          const collector = collectorOf(page);
+          collector?.reset();
+          await handle.evaluate((el, attribute) => {
+            el.setAttribute(attribute, '');
+            el.scrollIntoView({ block: 'center' });
+            (el.querySelector('button, [role="button"], summary') || el).click();
+          }, ACTIVE_ITEM_ATTRIBUTE);
+          await delay(detailDelay);
+          await collector?.settle();
+          payloads = collector ? collector.payloads() : [];
+          text = await readDetailPanel(page);
+          await page.keyboard.press('Escape');
+          await handle.evaluate((el, attribute) => el.removeAttribute(attribute), ACTIVE_ITEM_ATTRIBUTE);
+        }
+
+        const details = detailsFromPayloads(payloads, interaction)
+          || detailsFromText(text, { name: interaction.name, type: interaction.type });
+        if (details) {
+          interaction.details = details;
+          detailed++;
+        }
+      } catch (error) {
+        log(`Error reading interaction detail: ${error.message}`);
+      } finally {
+        await handle.dispose();
+      }
+    }
+  } finally {
+    if (detailPage) await detailPage.close();
+  }
+
+  return detailed;
+}
+
+module.exports = {
+  scrapeInteractionDetails
+};
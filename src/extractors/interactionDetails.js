@@ -0,0 +1,247 @@
+// src/extractors/interactionDetails.js
+// Reads the details of a single trigger/action: its kind (instant or polling
+// trigger, search, create or update action), input fields and sample output keys.
+// Works on structured payload items and on the text of a detail panel.
+
+// Raw API types mapped to interaction kinds
+const KINDS_BY_API_TYPE = {
+  hook: 'instant',
+  instant: 'instant',
+  poll: 'polling',
+  polling: 'polling',
+  read: 'polling',
+  trigger: 'polling',
+  search: 'search',
+  search_or_write: 'search',
+  search_and_write: 'search',
+  write: 'create',
+  create: 'create',
+  action: 'create',
+  update: 'update'
+};
+
+// Maximum number of sample output keys kept per interaction
+const MAX_OUTPUT_KEYS = 100;
+
+/**
+ * Returns the first array found among the given paths of an object.
+ * @param {Object} obj - Object to read
+ * @param {string[]} paths - Dot-separated property paths
+ * @returns {Array | null}
+ */
+function pickArray(obj, paths) {
+  for (const path of paths) {
+    const value = path.split('.').reduce((current, key) => current?.[key], obj);
+    if (Array.isArray(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Returns the first plain object found among the given paths of an object.
+ * @param {Object} obj - Object to read
+ * @param {string[]} paths - Dot-separated property paths
+ * @returns {Object | null}
+ */
+function pickObject(obj, paths) {
+  for (const path of paths) {
+    const value = path.split('.').reduce((current, key) => current?.[key], obj);
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Refines a kind with the interaction name: Zapier types most writes as plain
+ * "write", so "Update ..." actions are only recognizable by name. Without a
+ * kind the name alone isn't taken as evidence, and null is returned.
+ * @param {string | null} kind - Kind from the API type or page
+ * @param {string} [name] - Interaction name
+ * @returns {string | null}
+ */
+function refineKind(kind, name = '') {
+  if (kind !== 'create') return kind;
+  const verb = name.trim().split(/\s+/)[0]?.toLowerCase();
+  if (['update', 'edit', 'modify'].includes(verb)) return 'update';
+  if (['find', 'search', 'lookup', 'get'].includes(verb)) return 'search';
+  return kind;
+}
+
+/**
+ * Maps a raw API type (and instant flag) to an interaction kind.
+ * @param {string | null} apiType - Raw type from the payload (hook, poll, search, write, ...)
+ * @param {Object} [options]
+ * @param {boolean} [options.instant] - Explicit instant flag from the payload
+ * @param {string} [options.name] - Interaction name
+ * @returns {'instant' | 'polling' | 'search' | 'create' | 'update' | null} Null when the payload doesn't tell
+ */
+function kindFromApiType(apiType, { instant, name } = {}) {
+  if (instant === true) return 'instant';
+  const kind = KINDS_BY_API_TYPE[String(apiType || '').toLowerCase()] || null;
+  if (instant === false && kind === 'instant') return 'polling';
+  return refineKind(kind, name);
+}
+
+/**
+ * Normalizes an input field definition from a payload.
+ * @param {Object} field - Raw field
+ * @returns {{key: string, label: string | null, type: string | null, required: boolean, helpText: string | null} | null}
+ */
+function toInputField(field) {
+  if (!field || typeof field !== 'object') return null;
+  const key = field.key || field.name || field.id;
+  if (!key || typeof key !== 'string') return null;
+
+  return {
+    key,
+    label: typeof field.label === 'string' ? field.label : null,
+    type: typeof field.type === 'string' ? field.type : null,
+    required: Boolean(field.required),
+    helpText: [field.helpText, field.help_text, field.description].find(text => typeof text === 'string') || null
+  };
+}
+
+/**
+ * Lists the keys of a sample output object, nested keys in dot notation
+ * ("contact.email"), arrays described by their first item.
+ * @param {Object} sample - Sample output
+ * @returns {string[]}
+ */
+function sampleKeys(sample) {
+  const keys = [];
+  const walk = (value, prefix, depth) => {
+    if (Array.isArray(value)) {
+      walk(value[0], prefix, depth);
+      return;
+    }
+    if (!value || typeof value !== 'object' || depth > 3) return;
+    Object.entries(value).forEach(([key, child]) => {
+      if (keys.length >= MAX_OUTPUT_KEYS) return;
+      const path = prefix ? `${prefix}.${key}` : key;
+      keys.push(path);
+      walk(child, path, depth + 1);
+    });
+  };
+  walk(sample, '', 0);
+  return keys;
+}
+
+/**
+ * Reads the details of a trigger/action from its structured payload item.
+ * @param {Object} item - Payload object describing the interaction
+ * @param {Object} [context]
+ * @param {string | null} [context.apiType] - Raw API type already read from the item
+ * @param {string} [context.name] - Interaction name
+ * @returns {{kind: string | null, inputFields: Object[], sampleOutputKeys: string[], source: 'state'} | null}
+ *   Details, null when the item carries none beyond its type
+ */
+function detailsFromPayload(item, { apiType = null, name } = {}) {
+  if (!item || typeof item !== 'object') return null;
+
+  const instant = [item.is_instant, item.isInstant, item.instant, item.is_hook]
+    .find(value => typeof value === 'boolean');
+  const rawFields = pickArray(item, ['inputFields', 'input_fields', 'operation.inputFields', 'fields']) || [];
+  const inputFields = rawFields.map(toInputField).filter(Boolean);
+  const sample = pickObject(item, ['sample', 'sample_result', 'sampleData', 'operation.sample']);
+  const outputFields = pickArray(item, ['outputFields', 'output_fields', 'operation.outputFields']) || [];
+  const sampleOutputKeys = [...new Set([
+    ...(sample ? sampleKeys(sample) : []),
+    ...outputFields.map(field => field?.key).filter(key => typeof key === 'string')
+  ])].slice(0, MAX_OUTPUT_KEYS);
+
+  if (instant === undefined && !inputFields.length && !sampleOutputKeys.length) return null;
+
+  return {
+    kind: kindFromApiType(apiType, { instant, name }),
+    inputFields,
+    sampleOutputKeys,
+    source: 'state'
+  };
+}
+
+/**
+ * Reads the details of a trigger/action from the text of its detail panel.
+ * Recognizes the "Instant"/"Scheduled" labels and input fields listed one per
+ * line under a "fields" heading, marked required with "(required)" or "*".
+ * @param {string} text - Rendered text of the detail panel
+ * @param {Object} [context]
+ * @param {string} [context.name] - Interaction name
+ * @param {string} [context.type] - "trigger" or "action"
+ * @returns {{kind: string | null, inputFields: Object[], sampleOutputKeys: string[], source: 'detail'} | null}
+ */
+function detailsFromText(text, { name, type } = {}) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  if (!lines.length) return null;
+
+  let kind = null;
+  if (type !== 'action') {
+    if (lines.some(line => /^instant$/i.test(line) || (/\binstant\b/i.test(line) && /trigger/i.test(line)))) {
+      kind = 'instant';
+    } else if (lines.some(line => /\b(scheduled|polling|checks? every)\b/i.test(line))) {
+      kind = 'polling';
+    }
+  }
+
+  const inputFields = [];
+  let inFields = false;
+  lines.forEach(line => {
+    if (/\b(input )?fields?\b:?$/i.test(line) && line.split(/\s+/).length <= 4) {
+      inFields = true;
+      return;
+    }
+    if (!inFields) return;
+    if (/^(sample|output|example)\b/i.test(line)) {
+      inFields = false;
+      return;
+    }
+
+    const required = /\(required\)|\*$/i.test(line);
+    const label = line.replace(/\((required|optional)\)|\*$/gi, '').trim();
+    if (label && label.length <= 80) {
+      inputFields.push({ key: label, label, type: null, required, helpText: null });
+    }
+  });
+
+  // Left null when the panel doesn't say: the list the item sits in is no evidence of its kind
+  const resolvedKind = refineKind(kind, name);
+  if (!resolvedKind && !inputFields.length) return null;
+
+  return { kind: resolvedKind, inputFields, sampleOutputKeys: [], source: 'detail' };
+}
+
+/**
+ * Copies `details` from earlier interactions onto matching new ones, e.g. to keep
+ * detail-panel data across re-extraction or LLM normalization. Interactions are
+ * matched by type and name (case-insensitive), then by position within their type.
+ * @param {Object[]} interactions - Interactions to complete (modified in place)
+ * @param {Object[]} previous - Interactions that may carry `details`
+ * @returns {Object[]} The same interactions array
+ */
+function carryOverDetails(interactions, previous) {
+  const withDetails = (previous || []).filter(item => item?.details);
+  if (!withDetails.length) return interactions;
+
+  const key = item => `${item.type || ''}:${String(item.name || '').trim().toLowerCase()}`;
+  const byName = new Map(withDetails.map(item => [key(item), item.details]));
+  const byType = {};
+  (previous || []).forEach(item => {
+    byType[item?.type] = byType[item?.type] || [];
+    byType[item?.type].push(item);
+  });
+
+  const seenByType = {};
+  interactions.forEach(item => {
+    const position = seenByType[item.type] = (seenByType[item.type] ?? -1) + 1;
+    if (item.details) return;
+    const details = byName.get(key(item)) || byType[item.type]?.[position]?.details;
+    if (details) item.details = details;
+  });
+  return interactions;
+}
+
+module.exports = {
+  kindFromApiType,
+  detailsFromPayload,
+  detailsFromText,
+  carryOverDetails
+};
@@ -0,0 +1,126 @@
+// src/extractors/interactionSplitter.js
+// Splits scraped trigger/action text into name and description without the LLM.
+// Zapier renders both in one element, so the text often arrives glued together
+// ("Create Draft OrderCreates a new draft order.") or cut at the wrong period.
+// Splits happen only where a known description verb starts a glued word; text
+// that still looks mangled is flagged as unsplittable instead of guessed.
+// Regression corpus: interaction_split_corpus.json (see check_interaction_splitter.js).
+
+// Third-person verbs descriptions start with ("Creates a new ..."), tried first
+const DESCRIPTION_VERBS = [
+  'Adds', 'Allows', 'Appends', 'Applies', 'Approves', 'Archives', 'Assigns', 'Attaches', 'Cancels', 'Changes',
+  'Checks', 'Closes', 'Completes', 'Converts', 'Copies', 'Creates', 'Deletes', 'Detaches', 'Downloads', 'Enrolls',
+  'Executes', 'Exports', 'Extracts', 'Fetches', 'Finds', 'Fires', 'Generates', 'Gets', 'Imports', 'Invites',
+  'Launches', 'Links', 'Lists', 'Looks', 'Makes', 'Marks', 'Merges', 'Moves', 'Occurs', 'Opens', 'Posts',
+  'Publishes', 'Reads', 'Rejects', 'Removes', 'Replies', 'Retrieves', 'Returns', 'Rewrites', 'Runs', 'Saves',
+  'Schedules', 'Searches', 'Sends', 'Sets', 'Starts', 'Stops', 'Submits', 'Subscribes', 'Summarizes', 'Syncs',
+  'Tags', 'Translates', 'Triggers', 'Unsubscribes', 'Updates', 'Uploads', 'Writes'
+];
+
+// Words that start a description sentence without being a verb ("This is an advanced action ...")
+const SENTENCE_STARTERS = ['This', 'Optionally', 'If', 'When', 'Use', 'Note'];
+
+// Imperative verbs, only used when no third-person verb starts a glued word
+// ("Find or Create RecordFind a record"), since they also occur inside app names
+const IMPERATIVE_VERBS = ['Add', 'Create', 'Find', 'Get', 'Search', 'Send', 'Update'];
+
+// Longest plausible interaction name
+const MAX_NAME_LENGTH = 80;
+
+const toAlternation = words => words.join('|');
+
+// A glued word: lowercase letter, digit or closing parenthesis directly followed by a capitalized word
+const gluedWordPattern = words => new RegExp(`([a-z0-9)\\]])((?:${toAlternation(words)})\\b)`);
+
+const GLUED_DESCRIPTION_VERB = gluedWordPattern([...DESCRIPTION_VERBS, ...SENTENCE_STARTERS]);
+const GLUED_IMPERATIVE_VERB = gluedWordPattern(IMPERATIVE_VERBS);
+
+// "New Contact Triggers when ...": the old scraper regexes also split at a spaced "Triggers"
+const SPACED_TRIGGERS = /\s(Triggers\s+(?:when|on|if|every|for)\b)/;
+
+// Signs that a name still holds description text
+const SENTENCE_IN_NAME = /[.!?]\s+\S|[.!?]$|[a-z)][A-Z][a-z]+\s+[a-z]+\s+[a-z]+/;
+
+/**
+ * Decodes the HTML entities that leak into scraped text ("&amp;").
+ * @param {string} text - Scraped text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+/**
+ * Finds where the description starts inside a name with glued description text.
+ * @param {string} name - Scraped name
+ * @returns {number} Index of the description's first character, -1 when none is found
+ */
+function findDescriptionStart(name) {
+  for (const pattern of [GLUED_DESCRIPTION_VERB, GLUED_IMPERATIVE_VERB]) {
+    const match = name.match(pattern);
+    if (match) return match.index + match[1].length;
+  }
+  const spaced = name.match(SPACED_TRIGGERS);
+  return spaced ? spaced.index + 1 : -1;
+}
+
+/**
+ * Joins the description text cut from the name with the scraped description.
+ * The old scraper split at the first ". ", so the two are rejoined with one.
+ * @param {string} head - Description text found in the name
+ * @param {string | null} tail - Scraped description
+ * @returns {string}
+ */
+function joinDescription(head, tail) {
+  if (!tail) return head;
+  return /[.!?]$/.test(head) ? `${head} ${tail}` : `${head}. ${tail}`;
+}
+
+/**
+ * Splits a scraped interaction into name and description.
+ *
+ * @param {{name: string, description?: string | null}} interaction - Scraped name and description
+ * @returns {{name: string, description: string | null, split: 'clean' | 'split' | 'unsplittable'}}
+ *   `clean`: already well formed; `split`: description text moved out of the name;
+ *   `unsplittable`: the name still looks mangled and is returned unchanged
+ */
+function splitInteraction({ name, description = null }) {
+  const rawName = decodeEntities(String(name || '').replace(/\s+/g, ' ').trim());
+  const rawDescription = description ? decodeEntities(String(description).replace(/\s+/g, ' ').trim()) || null : null;
+
+  const start = findDescriptionStart(rawName);
+  if (start > 0) {
+    const splitName = rawName.slice(0, start).trim();
+    const head = rawName.slice(start).trim();
+    if (splitName && splitName.length <= MAX_NAME_LENGTH) {
+      return { name: splitName, description: joinDescription(head, rawDescription), split: 'split' };
+    }
+  }
+
+  if (!rawName || rawName.length > MAX_NAME_LENGTH || SENTENCE_IN_NAME.test(rawName)) {
+    return { name: rawName, description: rawDescription, split: 'unsplittable' };
+  }
+  return { name: rawName, description: rawDescription, split: 'clean' };
+}
+
+/**
+ * Splits the rendered text of a Triggers & Actions list item: the first line
+ * (or the text before a run of spaces) is the name, the rest the description,
+ * then glued description text is moved out of the name.
+ * @param {string} text - Rendered text of the item summary
+ * @returns {{name: string, description: string | null, split: 'clean' | 'split' | 'unsplittable'}}
+ */
+function splitInteractionText(text) {
+  const [first, ...rest] = String(text || '').trim().split(/\n+|\s{2,}/).map(part => part.trim()).filter(Boolean);
+  return splitInteraction({ name: first || '', description: rest.join(' ') || null });
+}
+
+module.exports = {
+  splitInteraction,
+  splitInteractionText
+};
@@ -0,0 +1,21 @@
+// src/extractors/payloadPaths.js
+// Reads values at dot-separated paths of structured payloads. Kept apart from
+// embeddedState.js so that the modules it requires (appProfile.js) can use it too.
+
+/**
+ * Returns the first non-empty string among the given paths of an object.
+ * @param {Object} obj - Object to read
+ * @param {string[]} paths - Dot-separated property paths
+ * @returns {string | null}
+ */
+function pickString(obj, paths) {
+  for (const path of paths) {
+    const value = path.split('.').reduce((current, key) => current?.[key], obj);
+    if (typeof value === 'string' && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+module.exports = {
+  pickString
+};
@@ -0,0 +1,79 @@
+// src/extractors/responseCollector.js
+
+// Responses larger than this are not kept in memory
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Collects the JSON bodies of xhr/fetch responses a Puppeteer page receives, so
+ * scrapers can read structured data (trigger/action lists, category listings)
+ * instead of parsing rendered text.
+ *
+ * Usage: attach() once after creating the page, reset() before each navigation,
+ * then `await settle()` and read payloads() once the page is loaded.
+ */
+class JsonResponseCollector {
+  constructor({ maxBytes = DEFAULT_MAX_BYTES, urlPattern = /zapier\.com/ } = {}) {
+    this.maxBytes = maxBytes;
+    this.urlPattern = urlPattern;
+    this.entries = [];
+    this.pending = new Set();
+    this.handleResponse = this.handleResponse.bind(this);
+  }
+
+  /**
+   * Starts listening to the page's responses.
+   * @param {import('puppeteer-core').Page} page - Page to listen on
+   */
+  attach(page) {
+    page.on('response', this.handleResponse);
+  }
+
+  /**
+   * Drops everything collected so far, e.g. before navigating to the next app.
+   */
+  reset() {
+    this.entries = [];
+  }
+
+  /**
+   * Reads a response body when it is a JSON xhr/fetch response from Zapier.
+   * Errors (redirects, aborted requests, invalid JSON) are ignored.
+   * @param {import('puppeteer-core').HTTPResponse} response - Response to inspect
+   */
+  handleResponse(response) {
+    const request = response.request();
+    const contentType = response.headers()['content-type'] || '';
+    const contentLength = parseInt(response.headers()['content-length'], 10);
+
+    if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+    if (!contentType.includes('json') || !this.urlPattern.test(response.url())) return;
+    if (contentLength > this.maxBytes) return;
+
+    const reading = response.text()
+      .then(text => {
+        if (text.length > this.maxBytes) return;
+        this.entries.push({ url: response.url(), body: JSON.parse(text) });
+      })
+      .catch(() => {})
+      .finally(() => this.pending.delete(reading));
+    this.pending.add(reading);
+  }
+
+  /**
+   * Waits for response bodies that are still being read.
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * Returns the parsed bodies collected since the last reset().
+   * @returns {Object[]}
+   */
+  payloads() {
+    return this.entries.map(entry => entry.body);
+  }
+}
+
+module.exports = JsonResponseCollector;
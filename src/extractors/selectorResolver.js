@@ -0,0 +1,207 @@
+// src/extractors/selectorResolver.js
+const SELECTORS = require('../config/selectors');
+
+/**
+ * Tries a field's strategies in order and returns the elements matched by the first
+ * strategy that finds anything.
+ * Must stay self-contained (no references outside its body): it is serialized and
+ * evaluated inside the browser page by resolveFieldInPage().
+ *
+ * @param {Document | Element} root - Node to search under
+ * @param {Array<{name: string, selector: string, text?: string}>} strategies - Ordered strategies
+ * @param {boolean} [findAll=false] - Return every match instead of only the first
+ * @returns {{elements: Element[], strategy: string | null, index: number}}
+ */
+function matchStrategies(root, strategies, findAll = false) {
+  for (let index = 0; index < strategies.length; index++) {
+    const strategy = strategies[index];
+    let elements;
+    try {
+      elements = Array.from(root.querySelectorAll(strategy.selector));
+    } catch (e) {
+      continue; // Invalid selector for this engine, try the next strategy
+    }
+
+    if (strategy.text) {
+      const needle = strategy.text.toLowerCase();
+      elements = elements.filter(el => (el.textContent || '').toLowerCase().includes(needle));
+    }
+
+    if (elements.length) {
+      return { elements: findAll ? elements : [elements[0]], strategy: strategy.name, index };
+    }
+  }
+  return { elements: [], strategy: null, index: -1 };
+}
+
+/**
+ * Looks up a field in the selector registry.
+ * @param {string} field - Registry field name
+ * @returns {Object} Registry entry
+ * @throws {Error} When the field is not registered
+ */
+function getField(field) {
+  const entry = SELECTORS[field];
+  if (!entry) {
+    throw new Error(`Unknown selector field "${field}"`);
+  }
+  return entry;
+}
+
+/**
+ * Resolves a registry field against a DOM node (jsdom or browser).
+ * @param {Document | Element} root - Node to search under
+ * @param {string} field - Registry field name
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Return every match of the winning strategy
+ * @returns {{element: Element | null, elements: Element[], strategy: string | null}}
+ */
+function resolveField(root, field, { all = false } = {}) {
+  if (!root) return { element: null, elements: [], strategy: null };
+  const { elements, strategy } = matchStrategies(root, getField(field).strategies, all);
+  return { element: elements[0] || null, elements, strategy };
+}
+
+/**
+ * Resolves a registry field inside a live Puppeteer page.
+ * @param {import('puppeteer-core').Page} page - Page to search
+ * @param {string} field - Registry field name
+ * @returns {Promise<{handle: import('puppeteer-core').ElementHandle | null, strategy: string | null}>}
+ */
+async function resolveFieldInPage(page, field) {
+  const strategies = getField(field).strategies;
+  const result = await page.evaluateHandle(
+    `(${matchStrategies.toString()})(document, ${JSON.stringify(strategies)}, false)`
+  );
+
+  try {
+    const strategy = await result.evaluate(r => r.strategy);
+    const elementHandle = await result.evaluateHandle(r => r.elements[0] || null);
+    const handle = elementHandle.asElement();
+    if (!handle) await elementHandle.dispose();
+    return { handle, strategy };
+  } finally {
+    await result.dispose();
+  }
+}
+
+/**
+ * Resolves every element of a registry field inside a live Puppeteer page.
+ * @param {import('puppeteer-core').Page} page - Page to search
+ * @param {string} field - Registry field name
+ * @param {string} [scopeSelector] - Only search under the first element matching this selector
+ * @returns {Promise<{handles: import('puppeteer-core').ElementHandle[], strategy: string | null}>}
+ */
+async function resolveAllFieldInPage(page, field, scopeSelector = null) {
+  const strategies = getField(field).strategies;
+  const root = scopeSelector ? `document.querySelector(${JSON.stringify(scopeSelector)})` : 'document';
+  const result = await page.evaluateHandle(
+    `(() => { const root = ${root}; return root ? (${matchStrategies.toString()})(root, ${JSON.stringify(strategies)}, true) : { elements: [], strategy: null }; })()`
+  );
+
+  try {
+    const strategy = await result.evaluate(r => r.strategy);
+    const elements = await result.getProperty('elements');
+    const properties = await elements.getProperties();
+    await elements.dispose();
+    const handles = [...properties.values()].map(handle => handle.asElement()).filter(Boolean);
+    return { handles, strategy };
+  } finally {
+    await result.dispose();
+  }
+}
+
+/**
+ * Waits until at least one of the given registry fields resolves in the page.
+ * @param {import('puppeteer-core').Page} page - Page to watch
+ * @param {string[]} fields - Registry field names
+ * @param {Object} [options] - Options passed to page.waitForFunction (e.g. timeout)
+ * @returns {Promise<void>}
+ * @throws {TimeoutError} When no field resolves in time
+ */
+async function waitForAnyField(page, fields, options = {}) {
+  const checks = fields
+    .map(field => `(${matchStrategies.toString()})(document, ${JSON.stringify(getField(field).strategies)}).strategy !== null`)
+    .join(' || ');
+  await page.waitForFunction(checks, options);
+}
+
+/**
+ * Aggregates which strategy matched each field over a run and warns when a
+ * field's primary selector stops matching (a fallback won, or a required field
+ * matched nothing). Each field warns once per run; summary() reports totals.
+ */
+class SelectorDriftTracker {
+  constructor(logger = console.warn) {
+    this.logger = logger;
+    this.stats = {};
+    this.warned = new Set();
+  }
+
+  /**
+   * Records the strategies that matched for one scraped app.
+   * @param {Object<string, string | null>} selectorMatches - Field → matched strategy name
+   * @param {string} [context] - App name, included in warnings
+   */
+  record(selectorMatches, context = '') {
+    if (!selectorMatches) return;
+
+    Object.entries(selectorMatches).forEach(([field, strategy]) => {
+      const entry = SELECTORS[field];
+      if (!entry) return;
+
+      const key = strategy || 'none';
+      this.stats[field] = this.stats[field] || {};
+      this.stats[field][key] = (this.stats[field][key] || 0) + 1;
+
+      const primary = entry.strategies[0].name;
+      const drifted = strategy ? strategy !== primary : Boolean(entry.required);
+      if (drifted && !this.warned.has(field)) {
+        this.warned.add(field);
+        this.logger(
+          `Selector drift: primary "${primary}" for "${field}" did not match` +
+          `${context ? ` on ${context}` : ''}, ${strategy ? `fell back to "${strategy}"` : 'no strategy matched'}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Lists the fields whose primary selector missed at least once this run.
+   * @returns {Array<{field: string, primary: string, counts: Object<string, number>}>}
+   */
+  driftedFields() {
+    return Object.entries(this.stats)
+      .filter(([field, counts]) => {
+        const entry = SELECTORS[field];
+        const primary = entry.strategies[0].name;
+        return Object.keys(counts).some(key =>
+          key !== primary && (key !== 'none' || entry.required)
+        );
+      })
+      .map(([field, counts]) => ({ field, primary: SELECTORS[field].strategies[0].name, counts }));
+  }
+
+  /**
+   * Prints the per-field strategy counts for every drifted field.
+   */
+  summary() {
+    const drifted = this.driftedFields();
+    if (!drifted.length) return;
+
+    this.logger('Selector drift summary:');
+    drifted.forEach(({ field, primary, counts }) => {
+      const breakdown = Object.entries(counts).map(([name, count]) => `${name}=${count}`).join(', ');
+      this.logger(`  ${field} (primary: ${primary}): ${breakdown}`);
+    });
+  }
+}
+
+module.exports = {
+  matchStrategies,
+  resolveField,
+  resolveFieldInPage,
+  resolveAllFieldInPage,
+  waitForAnyField,
+  SelectorDriftTracker
+};
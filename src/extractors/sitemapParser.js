@@ -0,0 +1,111 @@
+// src/extractors/sitemapParser.js
+// Discovers Zapier app pages from the sitemap index and its app sitemaps.
+const zlib = require('zlib');
+const { fetchWithRetry } = require('../utils/httpClient');
+
+// Maximum depth of nested sitemap indexes followed from the root
+const MAX_INDEX_DEPTH = 3;
+
+/**
+ * Decodes the XML entities that can appear inside <loc> values.
+ * @param {string} value - Raw <loc> text
+ * @returns {string}
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+}
+
+/**
+ * Parses a sitemap document. Sitemaps only use a handful of tags, so a regex
+ * pass is enough and avoids pulling in an XML parser.
+ * @param {string} xml - Sitemap XML
+ * @returns {{type: 'index' | 'urlset', locations: string[]}} Child sitemaps (index) or page URLs (urlset)
+ */
+function parseSitemap(xml) {
+  const type = /<sitemapindex[\s>]/i.test(xml) ? 'index' : 'urlset';
+  const locations = [];
+  const pattern = /<loc>\s*(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?\s*<\/loc>/gis;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    locations.push(decodeXml(match[1].trim()));
+  }
+  return { type, locations };
+}
+
+/**
+ * Downloads a sitemap, gunzipping .gz files. The gzip magic bytes are checked
+ * rather than the extension, since servers may already have decoded the body.
+ * @param {string} url - Sitemap URL
+ * @returns {Promise<string>} Sitemap XML
+ */
+async function fetchSitemap(url) {
+  const response = await fetchWithRetry(url, { timeout: 60000 });
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return (gzipped ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+/**
+ * Maps any zapier.com/apps/<slug>/... URL to the app's canonical integrations URL.
+ * @param {string} url - Page URL from a sitemap
+ * @returns {string | null} https://zapier.com/apps/<slug>/integrations, or null for non-app URLs
+ */
+function toAppIntegrationsUrl(url) {
+  const match = url.match(/^https?:\/\/(?:www\.)?zapier\.com\/apps\/([a-z0-9][a-z0-9-]*)(?:\/|$)/i);
+  if (!match || match[1].toLowerCase() === 'categories') return null;
+  return `https://zapier.com/apps/${match[1].toLowerCase()}/integrations`;
+}
+
+/**
+ * Walks the sitemap index from the root and collects app URLs per app sitemap.
+ * Only child sitemaps whose URL matches `appSitemapPattern` are downloaded.
+ *
+ * @param {string} rootUrl - Sitemap index URL
+ * @param {Object} [options]
+ * @param {RegExp} [options.appSitemapPattern=/app/i] - Selects app sitemaps in the index
+ * @param {function(string): void} [options.log] - Progress logger
+ * @returns {Promise<Array<{sitemap: string, urls: string[]}>>} Unique app URLs of each app sitemap
+ */
+async function discoverAppsFromSitemaps(rootUrl, { appSitemapPattern = /app/i, log = () => {} } = {}) {
+  const results = [];
+  const seenSitemaps = new Set();
+
+  const visit = async (url, depth) => {
+    if (seenSitemaps.has(url) || depth > MAX_INDEX_DEPTH) return;
+    seenSitemaps.add(url);
+
+    const { type, locations } = parseSitemap(await fetchSitemap(url));
+    log(`${url}: ${type} with ${locations.length} entries`);
+
+    if (type === 'index') {
+      for (const location of locations) {
+        if (depth === 0 && !appSitemapPattern.test(location)) continue;
+        try {
+          await visit(location, depth + 1);
+        } catch (error) {
+          log(`Failed to read ${location}: ${error.message}`);
+        }
+      }
+      return;
+    }
+
+    const urls = [...new Set(locations.map(toAppIntegrationsUrl).filter(Boolean))];
+    if (urls.length) {
+      results.push({ sitemap: url, urls });
+    }
+  };
+
+  await visit(rootUrl, 0);
+  return results;
+}
+
+module.exports = {
+  parseSitemap,
+  toAppIntegrationsUrl,
+  discoverAppsFromSitemaps
+};
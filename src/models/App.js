@@ -14,6 +14,106 @@ const LinkSchema = new mongoose.Schema({
   // When creating documents with links, MongoDB won't generate ObjectIds for array elements. The array indices (0, 1, 2, etc.) will serve as natural identifiers.
 }, { _id: false, id: false });
 
+// Input field an action (or trigger) asks for
+const InputFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: String,
+  type: String,
+  required: {
+    type: Boolean,
+    default: false
+  },
+  helpText: String
+}, { _id: false });
+
+// Details of a trigger/action, read by the optional deeper scrape or from page data
+const InteractionDetailsSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['instant', 'polling', 'search', 'create', 'update', null],
+    default: null
+  },
+  inputFields: [InputFieldSchema],
+  sampleOutputKeys: [String],
+  // Where the details came from: structured page data or the detail panel text
+  source: {
+    type: String,
+    enum: ['state', 'detail']
+  }
+}, { _id: false });
+
+// Prompt template and model that produced a field (see src/utils/provenance.js)
+const PromptProvenanceSchema = new mongoose.Schema({
+  promptId: {
+    type: String,
+    required: true
+  },
+  promptVersion: {
+    type: Number,
+    required: true
+  },
+  model: String,
+  producedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Builds the schema of a provenance object with one entry per model-written field.
+ * @param {string[]} fields - Field names
+ * @returns {mongoose.Schema}
+ */
+function provenanceSchema(fields) {
+  return new mongoose.Schema(
+    fields.reduce((entries, field) => ({
+      ...entries,
+      [field]: { type: PromptProvenanceSchema, default: undefined }
+    }), {}),
+    { _id: false }
+  );
+}
+
+// Stage 10 results of an interaction for one target product: its relevancy to the
+// product and its segment, one of the product profile's segments (checked by the
+// task's output schema)
+const InteractionAnalysisSchema = new mongoose.Schema({
+  isRelevant: Boolean,
+  relevancySegment: String,
+  provenance: {
+    type: provenanceSchema(['isRelevant', 'relevancySegment']),
+    default: undefined
+  }
+}, { _id: false });
+
+// Stage 5 and 6 results of an app for one target product
+const ProductAnalysisSchema = new mongoose.Schema({
+  isRelevant: {
+    type: Boolean,
+    default: null
+  },
+  relevancyReasoning: String,
+  potentialUseCase: String,
+  competitorScore: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: null
+  },
+  // One of the target product profile's segments (checked by the task's output schema)
+  integrationSegment: {
+    type: String,
+    default: null
+  },
+  provenance: {
+    type: provenanceSchema(['isRelevant', 'relevancyReasoning', 'potentialUseCase', 'competitorScore', 'integrationSegment']),
+    default: undefined
+  }
+}, { _id: false });
+
 const InteractionSchema = new mongoose.Schema({
   name: String,
   description: String,
@@ -21,6 +121,97 @@ const InteractionSchema = new mongoose.Schema({
     type: String,
     enum: ['trigger', 'action'],
     required: false
+  },
+  details: {
+    type: InteractionDetailsSchema,
+    default: undefined
+  },
+  // Whether stage 4 normalized the interaction by rules or had the model fix it
+  normalizedBy: {
+    type: String,
+    enum: ['rules', 'llm']
+  },
+  // Whether stage 9 kept the heuristic classifier's type or asked the model
+  typedBy: {
+    type: String,
+    enum: ['heuristic', 'llm']
+  },
+  // Confidence of the heuristic classifier in its type (0-1)
+  typeConfidence: Number,
+  // Stage 10 results by target product id (see src/utils/productAnalysis.js)
+  analyses: {
+    type: Map,
+    of: InteractionAnalysisSchema,
+    default: undefined
+  },
+  // Prompt and model behind each model-written field (fields from rules or the heuristic have none)
+  provenance: {
+    type: provenanceSchema(['name', 'description', 'type']),
+    default: undefined
+  }
+}, { _id: false });
+
+// Category the app is listed in, with its position in that category's listing
+const CategoryMembershipSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  slug: String,
+  umbrella: String,
+  // Rank in the category: 1-based position in its listing, null for categories only shown on the app page
+  position: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['listing', 'page']
+  }
+}, { _id: false });
+
+// Profile shown on the app page, stored as scraped (not normalized by the LLM)
+const ProfileSchema = new mongoose.Schema({
+  // Who built the integration ("Zapier" or the vendor)
+  builtBy: String,
+  status: {
+    type: String,
+    enum: ['beta', 'legacy', 'active']
+  },
+  // Vendor website
+  website: String,
+  launchedAt: Date,
+  // Number of Zap templates using the app
+  templateCount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Where each normalized field came from: the rule-based normalizer or the model
+// ('mixed' when some interactions needed the model)
+const NormalizationSourcesSchema = new mongoose.Schema(
+  ['title', 'description', 'logo_url', 'links', 'category', 'interactions'].reduce((fields, field) => ({
+    ...fields,
+    [field]: { type: String, enum: ['rules', 'llm', 'mixed'] }
+  }), {}),
+  { _id: false }
+);
+
+// LLM response that stayed invalid after the repair retries (see SchemaValidationError)
+const LlmFailureSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: true
+  },
+  model: String,
+  // Schema violations of the last response
+  violations: [String],
+  attempts: Number,
+  failedAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false });
 
@@ -44,22 +235,42 @@ const AppSchema = new mongoose.Schema({
   links: [LinkSchema],
   interactions: [InteractionSchema],
   category: String,
-  isRelevant: {
-    type: Boolean,
-    default: null
+  profile: {
+    type: ProfileSchema,
+    default: undefined
   },
-  relevancyReasoning: String,
-  potentialUseCase: String,
-  competitorScore: {
+  // Umbrella of the source category (e.g. "Sales & CRM" for "CRM"), resolved from category_tree.json
+  umbrellaCategory: String,
+  // Every category listing the app, from the membership index (query with { 'categories.slug': 'crm' })
+  categories: {
+    type: [CategoryMembershipSchema],
+    default: undefined
+  },
+  // Reach across categories derived from the listing ranks (see categoryMembership.popularityScore)
+  popularityScore: {
     type: Number,
-    min: 0,
-    max: 10,
     default: null
   },
-  integrationSegment: {
-    type: String,
-    enum: ['ALL', 'ECOMMERCE', 'B2B', 'B2C'],
-    default: null
+  // Stage 5 and 6 results by target product id (see src/utils/productAnalysis.js),
+  // query with { 'analyses.retently.isRelevant': true }
+  analyses: {
+    type: Map,
+    of: ProductAnalysisSchema,
+    default: undefined
+  },
+  normalizationSources: {
+    type: NormalizationSourcesSchema,
+    default: undefined
+  },
+  // Prompt and model behind each model-written field, to re-run outdated ones (--outdated)
+  provenance: {
+    type: provenanceSchema(['description']),
+    default: undefined
+  },
+  // Tasks whose model output couldn't be used, newest last
+  llmFailures: {
+    type: [LlmFailureSchema],
+    default: undefined
   },
   scrapedAt: Date,
   updatedAt: {
@@ -82,4 +293,7 @@ const AppSchema = new mongoose.Schema({
   }
 });
 
+AppSchema.index({ 'categories.slug': 1 });
+AppSchema.index({ popularityScore: -1 });
+
 module.exports = mongoose.model('App', AppSchema);
\ No newline at end of file
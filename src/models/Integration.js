@@ -0,0 +1,37 @@
+// src/models/Integration.js
+const mongoose = require('mongoose');
+
+// Partner app listed on an app's integrations page: one document per app pair,
+// linked to App documents by slug
+const IntegrationSchema = new mongoose.Schema({
+  appSlug: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  partnerSlug: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  partnerTitle: String,
+  // 1-based position of the partner on the app's integrations page (Zapier lists the most used pairs first)
+  rank: {
+    type: Number,
+    min: 1
+  },
+  // App-pair page: https://zapier.com/apps/<appSlug>/integrations/<partnerSlug>
+  url: String,
+  // Number of scraped Zap templates using both apps
+  templateCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  scrapedAt: Date
+});
+
+IntegrationSchema.index({ appSlug: 1, partnerSlug: 1 }, { unique: true });
+IntegrationSchema.index({ partnerSlug: 1 });
+
+module.exports = mongoose.model('Integration', IntegrationSchema);
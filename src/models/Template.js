@@ -0,0 +1,49 @@
+// src/models/Template.js
+const mongoose = require('mongoose');
+
+// Step of a Zap template: the app and the trigger/action it uses
+const TemplateStepSchema = new mongoose.Schema({
+  app: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  event: String
+}, { _id: false });
+
+// Zap template ("popular workflow") shown on app and app-pair pages
+const TemplateSchema = new mongoose.Schema({
+  // Zapier template id, from the page data or the template URL
+  templateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: String,
+  title: {
+    type: String,
+    required: true
+  },
+  triggerApp: String,
+  triggerEvent: String,
+  actionApp: String,
+  actionEvent: String,
+  // Every step in order; empty when the template was only seen as a link
+  steps: [TemplateStepSchema],
+  // Slugs of every app in the template, for { appSlugs: 'retently' } queries
+  appSlugs: [String],
+  usageCount: {
+    type: Number,
+    default: null
+  },
+  // Where the template came from: structured page data or a template link
+  source: {
+    type: String,
+    enum: ['state', 'dom']
+  },
+  scrapedAt: Date
+});
+
+TemplateSchema.index({ appSlugs: 1 });
+
+module.exports = mongoose.model('Template', TemplateSchema);
@@ -0,0 +1,60 @@
+// src/prompts/competitors.js
+// Stage 6 prompt: how much an app competes with the target product (competitorScore)
+// and which of its business segments benefits from the integration (integrationSegment).
+
+const { renderPrompt } = require('./templates');
+const { segmentIds } = require('../config/product');
+const {
+  segmentAlternatives,
+  formatScoringRubric,
+  formatKnownCompetitors,
+  formatSegments
+} = require('./productContext');
+
+/**
+ * Builds the output schema for a product; App.competitorScore only accepts 0-10.
+ * @param {Object} product - Target product profile
+ * @returns {Object}
+ */
+function competitorsSchema(product) {
+  return {
+    type: 'object',
+    properties: {
+      competitorScore: { type: 'number', minimum: 0, maximum: 10 },
+      competitorReasoning: { type: 'string', minLength: 1 },
+      integrationSegment: { type: 'string', enum: segmentIds(product) },
+      segmentReasoning: { type: 'string', minLength: 1 }
+    },
+    required: ['competitorScore', 'competitorReasoning', 'integrationSegment', 'segmentReasoning'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Builds the competitor and segment request of an app.
+ * @param {{title: string, description: string}} app - App to analyze
+ * @param {Object} product - Target product profile (see src/config/product.js)
+ * @returns {{messages: Object[], temperature: number, json: boolean, maxTokens: number, schema: Object, prompt: {id: string, version: number}}}
+ */
+function buildCompetitorsRequest(app, product) {
+  return renderPrompt('competitors', {
+    title: app.title,
+    description: app.description,
+    productName: product.name,
+    productDescription: product.description,
+    scoringRubric: formatScoringRubric(product),
+    knownCompetitors: formatKnownCompetitors(product),
+    segments: formatSegments(product),
+    segmentIds: segmentAlternatives(product)
+  }, {
+    temperature: 0.1,
+    json: true,
+    maxTokens: 1000,
+    schema: competitorsSchema(product)
+  });
+}
+
+module.exports = {
+  competitorsSchema,
+  buildCompetitorsRequest
+};
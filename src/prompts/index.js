@@ -0,0 +1,20 @@
+// src/prompts/index.js
+// Request builders of the LLM tasks (see TASK_MODELS in src/config/llm.js). Each
+// renders its task's prompt template (src/prompts/templates, see templates.js)
+// into the messages and parameters sent by the stage, so the cost estimator
+// (estimate_llm_costs.js) measures exactly the prompts the stages send.
+const { buildNormalizeRequest } = require('./normalize');
+const { buildInteractionsRequest } = require('./interactions');
+const { buildRelevancyRequest } = require('./relevancy');
+const { buildCompetitorsRequest } = require('./competitors');
+const { buildInteractionTypesRequest } = require('./interactionTypes');
+const { buildInteractionRelevancyRequest } = require('./interactionRelevancy');
+
+module.exports = {
+  buildNormalizeRequest,
+  buildInteractionsRequest,
+  buildRelevancyRequest,
+  buildCompetitorsRequest,
+  buildInteractionTypesRequest,
+  buildInteractionRelevancyRequest
+};
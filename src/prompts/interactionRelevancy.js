@@ -0,0 +1,92 @@
+// src/prompts/interactionRelevancy.js
+// Stage 10 prompt: type, relevancy to the target product and business segment of
+// each of an app's interactions.
+
+const { renderPrompt } = require('./templates');
+const { segmentIds } = require('../config/product');
+const { getAnalysis } = require('../utils/productAnalysis');
+const {
+  productVariables,
+  segmentAlternatives,
+  formatCriteria,
+  formatSegmentGuidelines,
+  formatInteractionExamples
+} = require('./productContext');
+
+/**
+ * Builds the output schema for a product, whose segments relevancySegment takes.
+ * @param {Object} product - Target product profile
+ * @returns {Object}
+ */
+function interactionRelevancySchema(product) {
+  return {
+    type: 'object',
+    properties: {
+      interactions: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            // Empty for interactions without one (null in stage 4's output, see normalize.js)
+            description: { type: 'string' },
+            type: { type: 'string', enum: ['trigger', 'action'] },
+            isRelevant: { type: 'boolean' },
+            relevancySegment: { type: 'string', enum: segmentIds(product) }
+          },
+          required: ['name', 'description', 'type', 'isRelevant', 'relevancySegment'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['interactions'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Lists the interactions of an app that stage 9 typed, the only ones stage 10 analyzes.
+ * @param {Object} app - App (interactions)
+ * @returns {Object[]}
+ */
+function typedInteractions(app) {
+  return (app.interactions || []).filter(({ type }) => type === 'trigger' || type === 'action');
+}
+
+/**
+ * Builds the interaction relevancy request of an app.
+ * @param {Object} app - App (title, description, analyses, interactions)
+ * @param {Object} product - Target product profile (see src/config/product.js)
+ * @returns {{messages: Object[], temperature: number, json: boolean, maxTokens: number, schema: Object, prompt: {id: string, version: number}}}
+ */
+function buildInteractionRelevancyRequest(app, product) {
+  return renderPrompt('interaction_relevancy', {
+    title: app.title,
+    description: app.description,
+    // Stage 5 and 6 results of the app for this product
+    integrationSegment: getAnalysis(app, product.id).integrationSegment,
+    potentialUseCase: getAnalysis(app, product.id).potentialUseCase,
+    ...productVariables(product),
+    relevantTriggers: formatCriteria(product.interactionRelevancy.triggers),
+    relevantActions: formatCriteria(product.interactionRelevancy.actions),
+    notRelevant: formatCriteria(product.interactionRelevancy.notRelevant),
+    segmentGuidelines: formatSegmentGuidelines(product),
+    segmentIds: segmentAlternatives(product),
+    examples: formatInteractionExamples(product),
+    // Only what the model judges; details, typing and provenance stay out of the prompt.
+    // Untyped interactions (stage 9 couldn't tell) are left for a later run
+    interactions: JSON.stringify(typedInteractions(app).map(({ name, description, type }) => ({ name, description: description || '', type })), null, 2)
+  }, {
+    temperature: 0.1,
+    json: true,
+    maxTokens: 8000,
+    schema: interactionRelevancySchema(product)
+  });
+}
+
+module.exports = {
+  typedInteractions,
+  interactionRelevancySchema,
+  buildInteractionRelevancyRequest
+};
@@ -0,0 +1,60 @@
+// src/prompts/interactionTypes.js
+// Stage 9 prompt: trigger/action type of the interactions the heuristic
+// classifier is unsure about (see interactionClassifier.js).
+
+const { renderPrompt } = require('./templates');
+const { productVariables } = require('./productContext');
+const { getAnalysis } = require('../utils/productAnalysis');
+
+// Output schema
+const INTERACTION_TYPES_SCHEMA = {
+  type: 'object',
+  properties: {
+    interactions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          // Empty for interactions without one (null in stage 4's output, see normalize.js)
+          description: { type: 'string' },
+          type: { type: 'string', enum: ['trigger', 'action'] }
+        },
+        required: ['name', 'description', 'type'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['interactions'],
+  additionalProperties: false
+};
+
+/**
+ * Builds the interaction type request of an app.
+ * @param {Object} app - App (title, description, analyses)
+ * @param {Array<{name: string, description: string | null}>} interactions - Interactions to classify, a missing description is sent as ""
+ * @param {Object} product - Target product profile (see src/config/product.js)
+ * @returns {{messages: Object[], temperature: number, json: boolean, maxTokens: number, schema: Object, prompt: {id: string, version: number}}}
+ */
+function buildInteractionTypesRequest(app, interactions, product) {
+  return renderPrompt('interaction_types', {
+    title: app.title,
+    description: app.description,
+    // Stage 5 and 6 results of the app for this product
+    integrationSegment: getAnalysis(app, product.id).integrationSegment,
+    potentialUseCase: getAnalysis(app, product.id).potentialUseCase,
+    ...productVariables(product),
+    interactions: JSON.stringify(interactions.map(interaction => ({ ...interaction, description: interaction.description || '' })), null, 2)
+  }, {
+    temperature: 0.1,
+    json: true,
+    maxTokens: 4000,
+    schema: INTERACTION_TYPES_SCHEMA
+  });
+}
+
+module.exports = {
+  INTERACTION_TYPES_SCHEMA,
+  buildInteractionTypesRequest
+};
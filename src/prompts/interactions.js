@@ -0,0 +1,46 @@
+// src/prompts/interactions.js
+// Prompt of openaiService.processInteractions: type and required fields of an app's interactions.
+
+const { renderPrompt } = require('./templates');
+
+// Output schema
+const INTERACTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    interactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: ['trigger', 'action'] }
+        },
+        required: ['name', 'description', 'type'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['interactions'],
+  additionalProperties: false
+};
+
+/**
+ * Builds the interaction processing request of an app.
+ * @param {Object} appData - App data with its interactions
+ * @returns {{messages: Object[], json: boolean, maxTokens: number, schema: Object, prompt: {id: string, version: number}}}
+ */
+function buildInteractionsRequest(appData) {
+  return renderPrompt('interactions', {
+    appData: JSON.stringify(appData, null, 2)
+  }, {
+    json: true,
+    maxTokens: 8192,
+    schema: INTERACTIONS_SCHEMA
+  });
+}
+
+module.exports = {
+  INTERACTIONS_SCHEMA,
+  buildInteractionsRequest
+};
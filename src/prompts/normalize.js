@@ -0,0 +1,56 @@
+// src/prompts/normalize.js
+// Stage 4 prompt: a neutral description and the name, description and type of
+// the interactions the normalization rules couldn't handle (see appNormalizer.js).
+
+const { renderPrompt } = require('./templates');
+
+// Output schema: ids are the indexes of the pending interactions
+const NORMALIZE_SCHEMA = {
+  type: 'object',
+  properties: {
+    // App.description holds at most 512 characters
+    description: { type: 'string', maxLength: 512 },
+    interactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string', minLength: 1 },
+          description: { type: ['string', 'null'] },
+          type: { type: 'string', enum: ['trigger', 'action'] }
+        },
+        required: ['id', 'name', 'description', 'type'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['description', 'interactions'],
+  additionalProperties: false
+};
+
+/**
+ * Builds the normalization request of an app.
+ * @param {string} title - Normalized app title
+ * @param {{description: string, interactions: Array<{index: number, name: string, description: string | null}>}} pending
+ *   Work left by normalizeWithRules()
+ * @returns {{messages: Object[], json: boolean, maxTokens: number, schema: Object, prompt: {id: string, version: number}}}
+ */
+function buildNormalizeRequest(title, pending) {
+  return renderPrompt('normalize', {
+    input: JSON.stringify({
+      title,
+      about: pending.description,
+      interactions: pending.interactions.map(({ index, name, description }) => ({ id: index, name, description }))
+    }, null, 2)
+  }, {
+    json: true,
+    maxTokens: 8192,
+    schema: NORMALIZE_SCHEMA
+  });
+}
+
+module.exports = {
+  NORMALIZE_SCHEMA,
+  buildNormalizeRequest
+};
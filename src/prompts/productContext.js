@@ -0,0 +1,151 @@
+// src/prompts/productContext.js
+// Renders the parts of a product profile (src/config/product.js) the relevancy,
+// competitor and interaction prompts show the model, as template variables.
+
+/**
+ * Formats strings as a dash list, one per line.
+ * @param {string[]} items - Items
+ * @returns {string}
+ */
+function bulletList(items) {
+  return items.map(item => `- ${item}`).join('\n');
+}
+
+/**
+ * Formats a product's segment ids as the alternatives of a JSON field, e.g. '"ALL" | "B2B"'.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function segmentAlternatives(profile) {
+  return profile.segments.map(segment => JSON.stringify(segment.id)).join(' | ');
+}
+
+/**
+ * Returns the variables every product-driven prompt shares: the product's
+ * name, description, capabilities, triggers and actions.
+ * @param {Object} profile - Product profile
+ * @returns {{productName: string, productDescription: string, productCapabilities: string, productTriggers: string, productActions: string}}
+ */
+function productVariables(profile) {
+  return {
+    productName: profile.name,
+    productDescription: profile.description,
+    productCapabilities: bulletList(profile.capabilities),
+    productTriggers: JSON.stringify(profile.triggers, null, 2),
+    productActions: JSON.stringify(profile.actions, null, 2)
+  };
+}
+
+/**
+ * Formats the integration scenarios of the relevancy prompt, numbered, each
+ * with a relevant and a not relevant example app.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function formatScenarios(profile) {
+  return profile.relevancy.scenarios.map((scenario, index) => [
+    `${index + 1}. ${scenario.name}:`,
+    `   - ${scenario.question}`,
+    `   Example (Relevant): ${scenario.relevant}`,
+    `   Example (Not Relevant): ${scenario.notRelevant}`
+  ].join('\n')).join('\n\n');
+}
+
+/**
+ * Formats the first relevancy example with the given verdict as the
+ * response the model should give for that app.
+ * @param {Object} profile - Product profile
+ * @param {boolean} isRelevant - Verdict of the example
+ * @returns {string} 'For <app>:' followed by the example response, empty when the profile has none
+ */
+function formatRelevancyExample(profile, isRelevant) {
+  const example = profile.relevancy.examples.find(item => item.isRelevant === isRelevant);
+  if (!example) return '';
+  const { app, ...response } = example;
+  return `For ${app}:\n${JSON.stringify(response, null, 2)}`;
+}
+
+/**
+ * Formats the competitor scoring rubric, one score range per line.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function formatScoringRubric(profile) {
+  return profile.scoringRubric.map(level => `${level.score}: ${level.description}`).join('\n');
+}
+
+/**
+ * Formats the known competitors with their scores.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function formatKnownCompetitors(profile) {
+  return bulletList(profile.competitors.map(competitor => `${competitor.name}: ${competitor.score}`));
+}
+
+/**
+ * Formats the business segments an app is classified in, with their descriptions.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function formatSegments(profile) {
+  return bulletList(profile.segments.map(segment => `${segment.id}: ${segment.description}`));
+}
+
+/**
+ * Formats the criteria and examples of an interaction relevancy verdict.
+ * @param {{criteria: string[], examples: string[]}} section - Criteria of the verdict
+ * @returns {string}
+ */
+function formatCriteria(section) {
+  const lines = [bulletList(section.criteria)];
+  if (section.examples.length) lines.push(`Examples:\n${bulletList(section.examples)}`);
+  return lines.join('\n');
+}
+
+/**
+ * Formats the segment guidelines of interactions: each segment's criteria and examples.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function formatSegmentGuidelines(profile) {
+  return profile.segments.map(segment => `${segment.id}:\n${formatCriteria({
+    criteria: segment.interactionCriteria,
+    examples: segment.interactionExamples
+  })}`).join('\n\n');
+}
+
+/**
+ * Formats the example analyses of the interaction relevancy prompt: each
+ * example interaction, the expected output and its reasoning.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function formatInteractionExamples(profile) {
+  return profile.interactionRelevancy.examples.map((example, index) => [
+    `Example ${index + 1} - ${example.app}:`,
+    'Input:',
+    JSON.stringify({ name: example.interaction.name, description: example.interaction.description }, null, 2),
+    'Output:',
+    JSON.stringify({
+      ...example.interaction,
+      isRelevant: example.isRelevant,
+      relevancySegment: example.relevancySegment
+    }, null, 2),
+    `Reasoning: ${example.reasoning}`
+  ].join('\n')).join('\n\n');
+}
+
+module.exports = {
+  bulletList,
+  segmentAlternatives,
+  productVariables,
+  formatScenarios,
+  formatRelevancyExample,
+  formatScoringRubric,
+  formatKnownCompetitors,
+  formatSegments,
+  formatCriteria,
+  formatSegmentGuidelines,
+  formatInteractionExamples
+};
@@ -0,0 +1,46 @@
+// src/prompts/relevancy.js
+// Stage 5 prompt: whether integrating an app with the target product has business
+// value (isRelevant, relevancyReasoning, potentialUseCase).
+
+const { renderPrompt } = require('./templates');
+const { productVariables, formatScenarios, formatRelevancyExample } = require('./productContext');
+
+// Output schema
+const RELEVANCY_SCHEMA = {
+  type: 'object',
+  properties: {
+    isRelevant: { type: 'boolean' },
+    relevancyReasoning: { type: 'string', minLength: 1 },
+    potentialUseCase: { type: ['string', 'null'] }
+  },
+  required: ['isRelevant', 'relevancyReasoning', 'potentialUseCase'],
+  additionalProperties: false
+};
+
+/**
+ * Builds the relevancy request of an app.
+ * @param {string} appTitle - App title
+ * @param {string} appDescription - Normalized app description
+ * @param {Object} product - Target product profile (see src/config/product.js)
+ * @returns {{messages: Object[], temperature: number, maxTokens: number, schema: Object, prompt: {id: string, version: number}}}
+ */
+function buildRelevancyRequest(appTitle, appDescription, product) {
+  return renderPrompt('relevancy', {
+    appTitle,
+    appDescription,
+    ...productVariables(product),
+    productPurpose: product.purpose,
+    scenarios: formatScenarios(product),
+    relevantExample: formatRelevancyExample(product, true),
+    notRelevantExample: formatRelevancyExample(product, false)
+  }, {
+    temperature: 0.1,
+    maxTokens: 1000,
+    schema: RELEVANCY_SCHEMA
+  });
+}
+
+module.exports = {
+  RELEVANCY_SCHEMA,
+  buildRelevancyRequest
+};
@@ -0,0 +1,117 @@
+// src/prompts/templates.js
+// Prompt templates: one file per prompt version in src/prompts/templates, named
+// <id>.v<version>.txt. A file starts with a front matter block giving the system
+// message and the template's variables, followed by the user prompt with
+// {{variable}} placeholders:
+//
+//   ---
+//   system: You are a JSON-only response bot.
+//   variables: appTitle, appDescription
+//   ---
+//   Title: "{{appTitle}}"
+//
+// The highest version of each prompt is the current one; results record the
+// id and version that produced them (see src/utils/provenance.js).
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+const FILE_PATTERN = /^(.+)\.v(\d+)\.txt$/;
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Prompt id -> current template, loaded on first use
+let currentTemplates = null;
+
+/**
+ * Parses a template file.
+ * @param {string} file - File path
+ * @param {string} id - Prompt id, from the file name
+ * @param {number} version - Prompt version, from the file name
+ * @returns {{id: string, version: number, system: string, variables: string[], body: string}}
+ * @throws {Error} When the front matter is missing or doesn't declare exactly the body's placeholders
+ */
+function parseTemplate(file, id, version) {
+  const text = fs.readFileSync(file, 'utf8');
+  const match = text.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!match) throw new Error(`Prompt template ${file} has no front matter`);
+
+  const meta = Object.fromEntries(match[1].split('\n').map(line => {
+    const separator = line.indexOf(':');
+    return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+  }));
+  const variables = (meta.variables || '').split(',').map(name => name.trim()).filter(Boolean);
+  // The file's final newline isn't part of the prompt
+  const body = match[2].replace(/\n$/, '');
+
+  const placeholders = new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name));
+  const undeclared = [...placeholders].filter(name => !variables.includes(name));
+  const unused = variables.filter(name => !placeholders.has(name));
+  if (undeclared.length || unused.length) {
+    throw new Error(`Prompt template ${file}: undeclared variables [${undeclared.join(', ')}], unused variables [${unused.join(', ')}]`);
+  }
+
+  return { id, version, system: meta.system || '', variables, body };
+}
+
+/**
+ * Loads the current (highest) version of every prompt.
+ * @returns {Map<string, {id: string, version: number, system: string, variables: string[], body: string}>}
+ */
+function loadTemplates() {
+  if (currentTemplates) return currentTemplates;
+
+  const latest = new Map();
+  fs.readdirSync(TEMPLATE_DIR).forEach(file => {
+    const match = file.match(FILE_PATTERN);
+    if (!match) return;
+    const [, id, version] = match;
+    if (!latest.has(id) || latest.get(id).version < Number(version)) latest.set(id, { file, version: Number(version) });
+  });
+
+  currentTemplates = new Map([...latest].map(([id, { file, version }]) =>
+    [id, parseTemplate(path.join(TEMPLATE_DIR, file), id, version)]));
+  return currentTemplates;
+}
+
+/**
+ * Returns the current version of a prompt.
+ * @param {string} id - Prompt id, e.g. "relevancy"
+ * @returns {number}
+ * @throws {Error} When there is no template for the prompt
+ */
+function getPromptVersion(id) {
+  const template = loadTemplates().get(id);
+  if (!template) throw new Error(`No prompt template "${id}" in ${TEMPLATE_DIR}`);
+  return template.version;
+}
+
+/**
+ * Renders the current version of a prompt into an LLM request.
+ * @param {string} id - Prompt id
+ * @param {Object<string, *>} variables - Value of each variable, inserted as strings
+ * @param {Object} [params] - Other request fields (temperature, maxTokens, json, schema)
+ * @returns {{messages: Array<{role: string, content: string}>, prompt: {id: string, version: number}}} Request for openaiService.chat()
+ * @throws {Error} When the prompt has no template or a variable is missing
+ */
+function renderPrompt(id, variables, params = {}) {
+  const template = loadTemplates().get(id);
+  if (!template) throw new Error(`No prompt template "${id}" in ${TEMPLATE_DIR}`);
+
+  const missing = template.variables.filter(name => !(name in variables));
+  if (missing.length) throw new Error(`Prompt "${id}" is missing variables: ${missing.join(', ')}`);
+
+  return {
+    messages: [
+      { role: 'system', content: template.system },
+      { role: 'user', content: template.body.replace(PLACEHOLDER_PATTERN, (_, name) => String(variables[name])) }
+    ],
+    ...params,
+    prompt: { id, version: template.version }
+  };
+}
+
+module.exports = {
+  TEMPLATE_DIR,
+  getPromptVersion,
+  renderPrompt
+};
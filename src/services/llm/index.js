@@ -0,0 +1,40 @@
+// src/services/llm/index.js
+// LLM provider adapters, selected by name (see src/config/llm.js).
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+const MockProvider = require('./mockProvider');
+const LlmResponseCache = require('./responseCache');
+const { BudgetExceededError, LlmUsageTracker } = require('./usageTracker');
+const { SchemaValidationError } = require('./structuredOutput');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+/**
+ * Creates the adapter of an LLM provider.
+ * @param {'openai' | 'local' | 'mock'} name - Provider name
+ * @param {Object} [options] - Adapter options (see each adapter's constructor)
+ * @returns {OpenAIProvider | LocalProvider | MockProvider}
+ * @throws {Error} When the provider is unknown
+ */
+function createProvider(name, options) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  LocalProvider,
+  MockProvider,
+  LlmResponseCache,
+  LlmUsageTracker,
+  BudgetExceededError,
+  SchemaValidationError
+};
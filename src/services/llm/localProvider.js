@@ -0,0 +1,30 @@
+// src/services/llm/localProvider.js
+const OpenAIProvider = require('./openaiProvider');
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server listens on http://localhost:8080/v1
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * LLM provider for a local OpenAI-compatible server (llama.cpp, Ollama, vLLM).
+ * Same wire format as OpenAI, so it reuses the OpenAI adapter with another
+ * base URL. Local servers usually ignore the API key; set LLM_MODEL (or
+ * LLM_MODEL_<TASK>) to a model the server has loaded.
+ */
+class LocalProvider extends OpenAIProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseURL] - Server URL, LLM_BASE_URL or Ollama's default
+   * @param {string} [options.apiKey] - LLM_API_KEY, a placeholder when the server needs none
+   * @param {'auto' | 'on' | 'off'} [options.jsonSchema] - Strict JSON schema outputs, off unless LLM_JSON_SCHEMA says
+   *   otherwise since not every server supports them
+   */
+  constructor({
+    baseURL = process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+    apiKey = process.env.LLM_API_KEY || 'local',
+    jsonSchema = process.env.LLM_JSON_SCHEMA || 'off'
+  } = {}) {
+    super({ apiKey, baseURL, name: 'local', jsonSchema });
+  }
+}
+
+module.exports = LocalProvider;
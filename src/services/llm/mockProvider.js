@@ -0,0 +1,60 @@
+// src/services/llm/mockProvider.js
+const fs = require('fs');
+
+/**
+ * Deterministic LLM provider for offline runs and tests: each task answers
+ * with a canned response instead of calling a model. Responses come from
+ * handlers registered with respondTo() or from the JSON fixtures file in
+ * LLM_MOCK_FIXTURES ({ "<task>": <response object or string> }).
+ */
+class MockProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fixturesPath] - Fixtures file, LLM_MOCK_FIXTURES by default
+   */
+  constructor({ fixturesPath = process.env.LLM_MOCK_FIXTURES } = {}) {
+    this.name = 'mock';
+    this.handlers = fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+    this.requests = [];
+  }
+
+  /**
+   * Sets the response of a task.
+   * @param {string} task - Task name (see src/config/llm.js)
+   * @param {Object | string | function(Object): (Object | string)} response - Response, or a function of the request returning it
+   * @returns {MockProvider} This provider, for chaining
+   */
+  respondTo(task, response) {
+    this.handlers[task] = response;
+    return this;
+  }
+
+  /**
+   * Answers a request with its task's canned response. Requests are kept in
+   * `requests` so tests can inspect the prompts. Token usage is estimated at
+   * four characters per token.
+   * @param {Object} request - See OpenAIProvider.complete()
+   * @returns {Promise<{content: string, model: string, provider: string, usage: {promptTokens: number, completionTokens: number, totalTokens: number}}>}
+   * @throws {Error} When the task has no response
+   */
+  async complete(request) {
+    const handler = this.handlers[request.task];
+    if (handler === undefined) {
+      throw new Error(`No mock response for LLM task "${request.task}"`);
+    }
+    this.requests.push(request);
+
+    const response = typeof handler === 'function' ? handler(request) : handler;
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+    const promptTokens = Math.ceil(request.messages.reduce((total, message) => total + message.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return {
+      content,
+      model: request.model,
+      provider: this.name,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,99 @@
+// src/services/llm/openaiProvider.js
+const OpenAI = require('openai');
+const { toStrictSchema } = require('./structuredOutput');
+
+// Models that accept strict JSON schema outputs; older ones get JSON object mode
+const JSON_SCHEMA_MODELS = /^(?:gpt-4o|gpt-4\.1|gpt-5|o[1-9])/;
+
+/**
+ * LLM provider backed by the OpenAI chat completions API. The only module
+ * that talks to the `openai` SDK; everything else goes through OpenAIService.
+ *
+ * Providers share one interface: complete(request) resolves to
+ * { content, model, provider, usage: { promptTokens, completionTokens, totalTokens } }.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.apiKey] - API key, OPENAI_API_KEY by default
+   * @param {string} [options.baseURL] - API base URL, the OpenAI API by default
+   * @param {string} [options.name='openai'] - Provider name reported with each response
+   * @param {'auto' | 'on' | 'off'} [options.jsonSchema] - Strict JSON schema outputs: by model (auto), always or never;
+   *   LLM_JSON_SCHEMA or auto by default
+   */
+  constructor({ apiKey = process.env.OPENAI_API_KEY, baseURL, name = 'openai', jsonSchema = process.env.LLM_JSON_SCHEMA || 'auto' } = {}) {
+    this.name = name;
+    this.jsonSchema = jsonSchema;
+    this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  /**
+   * Tells whether a model is asked for strict JSON schema outputs.
+   * @param {string} model - Model name
+   * @returns {boolean}
+   */
+  supportsJsonSchema(model) {
+    if (this.jsonSchema === 'on') return true;
+    if (this.jsonSchema === 'off') return false;
+    return JSON_SCHEMA_MODELS.test(model);
+  }
+
+  /**
+   * Returns the response format of a request: the task's output schema in
+   * strict mode where the model supports it, otherwise JSON object mode.
+   * @param {Object} request - See complete()
+   * @returns {Object | undefined} `response_format` parameter, undefined for free text
+   */
+  responseFormatOf({ task, model, json, schema }) {
+    if (schema && this.supportsJsonSchema(model)) {
+      return { type: 'json_schema', json_schema: { name: task, strict: true, schema: toStrictSchema(schema) } };
+    }
+    return json || schema ? { type: 'json_object' } : undefined;
+  }
+
+  /**
+   * Turns a provider request into chat completion parameters.
+   * @param {Object} request - See complete()
+   * @returns {Object}
+   */
+  toCompletionParams(request) {
+    const { model, messages, temperature, maxTokens } = request;
+    const responseFormat = this.responseFormatOf(request);
+    return {
+      model,
+      messages,
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(responseFormat ? { response_format: responseFormat } : {})
+    };
+  }
+
+  /**
+   * Runs a chat completion.
+   * @param {Object} request
+   * @param {string} request.task - Task name (see src/config/llm.js)
+   * @param {string} request.model - Model name
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @param {number} [request.temperature] - Sampling temperature, the model default when unset
+   * @param {number} [request.maxTokens] - Completion token limit
+   * @param {boolean} [request.json] - Ask for a JSON object response
+   * @param {Object} [request.schema] - Output schema of the task, implies a JSON response
+   * @returns {Promise<{content: string, model: string, provider: string, usage: {promptTokens: number, completionTokens: number, totalTokens: number}}>}
+   */
+  async complete(request) {
+    const completion = await this.client.chat.completions.create(this.toCompletionParams(request));
+    const usage = completion.usage || {};
+    return {
+      content: completion.choices[0].message.content,
+      model: completion.model || request.model,
+      provider: this.name,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,170 @@
+// src/services/llm/responseCache.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Prefix of cached responses in Redis
+const REDIS_KEY_PREFIX = 'llm:cache:';
+
+/**
+ * Checks that a response is worth caching: every pipeline task expects JSON
+ * (some wrapped in markdown fences), so a malformed answer is left uncached
+ * and a retry asks the model again.
+ * @param {string} content - Response content
+ * @returns {boolean}
+ */
+function isJsonContent(content) {
+  try {
+    JSON.parse(String(content).replace(/```json\n|\n```|```/g, '').trim());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serializes a JSON value with object keys sorted, so equal requests hash the
+ * same whatever order their properties were set in.
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Content-addressed cache of LLM responses. Entries are keyed by provider,
+ * model and a hash of every other request parameter (task, messages,
+ * temperature, token limit, JSON mode, output schema, prompt template), so a
+ * byte-identical request re-run after a crash is answered from the cache
+ * instead of billed again, while a changed schema or task never is.
+ * Stored as JSON files (`<dir>/<provider>/<model>/<hash>.json`) or in Redis.
+ */
+class LlmResponseCache {
+  /**
+   * @param {Object} options - See getLlmCacheConfig() in src/config/llm.js
+   * @param {'disk' | 'redis' | 'off'} options.store - Where responses are kept
+   * @param {number} options.ttlSeconds - Lifetime of an entry, 0 for no expiry
+   * @param {string} options.dir - Directory of the disk store
+   * @param {import('ioredis').Redis} [options.redis] - Client of the Redis store, the shared client by default
+   */
+  constructor({ store, ttlSeconds, dir, redis }) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+    this.dir = dir;
+    // Required lazily so disk and mock runs never open a Redis connection
+    this.redis = store === 'redis' ? (redis || require('../../utils/redisClient')) : null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Computes the cache key of a request. Every parameter but the model (part
+   * of the key itself) goes into the hash, including ones added later.
+   * @param {string} provider - Provider name
+   * @param {Object} request - Provider request (see OpenAIProvider.complete())
+   * @returns {{provider: string, model: string, hash: string}}
+   */
+  keyOf(provider, { model, temperature, maxTokens, json, ...parameters }) {
+    const hash = crypto.createHash('sha256')
+      .update(canonicalJson({ ...parameters, temperature: temperature ?? null, maxTokens: maxTokens ?? null, json: Boolean(json) }))
+      .digest('hex');
+    return { provider, model, hash };
+  }
+
+  /**
+   * Returns the file of a disk entry; model names may contain slashes and colons.
+   * @param {{provider: string, model: string, hash: string}} key - Result of keyOf()
+   * @returns {string}
+   */
+  fileOf({ provider, model, hash }) {
+    return path.join(this.dir, provider, model.replace(/[^\w.-]+/g, '_'), `${hash}.json`);
+  }
+
+  /**
+   * Returns the Redis key of an entry.
+   * @param {{provider: string, model: string, hash: string}} key - Result of keyOf()
+   * @returns {string}
+   */
+  redisKeyOf({ provider, model, hash }) {
+    return `${REDIS_KEY_PREFIX}${provider}:${model}:${hash}`;
+  }
+
+  /**
+   * Looks a request up, counting the hit or miss.
+   * @param {string} provider - Provider name
+   * @param {Object} request - Provider request
+   * @returns {Promise<Object | null>} Cached provider response, null on a miss or when the cache is off
+   */
+  async get(provider, request) {
+    if (this.store === 'off') return null;
+
+    const key = this.keyOf(provider, request);
+    let entry = null;
+    try {
+      if (this.store === 'redis') {
+        const value = await this.redis.get(this.redisKeyOf(key));
+        entry = value ? JSON.parse(value) : null;
+      } else {
+        entry = JSON.parse(await fs.readFile(this.fileOf(key), 'utf8'));
+        // Disk entries expire on read; Redis expires its keys itself
+        if (this.ttlSeconds && Date.now() - entry.storedAt > this.ttlSeconds * 1000) entry = null;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`LLM cache read failed: ${error.message}`);
+      entry = null;
+    }
+
+    if (entry) {
+      this.hits++;
+      return entry.response;
+    }
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Stores the response of a request. Responses that aren't JSON are skipped,
+   * and a failing store only logs a warning.
+   * @param {string} provider - Provider name
+   * @param {Object} request - Provider request
+   * @param {Object} response - Provider response
+   * @returns {Promise<void>}
+   */
+  async set(provider, request, response) {
+    if (this.store === 'off' || !isJsonContent(response.content)) return;
+
+    const key = this.keyOf(provider, request);
+    const entry = JSON.stringify({ storedAt: Date.now(), task: request.task, response });
+    try {
+      if (this.store === 'redis') {
+        const redisKey = this.redisKeyOf(key);
+        await (this.ttlSeconds ? this.redis.set(redisKey, entry, 'EX', this.ttlSeconds) : this.redis.set(redisKey, entry));
+      } else {
+        const file = this.fileOf(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, entry);
+      }
+    } catch (error) {
+      console.warn(`LLM cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describes the cache activity of the run, for the stages' final output.
+   * @returns {string} e.g. "LLM cache (disk): 12 hits, 3 misses"
+   */
+  summary() {
+    if (this.store === 'off') return 'LLM cache: off';
+    return `LLM cache (${this.store}): ${this.hits} hits, ${this.misses} misses`;
+  }
+}
+
+module.exports = LlmResponseCache;
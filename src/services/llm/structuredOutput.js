@@ -0,0 +1,106 @@
+// src/services/llm/structuredOutput.js
+const { validateJson } = require('../../utils/jsonSchema');
+
+// Keywords OpenAI's strict JSON schema mode rejects; they are still checked locally
+const UNSUPPORTED_STRICT_KEYWORDS = ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems'];
+
+/**
+ * Thrown when a task's response still breaks its output schema after the
+ * repair retries. Stages record it on the app (see toRecord()) instead of
+ * dropping the app's other results.
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.task - Task name
+   * @param {string} details.model - Model name
+   * @param {string[]} details.errors - Violations of the last response
+   * @param {number} details.attempts - Responses received, the first one included
+   * @param {string} details.content - Last response content
+   */
+  constructor({ task, model, errors, attempts, content }) {
+    super(`LLM task "${task}" returned an invalid response after ${attempts} attempts: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.task = task;
+    this.model = model;
+    this.errors = errors;
+    this.attempts = attempts;
+    this.content = content;
+  }
+
+  /**
+   * Returns the failure as stored in an app's `llmFailures`.
+   * @returns {{task: string, model: string, violations: string[], attempts: number, failedAt: Date}}
+   */
+  toRecord() {
+    return {
+      task: this.task,
+      model: this.model,
+      violations: this.errors.slice(0, 20),
+      attempts: this.attempts,
+      failedAt: new Date()
+    };
+  }
+}
+
+/**
+ * Parses a response and checks it against the task's output schema, then
+ * against the caller's own checks (names matching the input, ...).
+ * @param {string} content - Response content, JSON possibly wrapped in markdown fences
+ * @param {Object} schema - Output schema of the task
+ * @param {function(Object): string[]} [validate] - Extra checks, returning violations
+ * @returns {{data: Object | null, errors: string[]}} Errors empty when the response is valid
+ */
+function parseStructuredOutput(content, schema, validate) {
+  let data;
+  try {
+    data = JSON.parse(String(content).replace(/```json\n|\n```|```/g, '').trim());
+  } catch (error) {
+    return { data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateJson(data, schema);
+  if (!errors.length && validate) errors.push(...validate(data));
+  return { data, errors };
+}
+
+/**
+ * Builds the messages of a repair retry: the original conversation, the
+ * invalid response and what is wrong with it.
+ * @param {Array<{role: string, content: string}>} messages - Messages of the original request
+ * @param {string} content - Invalid response content
+ * @param {string[]} errors - Its violations
+ * @returns {Array<{role: string, content: string}>}
+ */
+function repairMessages(messages, content, errors) {
+  return [
+    ...messages,
+    { role: 'assistant', content: String(content) },
+    {
+      role: 'user',
+      content: `Your response does not match the required JSON format:\n${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}\n` +
+        'Return the corrected JSON object only, with every required field.'
+    }
+  ];
+}
+
+/**
+ * Converts an output schema for OpenAI's strict JSON schema mode, dropping
+ * the keywords it doesn't accept.
+ * @param {Object} schema - Output schema
+ * @returns {Object}
+ */
+function toStrictSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toStrictSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([keyword]) => !UNSUPPORTED_STRICT_KEYWORDS.includes(keyword))
+    .map(([keyword, value]) => [keyword, keyword === 'enum' ? value : toStrictSchema(value)]));
+}
+
+module.exports = {
+  SchemaValidationError,
+  parseStructuredOutput,
+  repairMessages,
+  toStrictSchema
+};
@@ -0,0 +1,261 @@
+// src/services/llm/usageTracker.js
+const fs = require('fs').promises;
+const path = require('path');
+const { getModelPrice } = require('../../config/llm');
+
+// Prefix of the per-stage usage totals in Redis (hashes shared by every machine)
+const REDIS_KEY_PREFIX = 'llm:usage:';
+
+// Directory of the run summaries
+const SUMMARY_DIR = path.join('reports', 'llm_usage');
+
+/**
+ * Thrown before an LLM call that would take the run over its budget. Stages
+ * stop on it after releasing the processing lock of the current app.
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - What cap would be exceeded
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+/**
+ * Returns empty usage totals.
+ * @returns {{calls: number, cachedCalls: number, promptTokens: number, completionTokens: number, costUsd: number}}
+ */
+function emptyTotals() {
+  return { calls: 0, cachedCalls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Adds a call's usage to totals.
+ * @param {Object} totals - Totals, updated in place
+ * @param {{cached: boolean, promptTokens: number, completionTokens: number, costUsd: number}} call - Recorded call
+ */
+function addCall(totals, call) {
+  totals.calls++;
+  if (call.cached) totals.cachedCalls++;
+  totals.promptTokens += call.promptTokens;
+  totals.completionTokens += call.completionTokens;
+  totals.costUsd += call.costUsd;
+}
+
+/**
+ * Formats a dollar amount with enough decimals for single calls.
+ * @param {number} costUsd - Amount
+ * @returns {string} e.g. "$0.0123"
+ */
+function formatCost(costUsd) {
+  return `$${costUsd.toFixed(4)}`;
+}
+
+/**
+ * Token and cost accounting of a stage run: every LLM call is recorded with
+ * its usage and estimated cost, and totals are kept per app, per task/model
+ * and for the run. Enforces the run's budget before each billed call.
+ */
+class LlmUsageTracker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.stage] - Stage name, the running script's name by default
+   * @param {{maxCostUsd: number | null, maxTokens: number | null}} [options.budget] - Caps of the run (see getLlmBudget())
+   */
+  constructor({ stage = path.basename(process.argv[1] || 'llm', '.js'), budget = { maxCostUsd: null, maxTokens: null } } = {}) {
+    this.stage = stage;
+    this.budget = budget;
+    this.startedAt = new Date();
+    this.currentApp = null;
+    this.totals = emptyTotals();
+    this.byTask = {};
+    this.byApp = {};
+    this.calls = [];
+    // Usage not yet added to the shared Redis totals
+    this.unflushed = emptyTotals();
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Attributes the following calls to an app.
+   * @param {string | null} appSlug - App slug, null for calls outside any app
+   */
+  forApp(appSlug) {
+    this.currentApp = appSlug;
+  }
+
+  /**
+   * Estimates the cost of a call.
+   * @param {string} model - Model name
+   * @param {string} provider - Provider name
+   * @param {number} promptTokens - Prompt tokens
+   * @param {number} completionTokens - Completion tokens
+   * @returns {number} USD, 0 for models without a known price
+   */
+  costOf(model, provider, promptTokens, completionTokens) {
+    const price = getModelPrice(model, provider);
+    if (!price) {
+      this.unpricedModels.add(model);
+      return 0;
+    }
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Checks that a call can be made without going over the budget. The call is
+   * estimated at four characters per prompt token plus the run's average
+   * completion so far.
+   * @param {string} provider - Provider name
+   * @param {Object} request - Provider request (see OpenAIProvider.complete())
+   * @throws {BudgetExceededError} When the call would exceed the dollar or token cap
+   */
+  assertWithinBudget(provider, request) {
+    const { maxCostUsd, maxTokens } = this.budget;
+    if (maxCostUsd === null && maxTokens === null) return;
+
+    const billedCalls = this.totals.calls - this.totals.cachedCalls;
+    const promptTokens = Math.ceil(request.messages.reduce((total, message) => total + message.content.length, 0) / 4);
+    const completionTokens = billedCalls ? Math.ceil(this.totals.completionTokens / billedCalls) : 0;
+    const tokens = this.totals.promptTokens + this.totals.completionTokens + promptTokens + completionTokens;
+    const costUsd = this.totals.costUsd + this.costOf(request.model, provider, promptTokens, completionTokens);
+
+    if (maxTokens !== null && tokens > maxTokens) {
+      throw new BudgetExceededError(`LLM token budget of ${maxTokens} would be exceeded (${tokens} tokens with the next call)`);
+    }
+    if (maxCostUsd !== null && costUsd > maxCostUsd) {
+      throw new BudgetExceededError(`LLM budget of ${formatCost(maxCostUsd)} would be exceeded (${formatCost(costUsd)} with the next call)`);
+    }
+  }
+
+  /**
+   * Records a call. Cached responses count as calls but cost nothing.
+   * @param {Object} request - Provider request
+   * @param {{model: string, provider: string, usage: Object, cached?: boolean}} response - Provider response
+   * @returns {{task: string, model: string, provider: string, app: string | null, cached: boolean, promptTokens: number, completionTokens: number, costUsd: number}}
+   */
+  record(request, response) {
+    const cached = Boolean(response.cached);
+    const promptTokens = cached ? 0 : response.usage?.promptTokens || 0;
+    const completionTokens = cached ? 0 : response.usage?.completionTokens || 0;
+    const call = {
+      task: request.task,
+      model: request.model,
+      provider: response.provider,
+      app: this.currentApp,
+      cached,
+      promptTokens,
+      completionTokens,
+      costUsd: this.costOf(request.model, response.provider, promptTokens, completionTokens)
+    };
+
+    const taskKey = `${call.task}/${call.model}`;
+    this.byTask[taskKey] = this.byTask[taskKey] || emptyTotals();
+    [this.totals, this.unflushed, this.byTask[taskKey]].forEach(totals => addCall(totals, call));
+    this.calls.push(call);
+    if (call.app) {
+      this.byApp[call.app] = this.byApp[call.app] || emptyTotals();
+      addCall(this.byApp[call.app], call);
+    }
+    return call;
+  }
+
+  /**
+   * Describes an app's usage, for the stages' per-app output.
+   * @param {string} appSlug - App slug
+   * @returns {string} e.g. "LLM: 2 calls, 3,120 tokens, $0.0151"
+   */
+  appSummary(appSlug) {
+    const totals = this.byApp[appSlug] || emptyTotals();
+    return `LLM: ${totals.calls} calls, ${(totals.promptTokens + totals.completionTokens).toLocaleString()} tokens, ${formatCost(totals.costUsd)}`;
+  }
+
+  /**
+   * Returns the run's usage as machine status fields, shown by monitor.js.
+   * @returns {{llm_calls: number, llm_tokens: number, llm_cost_usd: number}}
+   */
+  toStatus() {
+    return {
+      llm_calls: this.totals.calls,
+      llm_tokens: this.totals.promptTokens + this.totals.completionTokens,
+      llm_cost_usd: Math.round(this.totals.costUsd * 10000) / 10000
+    };
+  }
+
+  /**
+   * Adds the usage recorded since the last flush to the stage's totals in
+   * Redis (`llm:usage:<stage>`), shared by every machine running the stage.
+   * @param {import('ioredis').Redis} client - Redis client
+   * @returns {Promise<void>}
+   */
+  async flushToRedis(client) {
+    if (!this.unflushed.calls) return;
+    const delta = this.unflushed;
+    this.unflushed = emptyTotals();
+
+    const key = `${REDIS_KEY_PREFIX}${this.stage}`;
+    try {
+      await client.multi()
+        .hincrby(key, 'calls', delta.calls)
+        .hincrby(key, 'cached_calls', delta.cachedCalls)
+        .hincrby(key, 'prompt_tokens', delta.promptTokens)
+        .hincrby(key, 'completion_tokens', delta.completionTokens)
+        .hincrbyfloat(key, 'cost_usd', delta.costUsd)
+        .exec();
+    } catch (error) {
+      // Keep the usage for the next flush
+      Object.keys(delta).forEach(field => {
+        this.unflushed[field] += delta[field];
+      });
+      console.warn(`Failed to record LLM usage in Redis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ends the run: flushes the totals to Redis, prints the run summary and
+   * writes it to reports/llm_usage/<stage>-<timestamp>.json.
+   * @param {import('ioredis').Redis} [client] - Redis client, totals aren't flushed without one
+   * @returns {Promise<Object>} The summary
+   */
+  async finishRun(client) {
+    if (client) await this.flushToRedis(client);
+
+    const summary = {
+      stage: this.stage,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      budget: this.budget,
+      totals: this.totals,
+      byTask: this.byTask,
+      byApp: this.byApp,
+      unpricedModels: [...this.unpricedModels],
+      calls: this.calls
+    };
+
+    console.log(`LLM usage: ${this.totals.calls} calls (${this.totals.cachedCalls} cached), ` +
+      `${this.totals.promptTokens.toLocaleString()} prompt + ${this.totals.completionTokens.toLocaleString()} completion tokens, ` +
+      `${formatCost(this.totals.costUsd)}`);
+    Object.entries(this.byTask).forEach(([taskKey, totals]) => {
+      console.log(`  ${taskKey}: ${totals.calls} calls, ${(totals.promptTokens + totals.completionTokens).toLocaleString()} tokens, ${formatCost(totals.costUsd)}`);
+    });
+    if (this.unpricedModels.size) {
+      console.log(`  No price for ${[...this.unpricedModels].join(', ')}, counted as free (set LLM_PRICES)`);
+    }
+
+    try {
+      const file = path.join(SUMMARY_DIR, `${this.stage}-${this.startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+      await fs.mkdir(SUMMARY_DIR, { recursive: true });
+      await fs.writeFile(file, JSON.stringify(summary, null, 2));
+      console.log(`  Run summary written to ${file}`);
+    } catch (error) {
+      console.warn(`Failed to write the LLM run summary: ${error.message}`);
+    }
+    return summary;
+  }
+}
+
+module.exports = {
+  BudgetExceededError,
+  LlmUsageTracker
+};
@@ -5,9 +5,28 @@ const PROCESSING_EXPIRY = 3600; // 1 hour in seconds
 const STATUS_EXPIRY = 90; // 1.5 minutes in seconds
 
 class RedisService {
-  constructor(machineId) {
+  /**
+   * @param {string} machineId - Machine recorded on processing marks and completions
+   * @param {Object} [options] - Scope of the app keys, so that stages (and products) don't share completions
+   * @param {number | string} [options.stage] - Stage number, e.g. 5
+   * @param {string} [options.product] - Target product id, for stages whose results are per product
+   */
+  constructor(machineId, { stage = null, product = null } = {}) {
     this.machineId = machineId;
     this.client = redisClient;
+    this.scope = [stage !== null ? `stage${stage}` : null, product].filter(Boolean).join(':');
+  }
+
+  /**
+   * Builds an app key of this service's scope: app:<kind>:stage<N>[:<product>]:<slug>,
+   * or app:<kind>:<slug> without a scope (the scraped data stage 4 reads).
+   * @param {'data' | 'processing'} kind - Completion or processing mark
+   * @param {string} appName - App slug
+   * @returns {string}
+   */
+  appKey(kind, appName) {
+    const slug = appName.toLowerCase();
+    return this.scope ? `app:${kind}:${this.scope}:${slug}` : `app:${kind}:${slug}`;
   }
 
   async isConnected() {
@@ -33,17 +52,24 @@ class RedisService {
     }
   }
 
-  async checkAppStatus(appName) {
+  /**
+   * Checks whether an app is being processed by a machine and whether it was completed.
+   * @param {string} appName - App slug
+   * @param {Object} [options]
+   * @param {number | null} [options.completedAfter] - Only count completions from this time on (ms timestamp),
+   *   e.g. the run's start when re-running outdated results
+   * @returns {Promise<{isProcessing: boolean, isCompleted: boolean}>}
+   */
+  async checkAppStatus(appName, { completedAfter = null } = {}) {
     try {
-      const normalizedAppName = appName.toLowerCase();
       const [processing, completed] = await Promise.all([
-        this.client.get(`app:processing:${normalizedAppName}`),
-        this.client.exists(`app:data:${normalizedAppName}`)
+        this.client.get(this.appKey('processing', appName)),
+        completedAfter ? this.client.get(this.appKey('data', appName)) : this.client.exists(this.appKey('data', appName))
       ]);
       
       return {
         isProcessing: Boolean(processing),
-        isCompleted: Boolean(completed)
+        isCompleted: completedAfter ? Boolean(completed) && JSON.parse(completed).processed_at >= completedAfter : Boolean(completed)
       };
     } catch (error) {
       console.error(`Error checking app status for ${appName}:`, error);
@@ -53,9 +79,7 @@ class RedisService {
 
   async markAppProcessing(appName) {
     try {
-      const normalizedAppName = appName.toLowerCase();
-      const processingKey = `app:processing:${normalizedAppName}`;
-      await this.client.set(processingKey, JSON.stringify({
+      await this.client.set(this.appKey('processing', appName), JSON.stringify({
         machine_id: this.machineId,
         started_at: Date.now()
       }), 'EX', PROCESSING_EXPIRY);
@@ -65,18 +89,32 @@ class RedisService {
     }
   }
 
+  /**
+   * Drops an app's processing mark without completing it (failed or skipped app),
+   * so that it can be picked up again.
+   * @param {string} appName - App slug
+   * @returns {Promise<void>}
+   */
+  async releaseApp(appName) {
+    try {
+      await this.client.del(this.appKey('processing', appName));
+    } catch (error) {
+      console.error(`Error releasing app ${appName}:`, error);
+      throw error;
+    }
+  }
+
   async markAppCompleted(appName, data) {
     try {
-      const normalizedAppName = appName.toLowerCase();
       const multi = this.client.multi();
       
-      multi.set(`app:data:${normalizedAppName}`, JSON.stringify({
+      multi.set(this.appKey('data', appName), JSON.stringify({
         ...data,
         processed_by: this.machineId,
         processed_at: Date.now()
       }));
       
-      multi.del(`app:processing:${normalizedAppName}`);
+      multi.del(this.appKey('processing', appName));
       
       await multi.exec();
     } catch (error) {
@@ -0,0 +1,161 @@
+// src/utils/appNormalizer.js
+// Rule-based part of app normalization (stage 4): title, logo URL, help links,
+// category name, timestamps and well-formed interactions are normalized in code.
+// Only the description and the interactions these rules can't handle are left
+// for the LLM (see openaiService.normalizeAppData).
+const { splitInteraction } = require('../extractors/interactionSplitter');
+const { typeFromDescription } = require('./interactionClassifier');
+
+// Suffixes Zapier appends to app titles ("Shopify Integrations")
+const TITLE_SUFFIX_PATTERN = /\s+(?:integrations?|api)\s*$/i;
+
+// Help center pages that aren't about a specific app
+const GENERIC_HELP_PATTERN = /^https?:\/\/help\.zapier\.com\/(?:hc(?:\/[a-z]{2}(?:-[a-z]{2})?)?)?\/?$/i;
+
+// Category used when an app has none
+const DEFAULT_CATEGORY = 'Uncategorized';
+
+/**
+ * Strips the "Integrations"/"Integration"/"API" suffix from an app title.
+ * @param {string} title - Scraped title, e.g. "Shopify Integrations"
+ * @returns {string} e.g. "Shopify"
+ */
+function normalizeTitle(title) {
+  let normalized = String(title || '').trim();
+  while (TITLE_SUFFIX_PATTERN.test(normalized) && normalized.replace(TITLE_SUFFIX_PATTERN, '')) {
+    normalized = normalized.replace(TITLE_SUFFIX_PATTERN, '').trim();
+  }
+  return normalized;
+}
+
+/**
+ * Removes the query string (imgix sizing parameters) from a logo URL.
+ * @param {string | undefined} url - Scraped logo URL
+ * @returns {string | undefined}
+ */
+function normalizeLogoUrl(url) {
+  return url ? url.split('?')[0] : url;
+}
+
+/**
+ * Keeps the help links that point to specific articles, as App `links`.
+ * Generic help center links are dropped and duplicates removed.
+ * @param {string[]} helpLinks - Scraped help.zapier.com URLs
+ * @returns {Array<{type: 'help', url: string}>}
+ */
+function normalizeHelpLinks(helpLinks) {
+  return [...new Set(helpLinks || [])]
+    .filter(url => url && !GENERIC_HELP_PATTERN.test(url) && /\/articles\//.test(url))
+    .map(url => ({ type: 'help', url }));
+}
+
+/**
+ * Turns a category file name or title into its display name:
+ * "All_Human_Resources" -> "Human Resources", "Video___Audio" -> "Video & Audio".
+ * Each word is capitalized; acronyms ("CRM") are kept.
+ * @param {string | null} name - Category name as recorded by the scrapers
+ * @returns {string} Display name, "Uncategorized" when empty
+ */
+function normalizeCategoryName(name) {
+  const normalized = String(name || '')
+    .replace(/_{3}/g, ' & ')
+    .replace(/_/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^all\s+/i, '')
+    .replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+  return normalized || DEFAULT_CATEGORY;
+}
+
+/**
+ * Picks the app's category: the category file it was scraped from, or the first
+ * category shown on its page for apps found through the sitemaps.
+ * @param {Object} appData - Scraped app data
+ * @returns {string}
+ */
+function resolveCategory(appData) {
+  const source = /^sitemap_/i.test(appData.sourceCategory || '') ? null : appData.sourceCategory;
+  return normalizeCategoryName(source || (appData.categories || [])[0]);
+}
+
+/**
+ * Classifies an interaction without the LLM: the type from structured page
+ * data when known, otherwise from its description ("Triggers when ..." or an
+ * action verb such as "Creates ...").
+ * @param {{type?: string, description?: string | null}} interaction - Scraped interaction
+ * @returns {'trigger' | 'action' | null} Null when the rules can't tell
+ */
+function interactionTypeByRules(interaction) {
+  if (['trigger', 'action'].includes(interaction.type)) return interaction.type;
+  return typeFromDescription(interaction.description);
+}
+
+/**
+ * Checks whether a split interaction still needs the LLM: the splitter flagged
+ * its text as unsplittable, or it has no description at all.
+ * @param {{name: string, description: string | null, split: string}} interaction - Result of splitInteraction()
+ * @returns {boolean}
+ */
+function isMalformedInteraction(interaction) {
+  return interaction.split === 'unsplittable' || !interaction.name || !interaction.description;
+}
+
+/**
+ * Normalizes the deterministic fields of scraped app data.
+ * Interactions that are well formed and classifiable by rules are normalized
+ * here; the others are returned in `pending.interactions` for the LLM, with the
+ * index they take in `data.interactions`.
+ *
+ * @param {Object} appData - Scraped app data (title, about, logo, helpLinks, triggers, actions, ...)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Timestamp used as updatedAt
+ * @returns {{data: Object, pending: {description: string, interactions: Array<{index: number, name: string, description: string | null}>}}}
+ *   Normalized fields (description and pending interactions still unset) and the work left for the LLM
+ */
+function normalizeWithRules(appData, { now = new Date() } = {}) {
+  const scraped = [...(appData.triggers || []), ...(appData.actions || [])];
+  const pendingInteractions = [];
+
+  const interactions = scraped.map((interaction, index) => {
+    // Glued name/description text is split by the deterministic splitter first
+    const split = splitInteraction(interaction);
+    const type = interactionTypeByRules({ ...interaction, description: split.description });
+    if (!type || isMalformedInteraction(split)) {
+      pendingInteractions.push({ index, name: split.name, description: split.description });
+      return null;
+    }
+    return {
+      name: split.name,
+      description: split.description,
+      type,
+      normalizedBy: 'rules'
+    };
+  });
+
+  return {
+    data: {
+      title: normalizeTitle(appData.title),
+      description: null,
+      logo_url: normalizeLogoUrl(appData.logo),
+      links: normalizeHelpLinks(appData.helpLinks),
+      interactions,
+      category: resolveCategory(appData),
+      scrapedAt: appData.scrapedAt,
+      updatedAt: now.toISOString()
+    },
+    pending: {
+      description: String(appData.about || '').trim(),
+      interactions: pendingInteractions
+    }
+  };
+}
+
+module.exports = {
+  normalizeTitle,
+  normalizeLogoUrl,
+  normalizeHelpLinks,
+  normalizeCategoryName,
+  interactionTypeByRules,
+  isMalformedInteraction,
+  normalizeWithRules
+};
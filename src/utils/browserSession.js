@@ -0,0 +1,93 @@
+// src/utils/browserSession.js
+const puppeteer = require('puppeteer-core');
+
+/**
+ * Lazily launched Puppeteer browser with a single configured page.
+ * Chrome only starts the first time a page is actually needed, so HTTP fetch
+ * modes never pay for a browser unless a page has to be escalated.
+ */
+class BrowserSession {
+  /**
+   * @param {Object} options
+   * @param {Object} options.launchOptions - puppeteer.launch() options
+   * @param {function(import('puppeteer-core').Page): Promise<void>} [options.setupPage] - Configures each new page
+   */
+  constructor({ launchOptions, setupPage }) {
+    this.launchOptions = launchOptions;
+    this.setupPage = setupPage;
+    this.browser = null;
+    this.launching = null;
+    this.page = null;
+    this.launches = 0;
+  }
+
+  /**
+   * Returns the browser, launching it on first use. Concurrent callers share
+   * the same launch, so parallel pages never start a second Chrome.
+   * @returns {Promise<import('puppeteer-core').Browser>}
+   */
+  async getBrowser() {
+    if (!this.browser) {
+      this.launching = this.launching || puppeteer.launch(this.launchOptions)
+        .then(browser => {
+          this.browser = browser;
+          this.launches++;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+      return this.launching;
+    }
+    return this.browser;
+  }
+
+  /**
+   * Returns the session's page, creating and configuring it on first use.
+   * @returns {Promise<import('puppeteer-core').Page>}
+   */
+  async getPage() {
+    if (!this.page) {
+      const browser = await this.getBrowser();
+      this.page = await browser.newPage();
+      if (this.setupPage) {
+        await this.setupPage(this.page);
+      }
+    }
+    return this.page;
+  }
+
+  /**
+   * Creates an additional configured page in the session's browser.
+   * @returns {Promise<import('puppeteer-core').Page>}
+   */
+  async newPage() {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    if (this.setupPage) {
+      await this.setupPage(page);
+    }
+    return page;
+  }
+
+  /**
+   * @returns {boolean} True when Chrome is currently running for this session
+   */
+  isOpen() {
+    return Boolean(this.browser);
+  }
+
+  /**
+   * Closes the browser if it was launched. The session can be reused afterwards.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+    }
+    this.browser = null;
+    this.page = null;
+  }
+}
+
+module.exports = BrowserSession;
@@ -0,0 +1,65 @@
+// src/utils/categoryCheckpoints.js
+const fs = require('fs').promises;
+const path = require('path');
+const { categoryFileName } = require('./categoryResults');
+
+const CHECKPOINT_DIR = process.env.CATEGORY_CHECKPOINT_DIR || path.join('category_results', 'checkpoints');
+
+/**
+ * Builds the checkpoint file path of a category.
+ * @param {string} name - Category name
+ * @returns {string}
+ */
+function checkpointPath(name) {
+  return path.join(CHECKPOINT_DIR, categoryFileName(name));
+}
+
+/**
+ * Reads the partial URL set saved while a category was being crawled.
+ * @param {string} name - Category name
+ * @returns {Promise<{urls: string[], sessions: number, updatedAt: string} | null>}
+ *   Checkpoint, null when the category has none
+ */
+async function readCheckpoint(name) {
+  try {
+    return JSON.parse(await fs.readFile(checkpointPath(name), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Saves a category's partial URL set. Written to a temporary file first and
+ * renamed, so a crash mid-write never leaves a truncated checkpoint.
+ * @param {string} name - Category name
+ * @param {{urls: string[], sessions: number}} checkpoint - URLs found so far and crawl sessions started
+ * @returns {Promise<void>}
+ */
+async function writeCheckpoint(name, { urls, sessions }) {
+  const filePath = checkpointPath(name);
+  await fs.mkdir(CHECKPOINT_DIR, { recursive: true });
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify({
+    category: name,
+    sessions,
+    updatedAt: new Date().toISOString(),
+    totalUrls: urls.length,
+    urls
+  }, null, 2));
+  await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Deletes a category's checkpoint once its result file is written.
+ * @param {string} name - Category name
+ * @returns {Promise<void>}
+ */
+async function clearCheckpoint(name) {
+  await fs.rm(checkpointPath(name), { force: true });
+}
+
+module.exports = {
+  CHECKPOINT_DIR,
+  readCheckpoint,
+  writeCheckpoint,
+  clearCheckpoint
+};
@@ -0,0 +1,111 @@
+// src/utils/categoryMembership.js
+// Builds the app -> categories membership index from every category result
+// file, so an app's categories don't depend on which category file happened
+// to be crawled first.
+const { readCategoryResults } = require('./categoryResults');
+const { appSlugFromUrl } = require('../extractors/appPageExtractor');
+const { categorySlugFromUrl, loadCategoryTree, createCategoryLookup } = require('./categoryTree');
+
+// Category lookup over category_tree.json, loaded on first use
+let categoryLookup = null;
+
+/**
+ * Returns the category lookup built from category_tree.json.
+ * @returns {function(string): Object | null}
+ */
+function defaultCategoryLookup() {
+  categoryLookup = categoryLookup || createCategoryLookup(loadCategoryTree());
+  return categoryLookup;
+}
+
+/**
+ * Builds the membership index: for each app slug, the categories listing it
+ * and the app's 1-based position in each listing (the recorded `positions`, or
+ * the URL order for older results). Sitemap results are skipped, since they are
+ * not categories.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Category results directory
+ * @returns {Promise<Map<string, Array<{name: string, slug: string | null, position: number}>>>} Index by app slug
+ */
+async function buildMembershipIndex({ dir } = {}) {
+  const results = await readCategoryResults({ dir, filter: result => result.source !== 'sitemap' });
+  const index = new Map();
+
+  results.forEach(result => {
+    const category = { name: result.category, slug: categorySlugFromUrl(result.url) };
+    result.urls.forEach((url, position) => {
+      const appSlug = appSlugFromUrl(url);
+      if (!appSlug) return;
+
+      const memberships = index.get(appSlug) || [];
+      if (!memberships.some(membership => membership.name === category.name)) {
+        memberships.push({ ...category, position: result.positions?.[url] || position + 1 });
+        index.set(appSlug, memberships);
+      }
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Merges an app's listing memberships with the categories shown on its own
+ * page (the scraped `categories` array) into the App `categories` field. Each
+ * category appears once, identified by its tree slug when the category tree
+ * knows it; page-only categories have no position.
+ *
+ * @param {Array<{name: string, slug: string | null, position: number}>} memberships - Entries of the membership index
+ * @param {string[]} [pageCategories=[]] - Category names scraped from the app page
+ * @param {function(string): Object | null} [findCategory] - Lookup from createCategoryLookup(), defaults to category_tree.json
+ * @returns {Array<{name: string, slug: string | null, umbrella: string | null, position: number | null, source: string}>}
+ */
+function toAppCategories(memberships, pageCategories = [], findCategory = defaultCategoryLookup()) {
+  const categories = new Map();
+
+  const add = (name, slug, position, source) => {
+    const node = findCategory(slug || name);
+    const key = node?.slug || slug || name.toLowerCase();
+    const existing = categories.get(key);
+    if (existing) {
+      // Listings win over page badges, and the best (lowest) position is kept
+      if (position && (!existing.position || position < existing.position)) {
+        existing.position = position;
+        existing.source = source;
+      }
+      return;
+    }
+    categories.set(key, {
+      name: node?.name || name,
+      slug: node?.slug || slug || null,
+      umbrella: node?.umbrella.title || null,
+      position: position || null,
+      source
+    });
+  };
+
+  memberships.forEach(membership => add(membership.name, membership.slug, membership.position, 'listing'));
+  pageCategories.filter(Boolean).forEach(name => add(name, null, null, 'page'));
+
+  return [...categories.values()];
+}
+
+/**
+ * Computes an app's global popularity score from its listing positions: each
+ * category contributes 1 / log2(position + 1), so being near the top of many
+ * categories scores highest (1 per category at position 1, ~0.1 at position 1000).
+ * @param {Array<{position: number | null}>} categories - Result of toAppCategories()
+ * @returns {number | null} Score rounded to 3 decimals, null when the app isn't listed anywhere
+ */
+function popularityScore(categories) {
+  const positions = categories.map(category => category.position).filter(Boolean);
+  if (!positions.length) return null;
+  const score = positions.reduce((sum, position) => sum + 1 / Math.log2(position + 1), 0);
+  return Math.round(score * 1000) / 1000;
+}
+
+module.exports = {
+  buildMembershipIndex,
+  toAppCategories,
+  popularityScore
+};
@@ -0,0 +1,86 @@
+// src/utils/categoryResults.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const CATEGORY_DIR = 'category_results';
+
+// Suffixes of category result files: pending, processed by the app scraper, failed
+const RESULT_SUFFIXES = ['.json', '.processed', '.failed'];
+
+/**
+ * Reads every category result file, including the ones the distributed scraper
+ * has renamed to .processed/.failed.
+ * @param {Object} [options]
+ * @param {string} [options.dir='category_results'] - Directory to read
+ * @param {function(Object): boolean} [options.filter] - Keeps only matching results
+ * @returns {Promise<Array<Object & {file: string}>>} Parsed results with their file name
+ */
+async function readCategoryResults({ dir = CATEGORY_DIR, filter = () => true } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const results = [];
+  for (const file of files.filter(name => RESULT_SUFFIXES.some(suffix => name.endsWith(suffix)))) {
+    try {
+      const content = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+      if (Array.isArray(content.urls) && filter(content)) {
+        results.push({ ...content, file });
+      }
+    } catch (error) {
+      console.error(`Error reading category result ${file}:`, error.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Reads the latest result of a category, whether still pending (.json) or
+ * already renamed by the app scraper (.processed/.failed).
+ * @param {string} name - Category name
+ * @param {string} [dir='category_results'] - Directory to read
+ * @returns {Promise<(Object & {file: string}) | null>} Parsed result, null when the category has none
+ */
+async function readCategoryResult(name, dir = CATEGORY_DIR) {
+  const base = categoryFileName(name).replace(/\.json$/, '');
+  for (const suffix of RESULT_SUFFIXES) {
+    try {
+      const file = `${base}${suffix}`;
+      return { ...JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')), file };
+    } catch {
+      // Try the next suffix
+    }
+  }
+  return null;
+}
+
+/**
+ * Computes how much of a category's advertised total was collected.
+ * @param {number} totalUrls - Collected app URLs
+ * @param {number | null} expectedTotal - Advertised number of apps
+ * @returns {number | null} Ratio rounded to 3 decimals (capped at 1), null when the total is unknown
+ */
+function completenessOf(totalUrls, expectedTotal) {
+  if (!expectedTotal) return null;
+  return Math.round(Math.min(totalUrls / expectedTotal, 1) * 1000) / 1000;
+}
+
+/**
+ * Builds the result file name used for a category name.
+ * @param {string} name - Category name
+ * @returns {string} e.g. "All_Sales___CRM.json"
+ */
+function categoryFileName(name) {
+  return `${name.replace(/[^a-z0-9]/gi, '_')}.json`;
+}
+
+module.exports = {
+  CATEGORY_DIR,
+  readCategoryResults,
+  readCategoryResult,
+  completenessOf,
+  categoryFileName
+};
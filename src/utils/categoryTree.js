@@ -0,0 +1,182 @@
+// src/utils/categoryTree.js
+// Builds and reads the category tree written by 1_scrape_categories.js:
+// umbrella categories ("All Marketing") with their subcategories, plus the
+// separate app family group ("All App Families" -> Google, Microsoft, ...).
+const fs = require('fs');
+
+const TREE_PATH = 'category_tree.json';
+
+// Slug of the umbrella page that lists app families instead of subject categories
+const APP_FAMILIES_SLUG = 'app-families';
+
+/**
+ * Returns the slug of a zapier.com/apps/categories/<slug> URL.
+ * @param {string} url - Category URL
+ * @returns {string | null}
+ */
+function categorySlugFromUrl(url) {
+  const match = String(url || '').match(/\/categories\/([^/?#]+)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Checks whether a category link is an umbrella ("All ..." page).
+ * @param {{name: string}} link - Category link
+ * @returns {boolean}
+ */
+function isUmbrellaLink(link) {
+  return /^All\s/i.test(link.name);
+}
+
+/**
+ * Creates a tree node from a category link.
+ * @param {{name: string, url: string}} link - Category link
+ * @returns {Object} Node without metadata (description, appCount, scrapedAt are filled later)
+ */
+function toNode(link) {
+  return {
+    name: link.name,
+    slug: categorySlugFromUrl(link.url),
+    url: link.url,
+    description: null,
+    appCount: null,
+    scrapedAt: null
+  };
+}
+
+/**
+ * Groups the category links of the index page, in page order, into a tree.
+ * The index lists each umbrella ("All X") followed by its subcategories; links
+ * before the first umbrella become standalone umbrellas. Duplicate URLs are dropped.
+ *
+ * @param {Array<{name: string, url: string}>} links - Category links in page order
+ * @returns {{umbrellas: Object[], appFamilies: Object | null}} Category tree
+ */
+function buildCategoryTree(links) {
+  const umbrellas = [];
+  let appFamilies = null;
+  let current = null;
+  const seen = new Set();
+
+  links.forEach(link => {
+    const slug = categorySlugFromUrl(link.url);
+    if (!slug || seen.has(slug)) return;
+    seen.add(slug);
+
+    if (isUmbrellaLink(link) || !current) {
+      current = { ...toNode(link), children: [] };
+      if (slug === APP_FAMILIES_SLUG) {
+        appFamilies = current;
+      } else {
+        umbrellas.push(current);
+      }
+      return;
+    }
+    current.children.push(toNode(link));
+  });
+
+  return { umbrellas, appFamilies };
+}
+
+/**
+ * Lists every node of the tree with its parent and group, in the flat
+ * `[{name, url, ...}]` shape 2_scrape_apps_list.js reads from categories.json.
+ * @param {{umbrellas: Object[], appFamilies: Object | null}} tree - Category tree
+ * @returns {Array<Object & {parent: string | null, group: 'category' | 'appFamily'}>}
+ */
+function flattenCategoryTree(tree) {
+  const flatten = ({ children, ...root }, group) => [
+    { ...root, parent: null, group },
+    ...children.map(child => ({ ...child, parent: root.slug, group }))
+  ];
+
+  return [
+    ...(tree.appFamilies ? flatten(tree.appFamilies, 'appFamily') : []),
+    ...tree.umbrellas.flatMap(umbrella => flatten(umbrella, 'category'))
+  ];
+}
+
+/**
+ * Reads the category tree saved by 1_scrape_categories.js.
+ * @param {string} [filePath='category_tree.json'] - Tree file
+ * @returns {{umbrellas: Object[], appFamilies: Object | null} | null} Tree, or null when missing/invalid
+ */
+function loadCategoryTree(filePath = TREE_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalizes a category reference for lookups: "All Sales & CRM",
+ * "All_Sales___CRM" and "sales-crm" all become "sales crm".
+ * @param {string} value - Category name, file-style name or slug
+ * @returns {string}
+ */
+function categoryKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^all\s+/, '')
+    .trim();
+}
+
+/**
+ * Creates a lookup resolving any category reference (name, file-style name, slug
+ * or URL) to its tree node and umbrella. App families resolve to the app family group.
+ *
+ * @param {{umbrellas: Object[], appFamilies: Object | null} | null} tree - Category tree
+ * @returns {function(string): {name: string, slug: string, umbrella: {name: string, slug: string, title: string}} | null}
+ *   Lookup, returning null for unknown categories
+ */
+function createCategoryLookup(tree) {
+  const lookup = new Map();
+  const roots = tree ? [...tree.umbrellas, ...(tree.appFamilies ? [tree.appFamilies] : [])] : [];
+
+  roots.forEach(root => {
+    const umbrella = {
+      name: root.name,
+      slug: root.slug,
+      // Display name without the "All " prefix, as used for App.category
+      title: root.name.replace(/^All\s+/i, '')
+    };
+    [root, ...root.children].forEach(node => {
+      const entry = { name: node.name, slug: node.slug, umbrella };
+      [node.name, node.slug].forEach(value => {
+        const key = categoryKey(value);
+        if (key && !lookup.has(key)) lookup.set(key, entry);
+      });
+    });
+  });
+
+  return reference => {
+    const slug = categorySlugFromUrl(reference);
+    return lookup.get(categoryKey(slug || reference)) || null;
+  };
+}
+
+/**
+ * Creates a lookup resolving any category reference (name, file-style name, slug
+ * or URL) to its umbrella. Umbrellas resolve to themselves; app families resolve
+ * to the app family group.
+ *
+ * @param {{umbrellas: Object[], appFamilies: Object | null} | null} tree - Category tree
+ * @returns {function(string): {name: string, slug: string, title: string} | null} Resolver, null for unknown categories
+ */
+function createUmbrellaResolver(tree) {
+  const findCategory = createCategoryLookup(tree);
+  return reference => findCategory(reference)?.umbrella || null;
+}
+
+module.exports = {
+  TREE_PATH,
+  categorySlugFromUrl,
+  buildCategoryTree,
+  flattenCategoryTree,
+  loadCategoryTree,
+  createCategoryLookup,
+  createUmbrellaResolver
+};
@@ -0,0 +1,69 @@
+// src/utils/httpClient.js
+
+// Headers of a regular desktop Chrome, so Zapier serves the same HTML as to the browser
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9'
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Performs a GET request with retries.
+ * Retries on network errors, 429 and 5xx responses with a linear backoff;
+ * other non-2xx statuses fail immediately.
+ *
+ * @param {string} url - Resource URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout=30000] - Per-attempt timeout in ms
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.retryDelay=2000] - Base delay between attempts in ms
+ * @returns {Promise<Response>} Successful response, body not yet read
+ * @throws {Error} When every attempt fails
+ */
+async function fetchWithRetry(url, { timeout = 30000, retries = 2, retryDelay = 2000 } = {}) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const response = await fetch(url, {
+        headers: DEFAULT_HEADERS,
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (response.ok) {
+        return response;
+      }
+
+      lastError = new Error(`HTTP ${response.status} for ${url}`);
+      if (response.status !== 429 && response.status < 500) {
+        throw lastError;
+      }
+    } catch (error) {
+      if (error === lastError) throw error;
+      lastError = error;
+    }
+
+    if (attempt < retries) {
+      await delay(retryDelay * (attempt + 1));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Downloads a page over plain HTTP (see fetchWithRetry() for retry behaviour).
+ * @param {string} url - Page URL
+ * @param {Object} [options] - fetchWithRetry() options
+ * @returns {Promise<{html: string, status: number, url: string}>} Body and final URL after redirects
+ * @throws {Error} When every attempt fails
+ */
+async function fetchHtml(url, options) {
+  const response = await fetchWithRetry(url, options);
+  return { html: await response.text(), status: response.status, url: response.url };
+}
+
+module.exports = { fetchWithRetry, fetchHtml };
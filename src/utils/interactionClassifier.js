@@ -0,0 +1,168 @@
+// src/utils/interactionClassifier.js
+// Tells triggers from actions without the LLM by weighing the evidence we have
+// for each interaction: its kind from structured page data, the list the scraper
+// put it in (state type or the DOM action badge), its name ("New ...", "Updated ..."
+// vs "Create ...", "Find ...") and its description ("Triggers when ..." vs "Creates ...").
+// Stage 9 only asks the model about the interactions classified with low confidence.
+const { splitInteraction } = require('../extractors/interactionSplitter');
+
+// Description prefixes that mark an interaction as a trigger
+const TRIGGER_DESCRIPTION_PATTERN = /^(?:triggers|occurs|fires|runs)\b/i;
+
+// Description verbs that mark an interaction as an action
+const ACTION_DESCRIPTION_PATTERN = /^(?:creates?|updates?|finds?|searches|sends?|adds?|removes?|deletes?|sets?|gets?|uploads?|posts?|appl(?:y|ies)|assigns?|archives?|moves?|copies|starts?|stops?|cancels?|generates?|converts?|retrieves?|looks? up|publishes|replies|invites?|marks?|changes?|attach(?:es)?|subscribes?|unsubscribes?|enrolls?|tags?|executes?|summarizes?|rewrites?|translates?|this is an? (?:advanced )?action)\b/i;
+
+// Trigger names: an event on a record ("New Order", "Updated Contact", "Order Paid (Instant)")
+const TRIGGER_NAME_PATTERN = /^(?:new|updated|deleted|removed|changed|modified|cancell?ed|completed|closed|paid|received)\b|\(instant\)$/i;
+
+// Trigger names ending in a past participle ("Deal Won", "Ticket Closed"), a weaker hint
+const EVENT_NAME_PATTERN = /\b(?:created|updated|added|deleted|removed|changed|completed|closed|paid|received|submitted|assigned|cancell?ed|shipped|signed|booked|scheduled|opened|won|lost|renewed|expired|archived|fulfilled|refunded)$/i;
+
+// Action names: an imperative verb ("Create Contact", "Find or Create Deal", "API Request (Beta)")
+const ACTION_NAME_PATTERN = /^(?:create|find|search|update|add|send|delete|remove|get|set|upload|post|apply|assign|archive|move|copy|start|stop|cancel|generate|convert|retrieve|look ?up|publish|reply|invite|mark|change|attach|subscribe|unsubscribe|enroll|tag|run|make|list|api request|custom action)\b/i;
+
+// Interaction kinds from structured page data (see interactionDetails.js)
+const KIND_TYPES = {
+  instant: 'trigger',
+  polling: 'trigger',
+  search: 'action',
+  create: 'action',
+  update: 'action'
+};
+
+// Weight of each kind of evidence; structured data outweighs text patterns
+const WEIGHTS = {
+  kind: 3,
+  scrapedState: 3,
+  scrapedActionBadge: 2,
+  // Items without the action badge are listed as triggers, including when the badge selector broke
+  scrapedNoBadge: 1,
+  description: 2,
+  name: 1.5,
+  eventName: 1
+};
+
+// Net weight at which a classification is fully confident
+const CONFIDENCE_SCALE = 4;
+
+// Confidence below which stage 9 asks the model (INTERACTION_TYPE_MIN_CONFIDENCE overrides it)
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+/**
+ * Classifies an interaction description: "Triggers when ..." or an action verb
+ * such as "Creates ...".
+ * @param {string | null} description - Interaction description
+ * @returns {'trigger' | 'action' | null} Null when the description doesn't tell
+ */
+function typeFromDescription(description) {
+  const text = String(description || '').trim();
+  if (TRIGGER_DESCRIPTION_PATTERN.test(text)) return 'trigger';
+  if (ACTION_DESCRIPTION_PATTERN.test(text)) return 'action';
+  return null;
+}
+
+/**
+ * Classifies an interaction name by its naming pattern.
+ * @param {string} name - Interaction name
+ * @returns {{type: 'trigger' | 'action', weight: number} | null} Null when the name doesn't tell
+ */
+function typeFromName(name) {
+  const text = String(name || '').trim();
+  if (ACTION_NAME_PATTERN.test(text)) return { type: 'action', weight: WEIGHTS.name };
+  if (TRIGGER_NAME_PATTERN.test(text)) return { type: 'trigger', weight: WEIGHTS.name };
+  if (EVENT_NAME_PATTERN.test(text)) return { type: 'trigger', weight: WEIGHTS.eventName };
+  return null;
+}
+
+/**
+ * Classifies an interaction from all the evidence available for it.
+ * Each signal votes for a type with its weight; the confidence is the net weight
+ * of the winning type, reduced when signals disagree.
+ *
+ * @param {{name: string, description?: string | null, details?: {kind?: string}}} interaction - Interaction to classify
+ * @param {Object} [evidence]
+ * @param {{type: 'trigger' | 'action', source: 'state' | 'dom'}} [evidence.scraped] - The list the scraper put it in,
+ *   and whether that came from structured page data or the DOM action badge
+ * @returns {{type: 'trigger' | 'action' | null, confidence: number, signals: Array<{source: string, type: string, weight: number}>}}
+ *   Type null (confidence 0) when there is no evidence or it cancels out
+ */
+function classifyInteraction(interaction, { scraped } = {}) {
+  const signals = [];
+
+  const kindType = KIND_TYPES[interaction.details?.kind];
+  if (kindType) signals.push({ source: 'kind', type: kindType, weight: WEIGHTS.kind });
+
+  if (scraped && ['trigger', 'action'].includes(scraped.type)) {
+    let weight = WEIGHTS.scrapedState;
+    if (scraped.source !== 'state') weight = scraped.type === 'action' ? WEIGHTS.scrapedActionBadge : WEIGHTS.scrapedNoBadge;
+    signals.push({ source: scraped.source === 'state' ? 'state' : 'dom', type: scraped.type, weight });
+  }
+
+  const nameType = typeFromName(interaction.name);
+  if (nameType) signals.push({ source: 'name', ...nameType });
+
+  const descriptionType = typeFromDescription(interaction.description);
+  if (descriptionType) signals.push({ source: 'description', type: descriptionType, weight: WEIGHTS.description });
+
+  // Positive scores vote for trigger, negative for action
+  const score = signals.reduce((total, signal) => total + (signal.type === 'trigger' ? signal.weight : -signal.weight), 0);
+  const totalWeight = signals.reduce((total, signal) => total + signal.weight, 0);
+  if (score === 0) return { type: null, confidence: 0, signals };
+
+  return {
+    type: score > 0 ? 'trigger' : 'action',
+    confidence: Math.round(Math.min(1, Math.abs(score) / Math.max(CONFIDENCE_SCALE, totalWeight)) * 100) / 100,
+    signals
+  };
+}
+
+/**
+ * Indexes the list each interaction was scraped in, as evidence for
+ * classifyInteraction(). Items with a type came from structured page data,
+ * the others were sorted by the DOM action badge.
+ * @param {{triggers?: Object[], actions?: Object[]}} appData - Scraped app data (apps/<slug>.json)
+ * @returns {Map<string, {type: string, source: 'state' | 'dom'}>} Lowercased name -> scraped type
+ */
+function scrapedEvidence(appData) {
+  const evidence = new Map();
+  [['trigger', appData?.triggers], ['action', appData?.actions]].forEach(([listType, items]) => {
+    (items || []).forEach(item => {
+      // Names in MongoDB went through the splitter in stage 4
+      const name = splitInteraction(item).name.toLowerCase();
+      evidence.set(name, { type: item.type || listType, source: item.type ? 'state' : 'dom' });
+    });
+  });
+  return evidence;
+}
+
+/**
+ * Resolves the confidence below which an interaction's type is left to the model.
+ * @returns {number}
+ */
+function getMinConfidence() {
+  const minConfidence = parseFloat(process.env.INTERACTION_TYPE_MIN_CONFIDENCE);
+  return Number.isNaN(minConfidence) ? DEFAULT_MIN_CONFIDENCE : minConfidence;
+}
+
+/**
+ * Classifies every interaction of an app and flags the classifications
+ * confident enough to keep without asking the model.
+ * @param {Object[]} interactions - App interactions
+ * @param {Map<string, {type: string, source: 'state' | 'dom'}>} evidence - Result of scrapedEvidence()
+ * @param {number} [minConfidence] - See getMinConfidence()
+ * @returns {Array<{type: 'trigger' | 'action' | null, confidence: number, signals: Object[], confident: boolean}>} In the order of `interactions`
+ */
+function classifyAppInteractions(interactions, evidence, minConfidence = getMinConfidence()) {
+  return interactions.map(interaction => {
+    const classification = classifyInteraction(interaction, { scraped: evidence.get(String(interaction.name || '').toLowerCase()) });
+    return { ...classification, confident: Boolean(classification.type) && classification.confidence >= minConfidence };
+  });
+}
+
+module.exports = {
+  typeFromDescription,
+  classifyInteraction,
+  classifyAppInteractions,
+  scrapedEvidence,
+  getMinConfidence
+};
@@ -0,0 +1,77 @@
+// src/utils/jsonSchema.js
+// Validation of LLM responses against the output schema of their task (see
+// src/prompts). Covers the JSON Schema subset the schemas use: type (with
+// "null" and "integer"), enum, properties, required, additionalProperties: false,
+// items, minimum/maximum, minLength/maxLength and minItems.
+
+/**
+ * Returns the JSON Schema type of a value.
+ * @param {*} value - Parsed JSON value
+ * @returns {'null' | 'array' | 'integer' | 'number' | 'string' | 'boolean' | 'object'}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON schema
+ * @param {string} [at='$'] - Path of the value, for the messages
+ * @returns {string[]} Violations, e.g. '$.competitorScore: 12 is above the maximum of 10'; empty when valid
+ */
+function validateJson(value, schema, at = '$') {
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+    if (!matches) return [`${at}: expected ${allowed.join(' or ')}, got ${type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} is below the minimum of ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} is above the maximum of ${schema.maximum}`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJson(item, schema.items, `${at}[${index}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    (schema.required || [])
+      .filter(property => !Object.prototype.hasOwnProperty.call(value, property))
+      .forEach(property => errors.push(`${at}: missing required property "${property}"`));
+
+    Object.entries(value).forEach(([property, propertyValue]) => {
+      const propertySchema = schema.properties?.[property];
+      if (propertySchema) {
+        errors.push(...validateJson(propertyValue, propertySchema, `${at}.${property}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${property}"`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateJson
+};
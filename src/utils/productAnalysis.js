@@ -0,0 +1,73 @@
+// src/utils/productAnalysis.js
+// Analysis results are kept per target product (see src/config/product.js):
+// stages 5 and 6 write an app's relevancy, competitor score and segment under
+// `analyses.<product id>`, stage 10 an interaction's relevancy and segment under
+// its own `analyses.<product id>`. Analyzing another product (--product=<id>)
+// leaves the results of the others untouched.
+const { getProductId } = require('../config/product');
+
+/**
+ * Returns the path of a per-product field, relative to the app or interaction.
+ * @param {string} field - Field name, e.g. 'isRelevant' or 'provenance.isRelevant'
+ * @param {string} [productId] - Product id, the configured product by default
+ * @returns {string} e.g. 'analyses.retently.isRelevant'
+ */
+function analysisPath(field, productId = getProductId()) {
+  return `analyses.${productId}.${field}`;
+}
+
+/**
+ * Builds the MongoDB updates setting per-product fields.
+ * @param {Object<string, *>} values - Field values, e.g. { isRelevant: true }
+ * @param {string} [productId] - Product id, the configured product by default
+ * @returns {Object<string, *>} e.g. { 'analyses.retently.isRelevant': true }
+ */
+function analysisUpdate(values, productId = getProductId()) {
+  return Object.fromEntries(Object.entries(values).map(([field, value]) => [analysisPath(field, productId), value]));
+}
+
+/**
+ * Converts an `analyses` map, as a document holds it (Map) or a lean query
+ * returns it (plain object), to a plain object.
+ * @param {Map<string, Object> | Object | undefined} analyses - Analyses by product id
+ * @returns {Object<string, Object>}
+ */
+function analysesObject(analyses) {
+  if (!analyses) return {};
+  const entries = analyses instanceof Map ? [...analyses.entries()] : Object.entries(analyses);
+  return Object.fromEntries(entries.map(([productId, analysis]) =>
+    [productId, analysis && analysis.toObject ? analysis.toObject() : analysis]));
+}
+
+/**
+ * Returns the results of an app or interaction for a product.
+ * @param {Object} item - App or interaction, document or plain object
+ * @param {string} [productId] - Product id, the configured product by default
+ * @returns {Object} The product's results, empty when it wasn't analyzed for the product
+ */
+function getAnalysis(item, productId = getProductId()) {
+  return analysesObject(item && item.analyses)[productId] || {};
+}
+
+/**
+ * Returns an interaction with its results for a product replaced, keeping the
+ * results of the other products.
+ * @param {Object} interaction - Interaction, as a plain object
+ * @param {Object} analysis - The product's results
+ * @param {string} [productId] - Product id, the configured product by default
+ * @returns {Object}
+ */
+function withAnalysis(interaction, analysis, productId = getProductId()) {
+  return {
+    ...interaction,
+    analyses: { ...analysesObject(interaction.analyses), [productId]: analysis }
+  };
+}
+
+module.exports = {
+  analysisPath,
+  analysisUpdate,
+  analysesObject,
+  getAnalysis,
+  withAnalysis
+};
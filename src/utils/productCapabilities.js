@@ -0,0 +1,128 @@
+// src/utils/productCapabilities.js
+// Keeps a product profile's Zapier triggers and actions in line with its own
+// Zapier app: stage 3 scrapes the product's page like any app, the interactions
+// are split and typed like in stages 4 and 9, and when they changed they are
+// written to data/products/<product id>.capabilities.json (see src/config/product.js),
+// with a report of what was added, removed or reworded next to it in
+// data/products/<product id>.changes-<timestamp>.json. The tracked profile is never rewritten.
+const fs = require('fs').promises;
+const path = require('path');
+const { splitInteraction } = require('../extractors/interactionSplitter');
+const { classifyAppInteractions, scrapedEvidence } = require('./interactionClassifier');
+const { CAPABILITIES_DIR, saveProductCapabilities } = require('../config/product');
+
+/**
+ * Returns the Zapier integrations URL of a product's own app.
+ * @param {Object} profile - Product profile
+ * @returns {string}
+ */
+function productAppUrl(profile) {
+  return `https://zapier.com/apps/${profile.zapierSlug || profile.id}/integrations`;
+}
+
+/**
+ * Turns a scraped app into trigger and action lists: names and descriptions
+ * split like in stage 4, types from the heuristic classifier of stage 9 (the
+ * scraped list alone is unreliable). Duplicate names are kept once.
+ * @param {Object} appData - Scraped app data (apps/<slug>.json)
+ * @returns {{triggers: Array<{name: string, description: string}>, actions: Array<{name: string, description: string}>, unsure: Array<{name: string, type: string | null, confidence: number}>}}
+ *   The lists, and the interactions typed with low confidence (untyped ones are left out of the lists)
+ */
+function capabilitiesFromApp(appData) {
+  const seen = new Set();
+  const interactions = [...(appData.triggers || []), ...(appData.actions || [])]
+    .map(item => ({ ...item, ...splitInteraction(item) }))
+    .filter(item => {
+      const key = item.name.toLowerCase();
+      if (!item.name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  const classified = classifyAppInteractions(interactions, scrapedEvidence(appData));
+
+  const capabilities = { triggers: [], actions: [], unsure: [] };
+  interactions.forEach((interaction, index) => {
+    const { type, confidence, confident } = classified[index];
+    if (!confident) capabilities.unsure.push({ name: interaction.name, type, confidence });
+    if (!type) return;
+    capabilities[`${type}s`].push({ name: interaction.name, description: interaction.description || '' });
+  });
+  return capabilities;
+}
+
+/**
+ * Compares two lists of triggers or actions by name.
+ * @param {Array<{name: string, description: string}>} before - Current list
+ * @param {Array<{name: string, description: string}>} after - New list
+ * @returns {{added: Object[], removed: Object[], changed: Array<{name: string, before: string, after: string}>}}
+ */
+function diffList(before, after) {
+  const byName = list => new Map(list.map(item => [item.name.toLowerCase(), item]));
+  const beforeByName = byName(before);
+  const afterByName = byName(after);
+  return {
+    added: after.filter(item => !beforeByName.has(item.name.toLowerCase())),
+    removed: before.filter(item => !afterByName.has(item.name.toLowerCase())),
+    changed: after
+      .filter(item => beforeByName.has(item.name.toLowerCase()) && beforeByName.get(item.name.toLowerCase()).description !== item.description)
+      .map(item => ({ name: item.name, before: beforeByName.get(item.name.toLowerCase()).description, after: item.description }))
+  };
+}
+
+/**
+ * Compares a profile's triggers and actions with new ones.
+ * @param {{triggers: Object[], actions: Object[]}} before - Current profile
+ * @param {{triggers: Object[], actions: Object[]}} after - New capabilities
+ * @returns {{triggers: Object, actions: Object, changeCount: number}} diffList() of each, and the number of differences
+ */
+function diffCapabilities(before, after) {
+  const triggers = diffList(before.triggers, after.triggers);
+  const actions = diffList(before.actions, after.actions);
+  const changeCount = [triggers, actions]
+    .reduce((total, diff) => total + diff.added.length + diff.removed.length + diff.changed.length, 0);
+  return { triggers, actions, changeCount };
+}
+
+/**
+ * Updates a profile's triggers and actions from its scraped Zapier app (in its
+ * capabilities file), and writes the diff report when they changed. A scrape without any interaction
+ * is ignored, so a broken page never empties the profile.
+ * @param {Object} profile - Product profile
+ * @param {Object} appData - Scraped app data of the product's own app
+ * @returns {Promise<{diff: Object, unsure: Object[], reportPath: string | null}>} The differences, the
+ *   interactions typed with low confidence, and the report written (null when nothing changed)
+ * @throws {Error} When the scrape found no interactions
+ */
+async function updateProductCapabilities(profile, appData) {
+  const { triggers, actions, unsure } = capabilitiesFromApp(appData);
+  if (!triggers.length && !actions.length) {
+    throw new Error(`No triggers or actions scraped from ${appData.url || productAppUrl(profile)}, keeping the profile of ${profile.id}`);
+  }
+
+  const diff = diffCapabilities(profile, { triggers, actions });
+  if (!diff.changeCount) return { diff, unsure, reportPath: null };
+
+  const url = appData.url || productAppUrl(profile);
+  const scrapedAt = appData.scrapedAt || null;
+  saveProductCapabilities(profile, { triggers, actions, url, scrapedAt });
+
+  const generatedAt = new Date();
+  const reportPath = path.join(CAPABILITIES_DIR, `${profile.id}.changes-${generatedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  await fs.writeFile(reportPath, JSON.stringify({
+    generatedAt: generatedAt.toISOString(),
+    product: profile.id,
+    url,
+    scrapedAt,
+    ...diff,
+    unsure
+  }, null, 2));
+
+  return { diff, unsure, reportPath };
+}
+
+module.exports = {
+  productAppUrl,
+  capabilitiesFromApp,
+  diffCapabilities,
+  updateProductCapabilities
+};
@@ -0,0 +1,45 @@
+// src/utils/provenance.js
+// Provenance of the fields the LLM stages write: the prompt id/version and the
+// model that produced each one, stored under `provenance.<field>` on the app and
+// on each interaction, and under `analyses.<product id>.provenance.<field>` for
+// the per-product results (see productAnalysis.js). A field is outdated when its prompt has a newer template
+// version or its task now runs on another model; `--outdated` makes stages 5, 6,
+// 9 and 10 re-run exactly those apps (see stageSelection.js).
+const { getPromptVersion } = require('../prompts/templates');
+const { getTaskModel } = require('../config/llm');
+
+/**
+ * Builds the MongoDB updates recording the provenance of app fields produced
+ * by one completion.
+ * @param {string[]} fields - Field names, e.g. ['isRelevant', 'relevancyReasoning']
+ * @param {{promptId: string, promptVersion: number, model: string, producedAt: Date} | null} provenance - Provenance from openaiService.chat()
+ * @param {string} [prefix] - Path of the provenance object, e.g. 'analyses.retently.provenance'
+ * @returns {Object<string, Object>} e.g. { 'provenance.isRelevant': {...} }; empty when the fields weren't produced by a prompt
+ */
+function provenanceFields(fields, provenance, prefix = 'provenance') {
+  if (!provenance) return {};
+  return Object.fromEntries(fields.map(field => [`${prefix}.${field}`, provenance]));
+}
+
+/**
+ * Builds the MongoDB condition matching a field produced by an older prompt
+ * version or another model than the task's current ones. Fields without
+ * provenance (written before it was recorded) count as outdated.
+ * @param {string} path - Path of the field's provenance, e.g. 'provenance.isRelevant'
+ * @param {string} task - Task (and prompt id) that produces the field, e.g. 'relevancy'
+ * @returns {Object} Condition for a MongoDB filter (or an $elemMatch)
+ */
+function outdatedFilter(path, task) {
+  return {
+    $or: [
+      { [`${path}.promptId`]: { $ne: task } },
+      { [`${path}.promptVersion`]: { $ne: getPromptVersion(task) } },
+      { [`${path}.model`]: { $ne: getTaskModel(task) } }
+    ]
+  };
+}
+
+module.exports = {
+  provenanceFields,
+  outdatedFilter
+};
@@ -0,0 +1,88 @@
+// src/utils/snapshotUtils.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || 'snapshots';
+
+/**
+ * Builds the snapshot file path for an app slug.
+ * @param {string} appName - App slug as it appears in the Zapier URL
+ * @returns {string} Path to the app's HTML snapshot
+ */
+function snapshotPath(appName) {
+  return path.join(SNAPSHOT_DIR, `${appName.toLowerCase()}.html`);
+}
+
+/**
+ * Builds the path of the JSON responses captured alongside an app's snapshot.
+ * @param {string} appName - App slug as it appears in the Zapier URL
+ * @returns {string} Path to the app's captured responses
+ */
+function responsesPath(appName) {
+  return path.join(SNAPSHOT_DIR, `${appName.toLowerCase()}.responses.json`);
+}
+
+/**
+ * Saves the fully loaded HTML of an app page, and the JSON responses intercepted
+ * while it loaded, so it can be re-extracted later without a browser. Without
+ * payloads (HTTP fetches) earlier captured responses are deleted. Failures
+ * are logged, never thrown: a missing snapshot must not fail the scrape itself.
+ *
+ * @param {string} appName - App slug
+ * @param {string} html - Serialized page HTML
+ * @param {Object[]} [payloads=[]] - Intercepted JSON response bodies
+ * @returns {Promise<void>}
+ */
+async function saveSnapshot(appName, html, payloads = []) {
+  try {
+    await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+    await fs.writeFile(snapshotPath(appName), html);
+    if (payloads.length) {
+      await fs.writeFile(responsesPath(appName), JSON.stringify(payloads));
+    } else {
+      // Responses of an earlier browser scrape would be merged over the new page on re-extraction
+      await fs.rm(responsesPath(appName), { force: true });
+    }
+  } catch (error) {
+    console.error(`Error saving snapshot for ${appName}:`, error.message);
+  }
+}
+
+/**
+ * Lists the app slugs that have a saved HTML snapshot.
+ * @returns {Promise<string[]>} App slugs, empty when the directory doesn't exist
+ */
+async function listSnapshots() {
+  try {
+    const files = await fs.readdir(SNAPSHOT_DIR);
+    return files
+      .filter(file => file.endsWith('.html'))
+      .map(file => file.replace(/\.html$/, ''));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Reads a saved HTML snapshot along with its captured JSON responses (empty when
+ * none were saved) and its modification time.
+ * @param {string} appName - App slug
+ * @returns {Promise<{html: string, payloads: Object[], savedAt: Date}>}
+ */
+async function readSnapshot(appName) {
+  const filePath = snapshotPath(appName);
+  const [html, stats, payloads] = await Promise.all([
+    fs.readFile(filePath, 'utf8'),
+    fs.stat(filePath),
+    fs.readFile(responsesPath(appName), 'utf8').then(JSON.parse).catch(() => [])
+  ]);
+  return { html, payloads, savedAt: stats.mtime };
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  snapshotPath,
+  saveSnapshot,
+  listSnapshots,
+  readSnapshot
+};
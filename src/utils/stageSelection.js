@@ -0,0 +1,157 @@
+// src/utils/stageSelection.js
+// Which apps each LLM stage works on. The stages and estimate_llm_costs.js share
+// these queries, so the estimate counts exactly the apps a run would process.
+// Selections are per target product: an app analyzed for one product is still
+// pending for another.
+// With --outdated, stages 5, 6, 9 and 10 also select the apps whose results came
+// from an older prompt version or another model (see src/utils/provenance.js).
+const fs = require('fs').promises;
+const path = require('path');
+const App = require('../models/App');
+const { outdatedFilter } = require('./provenance');
+const { analysisPath } = require('./productAnalysis');
+const { getProductId, loadProductProfile, ownTitlePattern } = require('../config/product');
+
+// Stages whose results are kept per target product; stage 9's types are shared
+const PRODUCT_STAGES = [5, 6, 10];
+
+// Lock files of scraped apps, read by stage 4 (one <slug>.lock per app)
+const LOCK_DIR = path.join(process.cwd(), 'lock');
+
+// Relevant apps without interactions or with untyped ones (stage 9); typing
+// doesn't depend on the target product, so it's only pending once per app
+const untypedInteractionsFilter = productId => ({
+  [analysisPath('isRelevant', productId)]: true,
+  $or: [
+    { interactions: { $exists: false } },
+    { interactions: { $size: 0 } },
+    { 'interactions.type': { $exists: false } }
+  ]
+});
+
+// Relevant apps with typed interactions that haven't been fully analyzed for the
+// product (stage 10). Untyped ones wait for stage 9: the stage 10 prompt needs the type
+const interactionAnalysisFilter = productId => ({
+  [analysisPath('isRelevant', productId)]: true,
+  interactions: {
+    $elemMatch: {
+      type: { $in: ['trigger', 'action'] },
+      $or: [
+        { [analysisPath('isRelevant', productId)]: { $exists: false } },
+        { [analysisPath('relevancySegment', productId)]: { $exists: false } }
+      ]
+    }
+  }
+});
+
+// MongoDB selection of each stage working on saved apps, for a target product
+// (results are kept per product, see src/utils/productAnalysis.js)
+const STAGE_SELECTIONS = {
+  // Apps without isRelevant flag for the product, most popular first
+  5: productId => ({ filter: { [analysisPath('isRelevant', productId)]: null }, sort: { popularityScore: -1 } }),
+  // Relevant apps that haven't been analyzed yet, most popular first
+  6: productId => ({
+    filter: {
+      [analysisPath('isRelevant', productId)]: true,
+      $or: [
+        { [analysisPath('competitorScore', productId)]: null },
+        { [analysisPath('integrationSegment', productId)]: null }
+      ]
+    },
+    sort: { popularityScore: -1 }
+  }),
+  9: productId => ({ filter: untypedInteractionsFilter(productId), sort: null }),
+  10: productId => ({ filter: interactionAnalysisFilter(productId), sort: null })
+};
+
+// Apps whose results of each stage are outdated for a target product, built on
+// use since the current prompt versions and models are read from the templates
+// and the environment
+const OUTDATED_SELECTIONS = {
+  // Relevancy written by the model (the target product itself is flagged without it)
+  5: productId => ({
+    [analysisPath('isRelevant', productId)]: { $ne: null },
+    title: { $not: ownTitlePattern(loadProductProfile(productId)) },
+    ...outdatedFilter(analysisPath('provenance.isRelevant', productId), 'relevancy')
+  }),
+  6: productId => ({
+    [analysisPath('isRelevant', productId)]: true,
+    [analysisPath('competitorScore', productId)]: { $ne: null },
+    ...outdatedFilter(analysisPath('provenance.competitorScore', productId), 'competitors')
+  }),
+  // Interactions the model typed; heuristic types have no prompt behind them
+  9: productId => ({
+    [analysisPath('isRelevant', productId)]: true,
+    interactions: { $elemMatch: { typedBy: 'llm', ...outdatedFilter('provenance.type', 'interaction_types') } }
+  }),
+  10: productId => ({
+    [analysisPath('isRelevant', productId)]: true,
+    interactions: {
+      $elemMatch: {
+        [analysisPath('isRelevant', productId)]: { $exists: true },
+        ...outdatedFilter(analysisPath('provenance.isRelevant', productId), 'interaction_relevancy')
+      }
+    }
+  })
+};
+
+/**
+ * Tells whether the run re-runs outdated results (--outdated argument).
+ * @returns {boolean}
+ */
+function rerunsOutdated() {
+  return process.argv.includes('--outdated');
+}
+
+/**
+ * Finds the apps a stage selects in MongoDB. Apps locked or completed in Redis
+ * are still included; the stages skip them one by one.
+ * @param {5 | 6 | 9 | 10} stage - Stage number
+ * @param {Object} [options]
+ * @param {boolean} [options.outdated] - Also select apps with outdated results, --outdated by default
+ * @param {string} [options.product] - Target product id, the configured product (--product) by default
+ * @returns {Promise<Object[]>} App documents
+ * @throws {Error} When the stage doesn't select apps in MongoDB
+ */
+async function findStageApps(stage, { outdated = rerunsOutdated(), product = getProductId() } = {}) {
+  if (!STAGE_SELECTIONS[stage]) {
+    throw new Error(`Stage ${stage} has no app selection, expected one of: ${Object.keys(STAGE_SELECTIONS).join(', ')}`);
+  }
+
+  const selection = STAGE_SELECTIONS[stage](product);
+  const filter = outdated ? { $or: [selection.filter, OUTDATED_SELECTIONS[stage](product)] } : selection.filter;
+  let query = App.find(filter);
+  if (selection.sort) query = query.sort(selection.sort);
+  return query;
+}
+
+/**
+ * Returns the scope of a stage's Redis processing marks and completions (see
+ * RedisService), so that a stage never skips apps completed by another stage,
+ * or for another product when its results are per product.
+ * @param {5 | 6 | 9 | 10} stage - Stage number
+ * @param {string} [product] - Target product id, the configured product (--product) by default
+ * @returns {{stage: number, product: string | null}}
+ */
+function redisScope(stage, product = getProductId()) {
+  return { stage, product: PRODUCT_STAGES.includes(stage) ? product : null };
+}
+
+/**
+ * Lists the scraped apps stage 4 goes through, from the lock directory.
+ * @param {string} [lockDir] - Lock directory, ./lock by default
+ * @returns {Promise<string[]>} App names, as in the lock file names
+ */
+async function listLockedApps(lockDir = LOCK_DIR) {
+  const files = await fs.readdir(lockDir);
+  return files.filter(file => file.endsWith('.lock')).map(file => file.replace('.lock', ''));
+}
+
+module.exports = {
+  STAGE_SELECTIONS,
+  OUTDATED_SELECTIONS,
+  rerunsOutdated,
+  findStageApps,
+  redisScope,
+  listLockedApps
+};
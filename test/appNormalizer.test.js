@@ -0,0 +1,55 @@
+// test/appNormalizer.test.js
+// Rule-based field mappings of stage 4 (src/utils/appNormalizer.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeTitle,
+  normalizeLogoUrl,
+  normalizeHelpLinks,
+  normalizeCategoryName
+} = require('../src/utils/appNormalizer');
+
+test('normalizeTitle strips the Integrations/Integration/API suffixes', () => {
+  assert.equal(normalizeTitle('Shopify Integrations'), 'Shopify');
+  assert.equal(normalizeTitle('Stripe Integration'), 'Stripe');
+  assert.equal(normalizeTitle('OpenAI API'), 'OpenAI');
+  assert.equal(normalizeTitle('  Webhooks API Integrations  '), 'Webhooks');
+});
+
+test('normalizeTitle keeps a title that is only a suffix and empty titles', () => {
+  assert.equal(normalizeTitle('API'), 'API');
+  assert.equal(normalizeTitle('Integrations'), 'Integrations');
+  assert.equal(normalizeTitle(null), '');
+});
+
+test('normalizeLogoUrl removes the query string', () => {
+  assert.equal(
+    normalizeLogoUrl('https://zapier-images.imgix.net/storage/services/abc.png?auto=format&ixlib=react-9.8.1&q=50&fit=crop&h=64&w=64'),
+    'https://zapier-images.imgix.net/storage/services/abc.png'
+  );
+  assert.equal(normalizeLogoUrl('https://cdn.zapier.com/logo.png'), 'https://cdn.zapier.com/logo.png');
+  assert.equal(normalizeLogoUrl(undefined), undefined);
+});
+
+test('normalizeHelpLinks drops generic help center links and duplicates', () => {
+  const article = 'https://help.zapier.com/hc/en-us/articles/8496196837261-How-to-get-started-with-Shopify-on-Zapier';
+  assert.deepEqual(normalizeHelpLinks([
+    'https://help.zapier.com/hc/en-us',
+    'https://help.zapier.com/hc',
+    'https://help.zapier.com/',
+    article,
+    article,
+    null
+  ]), [{ type: 'help', url: article }]);
+  assert.deepEqual(normalizeHelpLinks(undefined), []);
+});
+
+test('normalizeCategoryName turns file names into display names', () => {
+  assert.equal(normalizeCategoryName('All_Human_Resources'), 'Human Resources');
+  assert.equal(normalizeCategoryName('Video___Audio'), 'Video & Audio');
+  assert.equal(normalizeCategoryName('All_Website___App_Building'), 'Website & App Building');
+  assert.equal(normalizeCategoryName('CRM'), 'CRM');
+  assert.equal(normalizeCategoryName('marketing_automation'), 'Marketing Automation');
+  assert.equal(normalizeCategoryName(''), 'Uncategorized');
+  assert.equal(normalizeCategoryName(null), 'Uncategorized');
+});
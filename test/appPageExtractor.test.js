@@ -0,0 +1,41 @@
+// test/appPageExtractor.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractAppDataFromHtml } = require('../src/extractors/appPageExtractor');
+
+const URL = 'https://zapier.com/apps/acme/integrations';
+
+/**
+ * Builds an app page whose Triggers & Actions list holds the given items.
+ * @param {string[]} items - Inner HTML of each list item
+ * @returns {string}
+ */
+function appPage(items) {
+  return `<html><body>
+    <h1 class="css-1th6yid-AppHeader__appNames">Acme Integrations</h1>
+    <ul>${items.map(item => `<li class="css-15o0hnq-TriggerActionList__listItem">${item}</li>`).join('')}</ul>
+  </body></html>`;
+}
+
+const trigger = '<div class="summaryText">New OrderTriggers when a new order is placed.</div>';
+const action = '<span class="css-14cz6vv-AppAction-AppAction">Action</span><div class="summaryText">Create OrderCreates a new order.</div>';
+const fallbackAction = '<span data-testid="action-badge">Action</span><div class="summaryText">Update OrderUpdates an order.</div>';
+
+test('per-item selector matches record the most common strategy', () => {
+  const { selectorMatches, triggers, actions } = extractAppDataFromHtml(appPage([trigger, action, action, fallbackAction]), URL);
+  assert.equal(triggers.length, 1);
+  assert.equal(actions.length, 3);
+  assert.equal(selectorMatches.listItem, 'exactClass');
+  assert.equal(selectorMatches.listItemSummary, 'partialClass');
+  assert.equal(selectorMatches.actionBadge, 'exactClass');
+});
+
+test('per-item selector matches are null when an item misses the summary', () => {
+  const { selectorMatches } = extractAppDataFromHtml(appPage([trigger, '<div>New Contact</div>']), URL);
+  assert.equal(selectorMatches.listItemSummary, null);
+});
+
+test('actionBadge is null only when no item carries one', () => {
+  const { selectorMatches } = extractAppDataFromHtml(appPage([trigger, trigger]), URL);
+  assert.equal(selectorMatches.actionBadge, null);
+});
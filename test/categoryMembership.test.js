@@ -0,0 +1,42 @@
+// test/categoryMembership.test.js
+// Membership index of stages 4 and 11 (src/utils/categoryMembership.js), built
+// from the category results in test/fixtures/category_results.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildMembershipIndex, popularityScore } = require('../src/utils/categoryMembership');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'category_results');
+
+test('buildMembershipIndex lists every category of an app with its position', async () => {
+  const index = await buildMembershipIndex({ dir: FIXTURE_DIR });
+
+  assert.deepEqual([...index.keys()].sort(), ['hubspot', 'netsuite', 'pipedrive', 'salesforce']);
+  const salesforce = [...index.get('salesforce')].sort((a, b) => a.name.localeCompare(b.name));
+  assert.deepEqual(salesforce, [
+    { name: 'Accounting', slug: 'accounting', position: 9 },
+    { name: 'CRM', slug: 'crm', position: 2 }
+  ]);
+});
+
+test('buildMembershipIndex falls back to the URL order without recorded positions', async () => {
+  const index = await buildMembershipIndex({ dir: FIXTURE_DIR });
+
+  assert.deepEqual(index.get('hubspot'), [{ name: 'CRM', slug: 'crm', position: 1 }]);
+  assert.deepEqual(index.get('pipedrive'), [{ name: 'CRM', slug: 'crm', position: 3 }]);
+  assert.deepEqual(index.get('netsuite'), [{ name: 'Accounting', slug: 'accounting', position: 4 }]);
+});
+
+test('buildMembershipIndex skips sitemap results and returns an empty index without results', async () => {
+  const index = await buildMembershipIndex({ dir: FIXTURE_DIR });
+  assert.ok(index.get('hubspot').every(membership => membership.name !== 'Sitemap_apps'));
+
+  const empty = await buildMembershipIndex({ dir: path.join(FIXTURE_DIR, 'missing') });
+  assert.equal(empty.size, 0);
+});
+
+test('popularityScore favors apps near the top of their categories', () => {
+  const top = popularityScore([{ position: 1 }, { position: 2 }]);
+  const low = popularityScore([{ position: 40 }, { position: 90 }]);
+  assert.ok(top > low);
+});
@@ -0,0 +1,48 @@
+// test/embeddedState.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { findInteractions, findAppListings } = require('../src/extractors/embeddedState');
+
+const appPage = require(path.join(__dirname, 'fixtures', 'embedded_state', 'app_page.json'));
+const categoryPage = require(path.join(__dirname, 'fixtures', 'embedded_state', 'category_page.json'));
+
+const names = items => items.map(item => item.name);
+
+test('findInteractions reads the app\'s own triggers and actions', () => {
+  const { triggers, actions } = findInteractions([appPage], { slug: 'slack' });
+  assert.deepEqual(names(triggers), ['New Message Posted to Channel', 'New Mention']);
+  assert.deepEqual(triggers.map(item => item.type), ['trigger', 'trigger']);
+  assert.deepEqual(names(actions), ['Send Channel Message', 'Find User by Email', 'Send Direct Message']);
+});
+
+test('findInteractions ignores Zap template steps of partner apps', () => {
+  const { triggers, actions } = findInteractions([appPage], { slug: 'slack' });
+  assert.ok(!names(triggers).includes('New Email'));
+  assert.ok(!names(triggers).includes('New Spreadsheet Row'));
+  assert.ok(!names(actions).includes('Create Spreadsheet Row'));
+  assert.ok(!names(actions).includes('Create Contact'));
+});
+
+test('findInteractions ignores arrays outside interaction containers without a slug', () => {
+  const { triggers } = findInteractions([appPage]);
+  assert.ok(!names(triggers).includes('New Email'));
+});
+
+test('findAppListings reads app listings and the advertised total', () => {
+  const { urls, total } = findAppListings([categoryPage]);
+  assert.deepEqual(urls, [
+    'https://zapier.com/apps/hubspot/integrations',
+    'https://zapier.com/apps/pipedrive/integrations',
+    'https://zapier.com/apps/salesforce/integrations',
+    'https://zapier.com/apps/zoho-crm/integrations'
+  ]);
+  assert.equal(total, 1042);
+});
+
+test('findAppListings ignores category navigation', () => {
+  const { urls } = findAppListings([categoryPage]);
+  ['accounting', 'ads-conversion', 'business-intelligence', 'commerce', 'crm'].forEach(slug => {
+    assert.ok(!urls.includes(`https://zapier.com/apps/${slug}/integrations`), slug);
+  });
+});
@@ -0,0 +1,38 @@
+// test/interactionDetails.test.js
+// Kind, input fields and sample output read from interaction details (src/extractors/interactionDetails.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { kindFromApiType, detailsFromPayload, detailsFromText } = require('../src/extractors/interactionDetails');
+
+test('kindFromApiType maps the API types and refines writes by name', () => {
+  assert.equal(kindFromApiType('hook'), 'instant');
+  assert.equal(kindFromApiType('hook', { instant: false }), 'polling');
+  assert.equal(kindFromApiType('write', { name: 'Update Contact' }), 'update');
+  assert.equal(kindFromApiType('write', { name: 'Find Contact' }), 'search');
+  assert.equal(kindFromApiType('write', { name: 'Create Contact' }), 'create');
+});
+
+test('kindFromApiType leaves the kind null without an API type', () => {
+  assert.equal(kindFromApiType(null, { name: 'Update Contact' }), null);
+  assert.equal(kindFromApiType('unknown', { name: 'Create Contact' }), null);
+});
+
+test('detailsFromPayload keeps a null kind next to the fields it found', () => {
+  const details = detailsFromPayload({ inputFields: [{ key: 'email', required: true }] }, { name: 'Create Contact' });
+  assert.equal(details.kind, null);
+  assert.deepEqual(details.inputFields.map(field => field.key), ['email']);
+});
+
+test('detailsFromText reads the kind from the panel labels', () => {
+  assert.equal(detailsFromText('Instant\nTriggers when a contact is added', { type: 'trigger' }).kind, 'instant');
+  assert.equal(detailsFromText('Scheduled\nChecks every 15 minutes', { type: 'trigger' }).kind, 'polling');
+});
+
+test('detailsFromText does not take the list the item sits in as its kind', () => {
+  assert.equal(detailsFromText('Triggers when a contact is added', { name: 'New Contact', type: 'trigger' }), null);
+  assert.equal(detailsFromText('Creates a contact', { name: 'Create Contact', type: 'action' }), null);
+
+  const details = detailsFromText('Input fields\nEmail (required)\nName', { name: 'Update Contact', type: 'action' });
+  assert.equal(details.kind, null);
+  assert.deepEqual(details.inputFields.map(field => [field.label, field.required]), [['Email', true], ['Name', false]]);
+});
@@ -0,0 +1,42 @@
+// test/responseCache.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const LlmResponseCache = require('../src/services/llm/responseCache');
+
+const cache = new LlmResponseCache({ store: 'off', ttlSeconds: 0, dir: 'cache/llm' });
+
+const request = {
+  task: 'relevancy',
+  model: 'gpt-4o-mini',
+  messages: [{ role: 'user', content: 'Is Slack relevant?' }],
+  temperature: 0.1,
+  json: true,
+  maxTokens: 500,
+  schema: { type: 'object', properties: { isRelevant: { type: 'boolean' } }, required: ['isRelevant'] },
+  prompt: { id: 'relevancy', version: 1 }
+};
+
+const hashOf = req => cache.keyOf('openai', req).hash;
+
+test('keyOf hashes the same request the same whatever its key order', () => {
+  const reordered = Object.fromEntries(Object.entries(request).reverse());
+  reordered.schema = { required: ['isRelevant'], properties: { isRelevant: { type: 'boolean' } }, type: 'object' };
+  assert.equal(hashOf(reordered), hashOf(request));
+});
+
+test('keyOf changes with the output schema', () => {
+  const schema = { ...request.schema, properties: { isRelevant: { type: 'boolean' }, reasoning: { type: 'string' } } };
+  assert.notEqual(hashOf({ ...request, schema }), hashOf(request));
+  assert.notEqual(hashOf({ ...request, schema: undefined }), hashOf(request));
+});
+
+test('keyOf changes with the task and the prompt template', () => {
+  assert.notEqual(hashOf({ ...request, task: 'competitors' }), hashOf(request));
+  assert.notEqual(hashOf({ ...request, prompt: { id: 'relevancy', version: 2 } }), hashOf(request));
+});
+
+test('keyOf keeps the model out of the hash', () => {
+  const key = cache.keyOf('openai', { ...request, model: 'gpt-4o' });
+  assert.equal(key.model, 'gpt-4o');
+  assert.equal(key.hash, hashOf(request));
+});